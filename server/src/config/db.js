@@ -1,13 +1,60 @@
-import { neon } from '@neondatabase/serverless';
+import { neon, types as neonTypes } from '@neondatabase/serverless';
+import pg from 'pg';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Database Driver
+ * - neon: Neon serverless HTTP client (default when NEON_DATABASE_URL is set)
+ * - pg:   node-postgres Pool against any Postgres (local development, self-hosted)
+ *
+ * Set DB_DRIVER to force one. Both drivers expose the same query(text, params) → rows API.
+ */
+const DB_DRIVER = (
+  process.env.DB_DRIVER || (process.env.NEON_DATABASE_URL ? 'neon' : 'pg')
+).toLowerCase();
+
+const connectionString = DB_DRIVER === 'pg'
+  ? process.env.DATABASE_URL || process.env.NEON_DATABASE_URL
+  : process.env.NEON_DATABASE_URL;
+
+// DATE columns come back as 'YYYY-MM-DD' strings from both drivers, inside and outside
+// transactions - a JS Date is midnight in the server timezone and can compare a day off
+const DATE_OID = 1082;
+pg.types.setTypeParser(DATE_OID, (value) => value);
+neonTypes.setTypeParser(DATE_OID, (value) => value);
+
+let pgPool = null;
+
+/**
+ * Lazily create the shared pg Pool
+ * Also used by the neon driver for transactions - HTTP requests cannot hold a
+ * connection open, while Neon accepts regular TCP connections on the same URL
+ */
+const getPgPool = () => {
+  if (!pgPool) {
+    pgPool = new pg.Pool({
+      connectionString,
+      max: parseInt(process.env.DB_POOL_MAX) || 10,
+      idleTimeoutMillis: 30000
+    });
+    pgPool.on('error', (error) => {
+      console.error('Database pool error:', error);
+    });
+  }
+  return pgPool;
+};
+
 // Use Neon serverless for production scalability
-const pool = neon(process.env.NEON_DATABASE_URL);
+const pool = DB_DRIVER === 'pg' ? getPgPool() : neon(connectionString);
 
 const query = async (text, params) => {
   try {
+    if (DB_DRIVER === 'pg') {
+      const res = await pool.query(text, params);
+      return res.rows;
+    }
     const res = await pool(text, params);
     return res;
   } catch (error) {
@@ -16,5 +63,42 @@ const query = async (text, params) => {
   }
 };
 
-export { query, pool };
-export default { query, pool };
+/**
+ * Run a callback inside a real transaction on one pinned connection
+ * The callback receives a `sql(text, params)` function with the same signature as
+ * query(), so it can be passed straight to model methods. Commits when the callback
+ * resolves, rolls back when it throws.
+ *
+ * @param {Function} callback - async (sql) => result
+ * @returns {Promise<*>} Whatever the callback returns
+ *
+ * @example
+ * await withTransaction(async (sql) => {
+ *   await Ranking.bulkCreate(rows, sql);
+ *   await Student.markRankingComplete(studentId, sql);
+ * });
+ */
+const withTransaction = async (callback) => {
+  const client = await getPgPool().connect();
+  const sql = async (text, params) => {
+    const res = await client.query(text, params);
+    return res.rows;
+  };
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(sql);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch((rollbackError) => {
+      console.error('Database rollback error:', rollbackError);
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export { query, pool, withTransaction, DB_DRIVER };
+export default { query, pool, withTransaction, DB_DRIVER };
@@ -159,6 +159,27 @@ class RedisClient {
     }
   }
 
+  /**
+   * Atomically set a key only if it does not exist (SET NX EX)
+   * @param {string} key - Cache key
+   * @param {string} value - Value to store
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean|null>} true if set, false if key already existed, null if Redis unavailable
+   */
+  async setIfNotExists(key, value, ttl) {
+    try {
+      if (!this.isConnected) {
+        console.warn('⚠️  Redis not connected, skipping SET NX');
+        return null;
+      }
+      const result = await this.client.set(key, value, { NX: true, EX: ttl });
+      return result === 'OK';
+    } catch (error) {
+      console.error(`❌ Redis SET NX error for key ${key}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Delete key from cache
    * @param {string} key - Cache key
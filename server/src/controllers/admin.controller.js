@@ -3,11 +3,29 @@ import Student from '../models/Student.model.js';
 import Volunteer from '../models/Volunteer.model.js';
 import Stall from '../models/Stall.model.js';
 import CheckInOut from '../models/CheckInOut.model.js';
+import Feedback from '../models/Feedback.model.js';
+import Ranking from '../models/Ranking.model.js';
+import School from '../models/School.model.js';
+import GateLocation from '../models/GateLocation.model.js';
+import AuditLog from '../models/AuditLog.model.js';
+import StallQRRevocation from '../models/StallQRRevocation.model.js';
+import QRCodeService from '../services/qrCode.js';
+import AutoCheckoutService from '../services/autoCheckout.js';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import { successResponse, errorResponse } from '../helpers/response.js';
+import { successResponse, errorResponse, validationErrorResponse, paginatedResponse } from '../helpers/response.js';
 import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
-import { query } from '../config/db.js';
+import { query, withTransaction } from '../config/db.js';
+import { parseDateRange } from '../helpers/date.js';
+import { canAccessSchool, resolveSchoolScope } from '../middleware/adminScope.js';
+import {
+  parseStudentSheet,
+  parseStallSheet,
+  findMissingColumns,
+  STUDENT_COLUMNS,
+  STALL_COLUMNS
+} from '../utils/excelParser.js';
 
 /**
  * Admin Controller
@@ -36,121 +54,1261 @@ const login = async (req, res, next) => {
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
+    if (!admin.is_active) {
+      return errorResponse(res, 'Admin account is deactivated', 403);
+    }
+
     const token = jwt.sign(
       { id: admin.id, email: admin.email, role: admin.role },
       process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
-    // Set secure HTTP-Only cookie
-    setAuthCookie(res, token);
+    // Set secure HTTP-Only cookie
+    setAuthCookie(res, token);
+
+    return successResponse(res, {
+      token,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        full_name: admin.full_name,
+        role: admin.role,
+        admin_role: admin.admin_role,
+        school_id: admin.school_id
+      }
+    }, 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get admin profile
+ * @route GET /api/admin/profile
+ */
+const getProfile = async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.user.id, query);
+    if (!admin) {
+      return errorResponse(res, 'Admin not found', 404);
+    }
+
+    return successResponse(res, {
+      id: admin.id,
+      email: admin.email,
+      full_name: admin.full_name,
+      role: admin.role,
+      admin_role: admin.admin_role,
+      school_id: admin.school_id,
+      school_name: admin.school_name,
+      created_at: admin.created_at
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Admin logout
+ * @route POST /api/admin/logout
+ */
+const logout = async (req, res, next) => {
+  try {
+    clearAuthCookie(res);
+    return successResponse(res, null, 'Logout successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update admin profile
+ * @route PUT /api/admin/profile
+ */
+const updateProfile = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    const updateData = {};
+
+    if (email) {
+      updateData.email = email;
+    }
+
+    if (password) {
+      const salt = await bcrypt.genSalt(12);
+      updateData.password_hash = await bcrypt.hash(password, salt);
+    }
+
+    const updatedAdmin = await Admin.update(req.user.id, updateData, query);
+    if (!updatedAdmin) {
+      return errorResponse(res, 'Admin not found', 404);
+    }
+
+    return successResponse(res, {
+      id: updatedAdmin.id,
+      email: updatedAdmin.email,
+      full_name: updatedAdmin.full_name
+    }, 'Profile updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Admin account as returned to super admins (never includes password_hash)
+ * @param {AdminModel} admin
+ */
+const toAdminAccount = (admin) => {
+  const { password_hash, ...data } = admin;
+  return data;
+};
+
+/**
+ * Check admin_role / school_id from a create or update body
+ * @param {string} adminRole - Resulting admin role
+ * @param {string} schoolId - Resulting school (required for SCHOOL_COORDINATOR)
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validateAdminScope = async (adminRole, schoolId) => {
+  if (!Admin.isValidAdminRole(adminRole)) {
+    return `admin_role must be one of: ${Admin.ADMIN_ROLES.join(', ')}`;
+  }
+  if (adminRole === 'SCHOOL_COORDINATOR') {
+    if (!schoolId) {
+      return 'school_id is required for SCHOOL_COORDINATOR';
+    }
+    if (!await School.findById(schoolId, query)) {
+      return 'School not found';
+    }
+  }
+  return null;
+};
+
+/**
+ * List admin accounts with their roles
+ * @route GET /api/admin/admins
+ */
+const getAdmins = async (req, res, next) => {
+  try {
+    const admins = await Admin.findAll(query);
+    return successResponse(res, admins.map(toAdminAccount));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an admin account
+ * @route POST /api/admin/admins
+ *
+ * @description
+ * Body: email, password (min 8 characters), full_name, admin_role (default SUPER_ADMIN),
+ * school_id (required for SCHOOL_COORDINATOR)
+ */
+const createAdmin = async (req, res, next) => {
+  try {
+    const { email, password, full_name } = req.body;
+    const adminRole = req.body.admin_role || Admin.DEFAULT_ADMIN_ROLE;
+
+    if (!email || !password || !full_name) {
+      return errorResponse(res, 'Email, password and full_name are required', 400);
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return errorResponse(res, 'Invalid email format', 400);
+    }
+    if (password.length < 8) {
+      return errorResponse(res, 'Password must be at least 8 characters', 400);
+    }
+
+    const scopeError = await validateAdminScope(adminRole, req.body.school_id);
+    if (scopeError) {
+      return errorResponse(res, scopeError, 400);
+    }
+
+    if (await Admin.findByEmail(email, query)) {
+      return errorResponse(res, 'Email already registered', 409);
+    }
+
+    const created = await Admin.create({
+      email,
+      password,
+      full_name,
+      admin_role: adminRole,
+      school_id: req.body.school_id
+    }, query);
+    const admin = await Admin.findById(created.id, query);
+
+    return successResponse(res, toAdminAccount(admin), 'Admin created successfully', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change an admin's role, school or status
+ * @route PUT /api/admin/admins/:id
+ *
+ * @description
+ * Body: full_name, admin_role, school_id, is_active. Switching away from
+ * SCHOOL_COORDINATOR clears school_id. Admins can't change their own role or
+ * deactivate themselves, so there is always a super admin left.
+ */
+const updateAdmin = async (req, res, next) => {
+  try {
+    const existing = await Admin.findById(req.params.id, query);
+    if (!existing) {
+      return errorResponse(res, 'Admin not found', 404);
+    }
+
+    const { full_name, admin_role, school_id, is_active } = req.body;
+
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return errorResponse(res, 'is_active must be a boolean', 400);
+    }
+    if (existing.id === req.user.id && (
+      (admin_role && admin_role !== existing.admin_role) || is_active === false
+    )) {
+      return errorResponse(res, 'You cannot change your own role or deactivate yourself', 400);
+    }
+
+    if (admin_role !== undefined || school_id !== undefined) {
+      const scopeError = await validateAdminScope(admin_role || existing.admin_role, school_id || existing.school_id);
+      if (scopeError) {
+        return errorResponse(res, scopeError, 400);
+      }
+    }
+
+    await Admin.update(existing.id, { full_name, admin_role, school_id, is_active }, query);
+    const admin = await Admin.findById(existing.id, query);
+
+    return successResponse(res, toAdminAccount(admin), 'Admin updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Page size for cursor-paginated lists (student directory, audit log)
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Opaque page cursor (student directory, audit log): sort key of the page's last row + page number
+ * The key is carried in the cursor (not looked up), so deleting that row doesn't end the listing.
+ * @param {Object} cursor - { created_at, id, page } - created_at is the row's created_at_key
+ * @returns {string} base64url
+ */
+const encodePageCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodePageCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    const valid = typeof cursor?.created_at === 'string'
+      && !isNaN(new Date(cursor.created_at).getTime())
+      && UUID_PATTERN.test(cursor.id)
+      && Number.isInteger(cursor.page);
+    return valid ? cursor : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse ?limit= for cursor-paginated lists (clamped to 1..MAX_PAGE_SIZE)
+ * @param {string|undefined} value - req.query.limit
+ * @returns {{ limit: number, error: string|null }}
+ */
+const parsePageLimit = (value) => {
+  if (value === undefined || value === '') {
+    return { limit: DEFAULT_PAGE_SIZE, error: null };
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit)) {
+    return { limit: null, error: 'limit must be an integer' };
+  }
+  return { limit: Math.min(Math.max(limit, 1), MAX_PAGE_SIZE), error: null };
+};
+
+/**
+ * Parse directory filters from the query string
+ * @param {Object} params - req.query
+ * @returns {{ filters: Object, errors: Array }}
+ */
+const parseStudentFilters = (params) => {
+  const filters = {};
+  const errors = [];
+
+  for (const field of ['q', 'school_id', 'batch', 'program_name']) {
+    if (params[field] === undefined) continue;
+    // A repeated param (?batch=a&batch=b) arrives as an array
+    if (typeof params[field] !== 'string') {
+      errors.push({ field, message: `${field} must be a single value` });
+      continue;
+    }
+    const value = params[field].trim();
+    if (value) filters[field] = value;
+  }
+
+  if (filters.school_id && !UUID_PATTERN.test(filters.school_id)) {
+    errors.push({ field: 'school_id', message: 'school_id must be a UUID' });
+  }
+
+  for (const field of ['is_inside_event', 'has_completed_ranking', 'is_active']) {
+    if (params[field] === undefined) continue;
+    if (params[field] !== 'true' && params[field] !== 'false') {
+      errors.push({ field, message: `${field} must be true or false` });
+    } else {
+      filters[field] = params[field] === 'true';
+    }
+  }
+
+  for (const field of ['min_feedback', 'max_feedback']) {
+    if (params[field] === undefined) continue;
+    const value = typeof params[field] === 'string' ? Number(params[field]) : NaN;
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push({ field, message: `${field} must be a non-negative integer` });
+    } else {
+      filters[field] = value;
+    }
+  }
+
+  return { filters, errors };
+};
+
+/**
+ * Get all students (admin directory)
+ * @route GET /api/admin/students
+ *
+ * @description
+ * Search and filter with cursor pagination (newest first). Pass pagination.nextCursor
+ * back as ?cursor= to load the next page.
+ *
+ * Query: q (name / registration no / email), school_id, batch, program_name,
+ * is_inside_event, has_completed_ranking, is_active, min_feedback, max_feedback,
+ * limit (1-500, default 100), cursor
+ */
+const getAllStudents = async (req, res, next) => {
+  try {
+    const { filters, errors } = parseStudentFilters(req.query);
+    if (errors.length > 0) {
+      return errorResponse(res, 'Invalid filters', 400, errors);
+    }
+
+    const { schoolId, error: scopeError } = resolveSchoolScope(req, filters.school_id);
+    if (scopeError) {
+      return errorResponse(res, scopeError, 403);
+    }
+    if (schoolId) filters.school_id = schoolId;
+
+    const { limit, error: limitError } = parsePageLimit(req.query.limit);
+    if (limitError) {
+      return errorResponse(res, limitError, 400);
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodePageCursor(req.query.cursor);
+      if (!cursor) {
+        return errorResponse(res, 'Invalid cursor', 400);
+      }
+    }
+    const page = cursor ? cursor.page + 1 : 1;
+
+    // Fetch one extra row to know whether another page exists
+    const [rows, total] = await Promise.all([
+      Student.search(filters, { limit: limit + 1, after: cursor }, query),
+      Student.countSearch(filters, query)
+    ]);
+
+    const students = rows.slice(0, limit);
+    const last = students[students.length - 1];
+    const nextCursor = rows.length > limit
+      ? encodePageCursor({ created_at: last.created_at_key, id: last.id, page })
+      : null;
+
+    return paginatedResponse(res, students.map(toAdminStudent), page, limit, total, nextCursor);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin-editable student fields (PUT /api/admin/students/:id)
+const STUDENT_EDITABLE_FIELDS = [
+  'full_name', 'email', 'phone', 'school_id', 'program_name', 'batch',
+  'date_of_birth', 'pincode', 'address'
+];
+
+/**
+ * Student as returned to admins (never includes password_hash)
+ * @param {StudentModel} student
+ */
+const toAdminStudent = (student) => {
+  const { password_hash, created_at_key, ...data } = student;
+  return data;
+};
+
+/**
+ * Validate admin-supplied student fields
+ * @param {Object} data - Request body
+ * @param {boolean} partial - true for updates (only validate fields that are present)
+ * @returns {Promise<Array>} [{ field, message }]
+ */
+const validateStudentFields = async (data, partial = false) => {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  const isSet = (field) => data[field] !== undefined && data[field] !== null && data[field] !== '';
+
+  const required = ['registration_no', 'full_name', 'email', 'date_of_birth', 'pincode', 'school_id'];
+  for (const field of required) {
+    if (partial && !(field in data)) continue;
+    if (!isSet(field)) addError(field, `${field} is required`);
+  }
+
+  if (isSet('email') && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    addError('email', 'Invalid email format');
+  }
+  if (isSet('date_of_birth') && !Student.isValidDateOfBirth(data.date_of_birth)) {
+    addError('date_of_birth', 'Invalid date of birth format or age requirement not met');
+  }
+  if (isSet('pincode') && !Student.isValidPincode(String(data.pincode))) {
+    addError('pincode', 'Pincode must be exactly 6 digits');
+  }
+  if (isSet('password') && !Student.isValidPassword(data.password)) {
+    addError('password', 'Password must be at least 8 characters with at least one letter and one number');
+  }
+  if (isSet('school_id') && !(await School.findById(data.school_id, query))) {
+    addError('school_id', 'School not found');
+  }
+
+  return errors;
+};
+
+/**
+ * Get a single student (admin view)
+ * @route GET /api/admin/students/:id
+ */
+const getStudentById = async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id, query);
+    if (!student || !canAccessSchool(req, student.school_id)) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    return successResponse(res, toAdminStudent(student));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a single student
+ * @route POST /api/admin/students
+ *
+ * @description
+ * Same fields as a roster import row, with school_id instead of school_name.
+ * Without a password the student activates the account via the DOB + pincode reset flow.
+ */
+const createStudent = async (req, res, next) => {
+  try {
+    const data = { ...req.body };
+
+    // Coordinators create students in their own school (school_id may be omitted)
+    const { schoolId, error: scopeError } = resolveSchoolScope(req, data.school_id);
+    if (scopeError) {
+      return errorResponse(res, scopeError, 403);
+    }
+    if (schoolId) data.school_id = schoolId;
+
+    const errors = await validateStudentFields(data);
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
+    }
+
+    if (await Student.findByRegistrationNo(data.registration_no, query)) {
+      return errorResponse(res, 'Student already exists', 409);
+    }
+    if (await Student.findByEmail(data.email, query)) {
+      return errorResponse(res, 'Email already registered', 409);
+    }
+
+    const student = await Student.create({
+      ...data,
+      pincode: String(data.pincode),
+      password: data.password || crypto.randomBytes(24).toString('hex')
+    }, query);
+
+    return successResponse(res, toAdminStudent(student), 'Student created successfully', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a student's roster details (school, program, batch, contact, DOB/pincode)
+ * @route PUT /api/admin/students/:id
+ *
+ * @description
+ * Only fields present in the body are changed. registration_no is immutable - it is
+ * what the rotating QR tokens are bound to. Use is_active to (re)activate the account.
+ */
+const updateStudent = async (req, res, next) => {
+  try {
+    const existing = await Student.findById(req.params.id, query);
+    if (!existing || !canAccessSchool(req, existing.school_id)) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+    if (req.body.school_id && !canAccessSchool(req, req.body.school_id)) {
+      return errorResponse(res, 'You can only access your own school', 403);
+    }
+
+    if (req.body.registration_no && req.body.registration_no !== existing.registration_no) {
+      return errorResponse(res, 'registration_no cannot be changed', 400);
+    }
+
+    const updateData = {};
+    for (const field of STUDENT_EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+    if (req.body.is_active !== undefined) {
+      if (typeof req.body.is_active !== 'boolean') {
+        return errorResponse(res, 'is_active must be a boolean', 400);
+      }
+      updateData.is_active = req.body.is_active;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return errorResponse(res, `Nothing to update. Editable fields: ${STUDENT_EDITABLE_FIELDS.join(', ')}, is_active`, 400);
+    }
+
+    const errors = await validateStudentFields(updateData, true);
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
+    }
+
+    if (updateData.email && updateData.email !== existing.email) {
+      const emailOwner = await Student.findByEmail(updateData.email, query);
+      if (emailOwner && emailOwner.id !== existing.id) {
+        return errorResponse(res, 'Email already registered', 409);
+      }
+    }
+    if (updateData.pincode !== undefined) {
+      updateData.pincode = String(updateData.pincode);
+    }
+
+    await Student.update(existing.id, updateData, query);
+    const student = await Student.findById(existing.id, query);
+
+    return successResponse(res, toAdminStudent(student), 'Student updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a student account (soft delete - history, feedback and rankings are kept)
+ * @route DELETE /api/admin/students/:id
+ *
+ * @description
+ * Takes effect on the student's next login or password reset. Reactivate with
+ * PUT /api/admin/students/:id { "is_active": true }.
+ */
+const deactivateStudent = async (req, res, next) => {
+  try {
+    const existing = await Student.findById(req.params.id, query);
+    if (!existing || !canAccessSchool(req, existing.school_id)) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    const student = await Student.update(existing.id, { is_active: false }, query);
+    if (!student) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    return successResponse(res, {
+      id: student.id,
+      registration_no: student.registration_no,
+      is_active: student.is_active
+    }, 'Student deactivated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Force a password reset on the student's next login
+ * @route POST /api/admin/students/:id/force-password-reset
+ *
+ * @description
+ * Sets password_reset_required; login then returns requires_password_reset and the
+ * student must set a new password through the DOB + pincode flow.
+ */
+const forceStudentPasswordReset = async (req, res, next) => {
+  try {
+    const existing = await Student.findById(req.params.id, query);
+    if (!existing || !canAccessSchool(req, existing.school_id)) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    const student = await Student.update(existing.id, { password_reset_required: true }, query);
+    if (!student) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    return successResponse(res, {
+      id: student.id,
+      registration_no: student.registration_no,
+      password_reset_required: student.password_reset_required
+    }, 'Password reset will be required on next login');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validate parsed student rows against the DB and each other
+ * @param {Array} rows - Output of parseStudentSheet().rows
+ * @returns {Promise<{ validRows: Array, errors: Array }>}
+ */
+const validateStudentRows = async (rows) => {
+  const schools = await School.findAll(query);
+  const schoolsByName = new Map(schools.map(s => [s.school_name.trim().toLowerCase(), s]));
+
+  const existing = await Student.findExistingIdentifiers(
+    rows.map(r => r.data.registration_no).filter(Boolean),
+    rows.map(r => r.data.email).filter(Boolean),
+    query
+  );
+
+  const seenRegistrationNos = new Set();
+  const seenEmails = new Set();
+  const validRows = [];
+  const errors = [];
+
+  for (const { rowNumber, data } of rows) {
+    const rowErrors = [];
+    const addError = (field, message) => rowErrors.push({
+      row: rowNumber,
+      registration_no: data.registration_no,
+      field,
+      message
+    });
+
+    if (!data.registration_no) addError('registration_no', 'Registration number is required');
+    if (!data.full_name) addError('full_name', 'Full name is required');
+
+    if (!data.email) {
+      addError('email', 'Email is required');
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+      addError('email', 'Invalid email format');
+    }
+
+    if (!data.date_of_birth) {
+      addError('date_of_birth', `Unrecognised date of birth: ${data.raw_date_of_birth ?? '(empty)'}`);
+    } else if (!Student.isValidDateOfBirth(data.date_of_birth)) {
+      addError('date_of_birth', 'Invalid date of birth format or age requirement not met');
+    }
+
+    if (!data.pincode || !Student.isValidPincode(data.pincode)) {
+      addError('pincode', 'Pincode must be exactly 6 digits');
+    }
+
+    if (data.password && !Student.isValidPassword(data.password)) {
+      addError('password', 'Password must be at least 8 characters with at least one letter and one number');
+    }
+
+    const school = data.school_name ? schoolsByName.get(data.school_name.toLowerCase()) : null;
+    if (!data.school_name) {
+      addError('school_name', 'School name is required');
+    } else if (!school) {
+      addError('school_name', `Unknown school: ${data.school_name}`);
+    }
+
+    if (data.registration_no) {
+      if (seenRegistrationNos.has(data.registration_no)) {
+        addError('registration_no', 'Duplicate registration number in file');
+      } else if (existing.registrationNos.has(data.registration_no)) {
+        addError('registration_no', 'Student already exists');
+      }
+      seenRegistrationNos.add(data.registration_no);
+    }
+
+    if (data.email) {
+      if (seenEmails.has(data.email)) {
+        addError('email', 'Duplicate email in file');
+      } else if (existing.emails.has(data.email)) {
+        addError('email', 'Email already registered');
+      }
+      seenEmails.add(data.email);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+    } else {
+      validRows.push({ ...data, school_id: school.id });
+    }
+  }
+
+  return { validRows, errors };
+};
+
+/**
+ * Bulk import students from an Excel/CSV roster
+ * @route POST /api/admin/students/import
+ *
+ * @description
+ * Multipart upload (field: file). Columns: registration_no, full_name, email,
+ * date_of_birth, pincode, program_name, batch, school_name (+ optional phone, address, password).
+ * - ?dry_run=true validates every row and returns row-level errors without writing
+ * - Otherwise the import is rejected (422) if any row is invalid, so a sheet is never half-imported
+ * - Students without a password column must activate via verify-reset-credentials (DOB + pincode)
+ */
+const importStudents = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return errorResponse(res, 'Spreadsheet file is required (field: file)', 400);
+    }
+
+    const dryRun = String(req.query.dry_run ?? req.body?.dry_run ?? 'false') === 'true';
+
+    let parsed;
+    try {
+      parsed = await parseStudentSheet(req.file);
+    } catch (parseError) {
+      return errorResponse(res, `Could not read spreadsheet: ${parseError.message}`, 400);
+    }
+
+    const missingColumns = findMissingColumns(
+      parsed.headers,
+      STUDENT_COLUMNS,
+      ['registration_no', 'full_name', 'email', 'date_of_birth', 'pincode', 'school_name']
+    );
+    if (missingColumns.length > 0) {
+      return errorResponse(res, 'Missing required columns', 400, { missing_columns: missingColumns });
+    }
+
+    if (parsed.rows.length === 0) {
+      return errorResponse(res, 'Spreadsheet has no data rows', 400);
+    }
+
+    const { validRows, errors } = await validateStudentRows(parsed.rows);
+    const invalidRowCount = new Set(errors.map(e => e.row)).size;
+
+    const summary = {
+      dry_run: dryRun,
+      total_rows: parsed.rows.length,
+      valid_rows: validRows.length,
+      invalid_rows: invalidRowCount
+    };
+
+    if (dryRun) {
+      return successResponse(res, { ...summary, errors }, 'Dry run completed - nothing was imported');
+    }
+
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
+    }
+
+    // One unusable hash shared by rows without a password - avoids 11k bcrypt rounds.
+    // Those students set their own password through the DOB + pincode reset flow.
+    const placeholderHash = await Student.hashPassword(crypto.randomBytes(24).toString('hex'));
+
+    const created = await Student.bulkCreate(
+      validRows.map(row => ({
+        ...row,
+        password_hash: row.password ? null : placeholderHash
+      })),
+      query
+    );
+
+    const createdRegistrationNos = new Set(created.map(s => s.registration_no));
+    const skipped = validRows
+      .filter(row => !createdRegistrationNos.has(row.registration_no))
+      .map(row => row.registration_no);
+
+    return successResponse(res, {
+      ...summary,
+      inserted: created.length,
+      skipped: skipped.length,
+      skipped_registration_nos: skipped
+    }, `${created.length} students imported successfully`, 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all volunteers (admin view)
+ * @route GET /api/admin/volunteers
+ */
+const getAllVolunteers = async (req, res, next) => {
+  try {
+    // ?include_inactive=true also lists pending, rejected and deactivated volunteers
+    const volunteers = req.query.include_inactive === 'true'
+      ? await Volunteer.findAll(query)
+      : await Volunteer.findAllActive(query);
+    return successResponse(res, volunteers);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Volunteer as returned to admins (never includes password_hash)
+ * @param {VolunteerModel} volunteer
+ */
+const toAdminVolunteer = (volunteer) => {
+  const { password_hash, ...data } = volunteer;
+  return data;
+};
+
+/**
+ * Volunteer registrations waiting for approval (oldest first)
+ * @route GET /api/admin/volunteers/pending
+ */
+const getPendingVolunteers = async (req, res, next) => {
+  try {
+    const volunteers = await Volunteer.findPending(query);
+    return successResponse(res, volunteers.map(toAdminVolunteer));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a pending volunteer registration
+ * @route POST /api/admin/volunteers/:id/approve
+ * @param {string} req.body.assigned_location - Gate to assign (required unless the volunteer requested one)
+ */
+const approveVolunteer = async (req, res, next) => {
+  try {
+    const volunteer = await Volunteer.findById(req.params.id, query);
+    if (!volunteer) {
+      return errorResponse(res, 'Volunteer not found', 404);
+    }
+    if (volunteer.approval_status !== 'PENDING') {
+      return errorResponse(res, `Volunteer registration is already ${volunteer.approval_status}`, 409);
+    }
+
+    const assignedLocation = req.body?.assigned_location?.trim() || volunteer.assigned_location;
+    if (!assignedLocation) {
+      return errorResponse(res, 'assigned_location is required to approve a volunteer', 400);
+    }
+
+    const approved = await Volunteer.review(volunteer.id, {
+      approval_status: 'APPROVED',
+      assigned_location: assignedLocation,
+      reviewed_by: req.user.id
+    }, query);
+    if (!approved) {
+      return errorResponse(res, 'Volunteer registration was already reviewed', 409);
+    }
+
+    return successResponse(res, toAdminVolunteer(approved), 'Volunteer approved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a pending volunteer registration
+ * @route POST /api/admin/volunteers/:id/reject
+ * @param {string} req.body.reason - Optional rejection reason (kept for audit)
+ */
+const rejectVolunteer = async (req, res, next) => {
+  try {
+    const volunteer = await Volunteer.findById(req.params.id, query);
+    if (!volunteer) {
+      return errorResponse(res, 'Volunteer not found', 404);
+    }
+    if (volunteer.approval_status !== 'PENDING') {
+      return errorResponse(res, `Volunteer registration is already ${volunteer.approval_status}`, 409);
+    }
+
+    const rejected = await Volunteer.review(volunteer.id, {
+      approval_status: 'REJECTED',
+      reviewed_by: req.user.id,
+      rejection_reason: req.body?.reason
+    }, query);
+    if (!rejected) {
+      return errorResponse(res, 'Volunteer registration was already reviewed', 409);
+    }
+
+    return successResponse(res, toAdminVolunteer(rejected), 'Volunteer rejected');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a volunteer (details, gate assignment, deactivate / reactivate)
+ * @route PUT /api/admin/volunteers/:id
+ *
+ * @description
+ * Setting is_active to false blocks the volunteer at their next login and on every scan.
+ */
+const updateVolunteer = async (req, res, next) => {
+  try {
+    const { full_name, email, phone, assigned_location, is_active } = req.body;
+
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+      return errorResponse(res, 'is_active must be a boolean', 400);
+    }
+
+    if (email) {
+      const emailOwner = await Volunteer.findByEmail(email, query);
+      if (emailOwner && emailOwner.id !== req.params.id) {
+        return errorResponse(res, 'Email already registered', 409);
+      }
+    }
+
+    const volunteer = await Volunteer.update(req.params.id, {
+      full_name,
+      email,
+      phone,
+      assigned_location,
+      is_active
+    }, query);
+    if (!volunteer) {
+      return errorResponse(res, 'Volunteer not found', 404);
+    }
+
+    return successResponse(res, toAdminVolunteer(volunteer), 'Volunteer updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set or clear a volunteer's gate mode override
+ * @route PUT /api/admin/volunteers/:id/gate-mode
+ * @param {string|null} req.body.gate_mode - ENTRY | EXIT | TOGGLE, or null to follow the location's mode
+ */
+const setVolunteerGateMode = async (req, res, next) => {
+  try {
+    const { gate_mode } = req.body;
+    const gateMode = gate_mode ? String(gate_mode).toUpperCase() : null;
+
+    if (gateMode && !GateLocation.isValidGateMode(gateMode)) {
+      return errorResponse(res, `gate_mode must be one of: ${GateLocation.GATE_MODES.join(', ')} (or null)`, 400);
+    }
+
+    const volunteer = await Volunteer.setGateMode(req.params.id, gateMode, query);
+    if (!volunteer) {
+      return errorResponse(res, 'Volunteer not found', 404);
+    }
 
     return successResponse(res, {
-      token,
-      admin: {
-        id: admin.id,
-        email: admin.email,
-        full_name: admin.full_name,
-        role: admin.role
-      }
-    }, 'Login successful');
+      id: volunteer.id,
+      full_name: volunteer.full_name,
+      assigned_location: volunteer.assigned_location,
+      gate_mode: volunteer.gate_mode,
+      effective_gate_mode: await GateLocation.resolveForVolunteer(volunteer, query)
+    }, 'Volunteer gate mode updated');
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Get admin profile
- * @route GET /api/admin/profile
+ * List configured gate locations and their modes
+ * @route GET /api/admin/gate-locations
  */
-const getProfile = async (req, res, next) => {
+const getGateLocations = async (req, res, next) => {
   try {
-    const admin = await Admin.findById(req.user.id, query);
-    if (!admin) {
-      return errorResponse(res, 'Admin not found', 404);
+    const locations = await GateLocation.findAll(query);
+    return successResponse(res, {
+      default_gate_mode: GateLocation.DEFAULT_GATE_MODE,
+      locations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or update the gate mode for a location (matches volunteers.assigned_location)
+ * @route PUT /api/admin/gate-locations
+ * @param {string} req.body.location_name - e.g. "Main Gate"
+ * @param {string} req.body.gate_mode - ENTRY | EXIT | TOGGLE
+ */
+const upsertGateLocation = async (req, res, next) => {
+  try {
+    const locationName = req.body.location_name?.trim();
+    const gateMode = String(req.body.gate_mode || '').toUpperCase();
+
+    if (!locationName) {
+      return errorResponse(res, 'location_name is required', 400);
     }
 
-    return successResponse(res, {
-      id: admin.id,
-      email: admin.email,
-      full_name: admin.full_name,
-      role: admin.role,
-      created_at: admin.created_at
+    if (!GateLocation.isValidGateMode(gateMode)) {
+      return errorResponse(res, `gate_mode must be one of: ${GateLocation.GATE_MODES.join(', ')}`, 400);
+    }
+
+    const location = await GateLocation.upsert(locationName, gateMode, query);
+    return successResponse(res, location, 'Gate location saved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a location's gate mode (its volunteers fall back to TOGGLE)
+ * @route DELETE /api/admin/gate-locations/:locationName
+ */
+const deleteGateLocation = async (req, res, next) => {
+  try {
+    const location = await GateLocation.delete(req.params.locationName, query);
+    if (!location) {
+      return errorResponse(res, 'Gate location not found', 404);
+    }
+    return successResponse(res, location, 'Gate location removed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close all open sessions now (end-of-day auto checkout)
+ * @route POST /api/admin/checkout/auto
+ *
+ * @description
+ * Writes a system-generated CHECKOUT for every student still inside whose check-in is at or
+ * before closing_at. Duration is capped (AUTO_CHECKOUT_MAX_SESSION_MINUTES) so a forgotten
+ * scan-out cannot inflate total_active_duration_minutes. Safe to run more than once.
+ *
+ * @param {string} req.body.closing_at - Optional ISO timestamp (default: latest EVENT_CLOSING_TIME)
+ * @param {boolean} req.query.dry_run - Only report how many sessions would be closed
+ */
+const runAutoCheckout = async (req, res, next) => {
+  try {
+    let closingAt = null;
+    if (req.body?.closing_at) {
+      closingAt = new Date(req.body.closing_at);
+      if (isNaN(closingAt.getTime())) {
+        return errorResponse(res, 'closing_at must be a valid timestamp', 400);
+      }
+      if (closingAt > new Date()) {
+        return errorResponse(res, 'closing_at cannot be in the future', 400);
+      }
+    }
+
+    const result = await AutoCheckoutService.run({
+      closingAt,
+      dryRun: req.query.dry_run === 'true',
+      triggeredBy: `admin:${req.user.id}`
     });
+
+    return successResponse(
+      res,
+      result,
+      result.dry_run ? 'Auto checkout dry run' : `Closed ${result.closed} open session(s)`
+    );
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Admin logout
- * @route POST /api/admin/logout
+ * Positions and scores per school, before vs after a merge
+ * Only schools whose position or score changes are returned.
+ * @param {Array} before - School.getRankingScores() rows
+ * @param {Array} after - School.getRankingScores() rows with the merge applied
  */
-const logout = async (req, res, next) => {
+const diffRankingScores = (before, after) => {
+  const toEntries = (rows) => new Map(rows.map((row, index) => [row.school_id, {
+    school_name: row.school_name,
+    position: index + 1,
+    score: parseInt(row.school_score)
+  }]));
+  const beforeById = toEntries(before);
+  const afterById = toEntries(after);
+
+  return [...new Set([...beforeById.keys(), ...afterById.keys()])]
+    .map(schoolId => {
+      const old = beforeById.get(schoolId);
+      const updated = afterById.get(schoolId);
+      return {
+        school_id: schoolId,
+        school_name: (updated || old).school_name,
+        position_before: old?.position ?? null,
+        position_after: updated?.position ?? null,
+        score_before: old?.score ?? 0,
+        score_after: updated?.score ?? 0
+      };
+    })
+    .filter(change => change.position_before !== change.position_after || change.score_before !== change.score_after)
+    .sort((a, b) => (a.position_after ?? Infinity) - (b.position_after ?? Infinity));
+};
+
+/**
+ * List schools with student / stall / feedback counts
+ * @route GET /api/admin/schools
+ */
+const getAllSchools = async (req, res, next) => {
   try {
-    clearAuthCookie(res);
-    return successResponse(res, null, 'Logout successful');
+    const schools = (await School.getAllWithStats(query))
+      .filter(school => canAccessSchool(req, school.id));
+    return successResponse(res, schools.map(school => ({
+      ...school,
+      total_students: parseInt(school.total_students),
+      total_stalls: parseInt(school.total_stalls),
+      total_feedbacks: parseInt(school.total_feedbacks)
+    })));
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Update admin profile
- * @route PUT /api/admin/profile
+ * Create a school
+ * @route POST /api/admin/schools
  */
-const updateProfile = async (req, res, next) => {
+const createSchool = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
-    const updateData = {};
+    const schoolName = req.body.school_name?.trim();
+    if (!schoolName) {
+      return errorResponse(res, 'school_name is required', 400);
+    }
 
-    if (email) {
-      updateData.email = email;
+    if (await School.findByName(schoolName, query)) {
+      return errorResponse(res, 'School already exists', 409);
     }
 
-    if (password) {
-      const salt = await bcrypt.genSalt(12);
-      updateData.password_hash = await bcrypt.hash(password, salt);
+    const school = await School.create({
+      school_name: schoolName,
+      description: req.body.description
+    }, query);
+
+    return successResponse(res, school, 'School created successfully', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a school or edit its description
+ * @route PUT /api/admin/schools/:id
+ */
+const updateSchool = async (req, res, next) => {
+  try {
+    const schoolName = req.body.school_name?.trim();
+
+    if (schoolName) {
+      const existing = await School.findByName(schoolName, query);
+      if (existing && existing.id !== req.params.id) {
+        return errorResponse(res, 'Another school already uses this name. Merge the schools instead.', 409);
+      }
     }
 
-    const updatedAdmin = await Admin.update(req.user.id, updateData, query);
-    if (!updatedAdmin) {
-      return errorResponse(res, 'Admin not found', 404);
+    const school = await School.update(req.params.id, {
+      school_name: schoolName || null,
+      description: req.body.description
+    }, query);
+    if (!school) {
+      return errorResponse(res, 'School not found', 404);
     }
 
-    return successResponse(res, {
-      id: updatedAdmin.id,
-      email: updatedAdmin.email,
-      full_name: updatedAdmin.full_name
-    }, 'Profile updated successfully');
+    return successResponse(res, school, 'School updated successfully');
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Get all students (admin view)
- * @route GET /api/admin/students
+ * Stats for one school
+ * @route GET /api/admin/schools/:id/stats
  */
-const getAllStudents = async (req, res, next) => {
+const getSchoolStats = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
-    const students = await Student.findAll(limit, offset, query);
-    return successResponse(res, students);
+    const school = await School.findById(req.params.id, query);
+    if (!school || !canAccessSchool(req, school.id)) {
+      return errorResponse(res, 'School not found', 404);
+    }
+
+    const stats = await School.getSchoolStats(school.id, query);
+    const ranking = (await School.getRankingScores(null, query)).findIndex(row => row.school_id === school.id);
+
+    return successResponse(res, {
+      ...school,
+      total_students: parseInt(stats.total_students),
+      total_stalls: parseInt(stats.total_stalls),
+      total_feedbacks: parseInt(stats.total_feedbacks),
+      ranking_position: ranking === -1 ? null : ranking + 1
+    });
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Get all volunteers (admin view)
- * @route GET /api/admin/volunteers
+ * Merge a duplicate school into a canonical one
+ * @route POST /api/admin/schools/:id/merge
+ *
+ * @description
+ * Moves every student and stall from :id to target_school_id and deletes :id.
+ * Existing rankings are kept, but school scores are recomputed with the new school
+ * membership, so the response includes how the top-schools leaderboard changes.
+ * ?dry_run=true reports the same numbers without writing anything.
+ *
+ * @param {string} req.body.target_school_id - Canonical school to keep
  */
-const getAllVolunteers = async (req, res, next) => {
+const mergeSchool = async (req, res, next) => {
   try {
-    const volunteers = await Volunteer.findAllActive(query);
-    return successResponse(res, volunteers);
+    const fromId = req.params.id;
+    const toId = req.body.target_school_id;
+    const dryRun = req.query.dry_run === 'true';
+
+    if (!toId) {
+      return errorResponse(res, 'target_school_id is required', 400);
+    }
+    if (fromId === toId) {
+      return errorResponse(res, 'Cannot merge a school into itself', 400);
+    }
+
+    const [duplicate, canonical] = await Promise.all([
+      School.findById(fromId, query),
+      School.findById(toId, query)
+    ]);
+    if (!duplicate || !canonical) {
+      return errorResponse(res, `${duplicate ? 'Target' : 'Source'} school not found`, 404);
+    }
+
+    const preview = async (sql) => {
+      const before = await School.getRankingScores(null, sql);
+      const after = await School.getRankingScores(null, sql, { fromId, toId });
+      return diffRankingScores(before, after);
+    };
+
+    let moved;
+    let rankingChanges;
+    if (dryRun) {
+      const stats = await School.getSchoolStats(fromId, query);
+      const coordinators = (await Admin.findAll(query)).filter(admin => admin.school_id === fromId);
+      moved = {
+        students_moved: parseInt(stats.total_students),
+        stalls_moved: parseInt(stats.total_stalls),
+        admins_moved: coordinators.length
+      };
+      rankingChanges = await preview(query);
+    } else {
+      ({ moved, rankingChanges } = await withTransaction(async (sql) => {
+        await sql(`SELECT id FROM schools WHERE id = ANY($1::uuid[]) FOR UPDATE`, [[fromId, toId]]);
+        const changes = await preview(sql);
+        return { moved: await School.merge(fromId, toId, sql), rankingChanges: changes };
+      }));
+    }
+
+    return successResponse(res, {
+      dry_run: dryRun,
+      merged_school: { id: duplicate.id, school_name: duplicate.school_name },
+      target_school: { id: canonical.id, school_name: canonical.school_name },
+      ...moved,
+      ranking_changes: rankingChanges
+    }, dryRun
+      ? 'Merge dry run - nothing was changed'
+      : `Merged ${duplicate.school_name} into ${canonical.school_name}`);
   } catch (error) {
     next(error);
   }
@@ -162,7 +1320,8 @@ const getAllVolunteers = async (req, res, next) => {
  */
 const getAllStalls = async (req, res, next) => {
   try {
-    const stalls = await Stall.findAll(query);
+    const stalls = (await Stall.findAll(query))
+      .filter(stall => canAccessSchool(req, stall.school_id));
     return successResponse(res, stalls);
   } catch (error) {
     next(error);
@@ -170,22 +1329,348 @@ const getAllStalls = async (req, res, next) => {
 };
 
 /**
- * Get system statistics
+ * Issue exhibitor credentials for a stall
+ * @route POST /api/admin/stalls/:id/credentials
+ *
+ * @description
+ * Sets the exhibitor portal password (login: stall_number + password). Without a
+ * body password a random one is generated. The password is only returned in this
+ * response - issuing again replaces it.
+ */
+const issueStallCredentials = async (req, res, next) => {
+  try {
+    const stall = await Stall.findById(req.params.id, query);
+    if (!stall || !canAccessSchool(req, stall.school_id)) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
+    const password = req.body?.password || crypto.randomBytes(9).toString('base64url');
+    if (password.length < 8) {
+      return errorResponse(res, 'Password must be at least 8 characters', 400);
+    }
+
+    await Stall.setPassword(stall.id, password, query);
+
+    return successResponse(res, {
+      id: stall.id,
+      stall_number: stall.stall_number,
+      stall_name: stall.stall_name,
+      password
+    }, 'Exhibitor credentials issued');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Regenerate a stall's QR code (leaked or damaged poster)
+ * @route POST /api/admin/stalls/:id/qr-code/regenerate
+ *
+ * @description
+ * The old token is revoked - scanning the old poster returns 410 "this QR has been replaced" -
+ * and its cached image is purged. Body: { reason } (optional, kept on the revocation list).
+ */
+const regenerateStallQR = async (req, res, next) => {
+  try {
+    const stall = await Stall.findById(req.params.id, query);
+    if (!stall || !canAccessSchool(req, stall.school_id)) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() || null : null;
+
+    const result = await withTransaction((sql) =>
+      QRCodeService.regenerateStallQR(stall.id, { reason, revokedBy: req.user.id }, sql)
+    );
+    if (!result) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
+    if (result.previous_token) {
+      await QRCodeService.clearQRCache(result.previous_token);
+    }
+    const qrCodeImage = await QRCodeService.generateQRCodeImage(result.qr_token);
+
+    return successResponse(res, {
+      id: stall.id,
+      stall_number: stall.stall_number,
+      stall_name: stall.stall_name,
+      qr_code_token: result.qr_token,
+      qr_code: qrCodeImage,
+      previous_token_revoked: Boolean(result.previous_token)
+    }, 'Stall QR code regenerated. Reprint the poster - the old QR code no longer works.');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get revoked QR tokens for a stall (newest first)
+ * @route GET /api/admin/stalls/:id/qr-code/revocations
+ */
+const getStallQRRevocations = async (req, res, next) => {
+  try {
+    const stall = await Stall.findById(req.params.id, query);
+    if (!stall || !canAccessSchool(req, stall.school_id)) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
+    const revocations = await StallQRRevocation.findByStall(stall.id, query);
+
+    return successResponse(res, {
+      stall_id: stall.id,
+      stall_number: stall.stall_number,
+      total: revocations.length,
+      revocations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bulk create or update stalls from an Excel/CSV sheet
+ * @route POST /api/admin/stalls/import
+ *
+ * @description
+ * Multipart upload (field: file). Columns: stall_number, stall_name, school_name
+ * (+ optional description, location). Every new stall gets a fresh QR token.
+ * Existing stall numbers are skipped (ON CONFLICT stall_number) unless
+ * ?update_existing=true, in which case name/school/description/location are updated
+ * and the existing QR token is kept so printed posters stay valid.
+ *
+ * @returns {Object} Totals and a per-row report: inserted | updated | skipped | failed
+ */
+const importStalls = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return errorResponse(res, 'Spreadsheet file is required (field: file)', 400);
+    }
+
+    const updateExisting = String(req.query.update_existing ?? req.body?.update_existing ?? 'false') === 'true';
+
+    let parsed;
+    try {
+      parsed = await parseStallSheet(req.file);
+    } catch (parseError) {
+      return errorResponse(res, `Could not read spreadsheet: ${parseError.message}`, 400);
+    }
+
+    const missingColumns = findMissingColumns(
+      parsed.headers,
+      STALL_COLUMNS,
+      ['stall_number', 'stall_name', 'school_name']
+    );
+    if (missingColumns.length > 0) {
+      return errorResponse(res, 'Missing required columns', 400, { missing_columns: missingColumns });
+    }
+
+    if (parsed.rows.length === 0) {
+      return errorResponse(res, 'Spreadsheet has no data rows', 400);
+    }
+
+    const report = [];
+    const candidates = [];
+    const schoolCache = new Map();
+    const seenStallNumbers = new Set();
+
+    // 1️⃣ Validate rows and resolve school names
+    for (const { rowNumber, data } of parsed.rows) {
+      const fail = (reason) => report.push({
+        row: rowNumber,
+        stall_number: data.stall_number,
+        status: 'failed',
+        reason
+      });
+
+      if (!data.stall_number) { fail('Stall number is required'); continue; }
+      if (!data.stall_name) { fail('Stall name is required'); continue; }
+      if (!data.school_name) { fail('School name is required'); continue; }
+
+      if (seenStallNumbers.has(data.stall_number)) {
+        fail('Duplicate stall number in file');
+        continue;
+      }
+      seenStallNumbers.add(data.stall_number);
+
+      if (!schoolCache.has(data.school_name)) {
+        schoolCache.set(data.school_name, await School.findByName(data.school_name, query));
+      }
+      const school = schoolCache.get(data.school_name);
+      if (!school) {
+        fail(`Unknown school: ${data.school_name}`);
+        continue;
+      }
+
+      candidates.push({
+        rowNumber,
+        stall_number: data.stall_number,
+        stall_name: data.stall_name,
+        school_id: school.id,
+        description: data.description,
+        location: data.location,
+        qr_code_token: QRCodeService.generateStallQRToken({ stall_number: data.stall_number })
+      });
+    }
+
+    // 2️⃣ Insert new stalls in one statement (existing stall numbers are left untouched)
+    const inserted = await Stall.bulkCreate(candidates, query);
+    const insertedByNumber = new Map(inserted.map(stall => [String(stall.stall_number), stall]));
+
+    // 3️⃣ Report inserted rows, then skip or update the conflicting ones
+    for (const candidate of candidates) {
+      const stall = insertedByNumber.get(String(candidate.stall_number));
+
+      if (stall) {
+        report.push({
+          row: candidate.rowNumber,
+          stall_number: candidate.stall_number,
+          status: 'inserted',
+          stall_id: stall.id,
+          qr_code_token: stall.qr_code_token
+        });
+        continue;
+      }
+
+      if (!updateExisting) {
+        report.push({
+          row: candidate.rowNumber,
+          stall_number: candidate.stall_number,
+          status: 'skipped',
+          reason: 'Stall number already exists'
+        });
+        continue;
+      }
+
+      const existing = await Stall.findByStallNumber(candidate.stall_number, query);
+      const updated = existing && await Stall.update(existing.id, {
+        stall_name: candidate.stall_name,
+        school_id: candidate.school_id,
+        description: candidate.description,
+        location: candidate.location
+      }, query);
+
+      report.push(updated
+        ? { row: candidate.rowNumber, stall_number: candidate.stall_number, status: 'updated', stall_id: updated.id }
+        : { row: candidate.rowNumber, stall_number: candidate.stall_number, status: 'failed', reason: 'Stall could not be updated' });
+    }
+
+    report.sort((a, b) => a.row - b.row);
+
+    const countBy = (status) => report.filter(r => r.status === status).length;
+
+    return successResponse(res, {
+      total_rows: parsed.rows.length,
+      inserted: countBy('inserted'),
+      updated: countBy('updated'),
+      skipped: countBy('skipped'),
+      failed: countBy('failed'),
+      rows: report
+    }, 'Stall import completed', countBy('inserted') > 0 ? 201 : 200);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Convert an aggregate row (COUNT/SUM/AVG come back as strings) to numbers
+ * @param {Object} row
+ * @returns {Object} Same keys, numeric values rounded to 2 decimals (NULL → 0)
+ */
+const toNumericStats = (row = {}) => Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [key, Math.round(Number(value ?? 0) * 100) / 100])
+);
+
+/**
+ * Merge hourly scan and feedback counts into one gap-free series
+ * Hours are event-local wall-clock strings ('YYYY-MM-DDTHH:00'), so they are stepped
+ * as if they were UTC to avoid re-applying the server's timezone.
+ * @param {Array} scanHours - CheckInOut.getHourlyCounts() rows
+ * @param {Array} feedbackHours - Feedback.getHourlyCounts() rows
+ * @returns {Array} [{ hour, entries, exits, auto_exits, feedback }]
+ */
+const buildHourlySeries = (scanHours, feedbackHours) => {
+  const byHour = new Map();
+  const bucket = (hour) => {
+    if (!byHour.has(hour)) byHour.set(hour, { hour, entries: 0, exits: 0, auto_exits: 0, feedback: 0 });
+    return byHour.get(hour);
+  };
+
+  for (const row of scanHours) {
+    Object.assign(bucket(row.hour), {
+      entries: parseInt(row.entries),
+      exits: parseInt(row.exits),
+      auto_exits: parseInt(row.auto_exits)
+    });
+  }
+  for (const row of feedbackHours) {
+    bucket(row.hour).feedback = parseInt(row.feedback);
+  }
+
+  if (byHour.size === 0) return [];
+
+  const hours = [...byHour.keys()].sort();
+  const last = new Date(`${hours[hours.length - 1]}:00Z`).getTime();
+  const series = [];
+  for (let time = new Date(`${hours[0]}:00Z`).getTime(); time <= last; time += 60 * 60 * 1000) {
+    series.push(bucket(new Date(time).toISOString().substring(0, 16)));
+  }
+  return series;
+};
+
+/**
+ * Admin dashboard statistics
  * @route GET /api/admin/stats
+ *
+ * @description
+ * Totals from every model plus an hourly series of entries, exits and feedback for the
+ * whole event (bucketed in EVENT_TIMEZONE). The flat totalStudents / totalVolunteers /
+ * totalStalls / activeCheckIns keys are kept for existing dashboard cards.
  */
 const getStats = async (req, res, next) => {
   try {
-    const [students, volunteers, stalls] = await Promise.all([
-      Student.findAll(100, 0, query),
-      Volunteer.findAllActive(query),
-      Stall.findAll(query)
+    const timezone = AutoCheckoutService.TIMEZONE;
+
+    const [
+      studentStats,
+      volunteerStats,
+      stallStats,
+      feedbackStats,
+      checkInStats,
+      rankingStats,
+      scanHours,
+      feedbackHours
+    ] = await Promise.all([
+      Student.getStats(query),
+      Volunteer.getStats(query),
+      Stall.getStats(query),
+      Feedback.getGlobalStats(query),
+      CheckInOut.getStats(query),
+      Ranking.getGlobalStats(query),
+      CheckInOut.getHourlyCounts(timezone, query),
+      Feedback.getHourlyCounts(timezone, query)
     ]);
 
+    const students = toNumericStats(studentStats);
+    const volunteers = toNumericStats(volunteerStats);
+    const stalls = toNumericStats(stallStats);
+
     return successResponse(res, {
-      totalStudents: students.length,
-      totalVolunteers: volunteers.length,
-      totalStalls: stalls.length,
-      activeCheckIns: 0 // TODO: Implement check-in counting
+      totalStudents: students.total_students,
+      totalVolunteers: volunteers.active_volunteers,
+      totalStalls: stalls.active_stalls,
+      activeCheckIns: students.currently_inside,
+      students,
+      volunteers,
+      stalls,
+      feedback: toNumericStats(feedbackStats),
+      check_ins: toNumericStats(checkInStats),
+      rankings: toNumericStats(rankingStats),
+      hourly: {
+        timezone,
+        series: buildHourlySeries(scanHours, feedbackHours)
+      },
+      generated_at: new Date().toISOString()
     });
   } catch (error) {
     next(error);
@@ -200,42 +1685,7 @@ const getTopSchools = async (req, res, next) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
 
-    const queryText = `
-      SELECT 
-        sc.id as school_id,
-        sc.school_name,
-        COUNT(DISTINCT s.id) as total_students_ranked,
-        SUM(CASE WHEN st.school_id = sc.id THEN 
-          CASE r.rank
-            WHEN 1 THEN 5
-            WHEN 2 THEN 3
-            WHEN 3 THEN 1
-            ELSE 0
-          END
-        ELSE 0 END) as school_score,
-        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 1 THEN 1 ELSE 0 END) as rank_1_count,
-        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 2 THEN 1 ELSE 0 END) as rank_2_count,
-        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 3 THEN 1 ELSE 0 END) as rank_3_count,
-        COUNT(DISTINCT CASE WHEN st.school_id = sc.id THEN st.id END) as ranked_stalls_count
-      FROM schools sc
-      LEFT JOIN students s ON s.school_id = sc.id AND s.has_completed_ranking = true
-      LEFT JOIN rankings r ON r.student_id = s.id
-      LEFT JOIN stalls st ON r.stall_id = st.id
-      WHERE s.has_completed_ranking = true
-      GROUP BY sc.id, sc.school_name
-      HAVING SUM(CASE WHEN st.school_id = sc.id THEN 
-        CASE r.rank
-          WHEN 1 THEN 5
-          WHEN 2 THEN 3
-          WHEN 3 THEN 1
-          ELSE 0
-        END
-      ELSE 0 END) > 0
-      ORDER BY school_score DESC, total_students_ranked DESC
-      LIMIT $1
-    `;
-
-    const topSchools = await query(queryText, [limit]);
+    const topSchools = await School.getRankingScores(limit, query);
 
     // Get overall stats
     const statsQuery = `
@@ -368,15 +1818,105 @@ const getTopStalls = async (req, res, next) => {
   }
 };
 
+/**
+ * Get audit log entries
+ * @route GET /api/admin/audit-logs
+ *
+ * @description
+ * Newest first with cursor pagination (same as the student directory).
+ *
+ * Query: actor_id, actor_role, action, entity_type, entity_id,
+ * from / to (ISO timestamp or YYYY-MM-DD in the event timezone, `to` inclusive),
+ * limit (1-500, default 100), cursor
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const { range, error: rangeError } = parseDateRange(req.query);
+    if (rangeError) {
+      return errorResponse(res, rangeError, 400);
+    }
+
+    const filters = { ...range };
+    for (const field of ['actor_id', 'actor_role', 'action', 'entity_type', 'entity_id']) {
+      const value = req.query[field]?.trim();
+      if (value) filters[field] = ['actor_role', 'action', 'entity_type'].includes(field) ? value.toUpperCase() : value;
+    }
+
+    if (filters.actor_id && !UUID_PATTERN.test(filters.actor_id)) {
+      return errorResponse(res, 'actor_id must be a UUID', 400);
+    }
+    if (filters.entity_type && !AuditLog.ENTITY_TYPES.includes(filters.entity_type)) {
+      return errorResponse(res, `entity_type must be one of: ${AuditLog.ENTITY_TYPES.join(', ')}`, 400);
+    }
+
+    const { limit, error: limitError } = parsePageLimit(req.query.limit);
+    if (limitError) {
+      return errorResponse(res, limitError, 400);
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodePageCursor(req.query.cursor);
+      if (!cursor) {
+        return errorResponse(res, 'Invalid cursor', 400);
+      }
+    }
+    const page = cursor ? cursor.page + 1 : 1;
+
+    const [rows, total] = await Promise.all([
+      AuditLog.search(filters, { limit: limit + 1, after: cursor }, query),
+      AuditLog.countSearch(filters, query)
+    ]);
+
+    const entries = rows.slice(0, limit).map(({ created_at_key, ...entry }) => entry);
+    const last = rows[entries.length - 1];
+    const nextCursor = rows.length > limit
+      ? encodePageCursor({ created_at: last.created_at_key, id: last.id, page })
+      : null;
+
+    return paginatedResponse(res, entries, page, limit, total, nextCursor);
+  } catch (error) {
+    next(error);
+  }
+};
+
 export default {
   login,
   logout,
   getProfile,
   updateProfile,
+  getAdmins,
+  createAdmin,
+  updateAdmin,
   getAllStudents,
+  getStudentById,
+  createStudent,
+  updateStudent,
+  deactivateStudent,
+  forceStudentPasswordReset,
+  importStudents,
   getAllVolunteers,
+  getPendingVolunteers,
+  approveVolunteer,
+  rejectVolunteer,
+  updateVolunteer,
+  setVolunteerGateMode,
+  getGateLocations,
+  upsertGateLocation,
+  deleteGateLocation,
+  runAutoCheckout,
+  getAllSchools,
+  createSchool,
+  updateSchool,
+  getSchoolStats,
+  mergeSchool,
   getAllStalls,
+  issueStallCredentials,
+  regenerateStallQR,
+  getStallQRRevocations,
+  importStalls,
   getStats,
   getTopSchools,
-  getTopStalls
+  getTopStalls,
+  getAuditLogs
 };
@@ -3,6 +3,7 @@ import Student from '../models/Student.model.js';
 import Stall from '../models/Stall.model.js';
 import Volunteer from '../models/Volunteer.model.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
+import { withTransaction } from '../config/db.js';
 
 /**
  * CheckInOut Controller
@@ -241,16 +242,48 @@ const getStats = async (req, res, next) => {
 /**
  * Delete check-in record (admin only)
  * @route DELETE /api/check-in-out/:id
+ *
+ * @description
+ * Scan types are never rewritten, so only scans whose removal keeps the student's ENTRY/EXIT
+ * sequence alternating can be deleted: the latest scan, a matching ENTRY + EXIT pair (latest
+ * first) or a conflict row. Anything else is refused with 409 (SEQUENCE_BROKEN).
+ * The student's remaining scans are re-numbered, durations recomputed and their inside/outside
+ * state rebuilt.
  */
 const deleteRecord = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const deleted = await CheckInOut.delete(id);
-    if (!deleted) {
+    const result = await withTransaction(async (sql) => {
+      const record = await CheckInOut.findById(id, sql);
+      if (!record) {
+        return null;
+      }
+
+      await Student.lockById(record.student_id, sql);
+      const timeline = await CheckInOut.findTimeline(record.student_id, sql);
+      if (!CheckInOut.canDeleteFromTimeline(timeline, record.id)) {
+        return { record, blocked: true };
+      }
+
+      await CheckInOut.delete(id, sql);
+      await CheckInOut.recomputeHistory(record.student_id, sql);
+      await Student.syncScanStateFromHistory(record.student_id, sql);
+      return { record, blocked: false };
+    });
+    if (!result) {
       return errorResponse(res, 'Record not found', 404);
     }
 
+    if (result.blocked) {
+      return errorResponse(
+        res,
+        'Deleting this scan would leave two entries or two exits in a row. Delete the student\'s later scans first.',
+        409,
+        { reason: 'SEQUENCE_BROKEN' }
+      );
+    }
+
     return successResponse(res, null, 'Record deleted successfully');
   } catch (error) {
     next(error);
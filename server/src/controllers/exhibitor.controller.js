@@ -0,0 +1,300 @@
+import Stall from '../models/Stall.model.js';
+import Feedback from '../models/Feedback.model.js';
+import Ranking from '../models/Ranking.model.js';
+import QRCodeService from '../services/qrCode.js';
+import jwt from 'jsonwebtoken';
+import { successResponse, errorResponse } from '../helpers/response.js';
+import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
+import { query } from '../config/db.js';
+
+/**
+ * Exhibitor Controller
+ * Self-service portal for stall exhibitors (role STALL): own feedback, stats, QR poster and details
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Load the logged-in exhibitor's stall
+ * Re-checked on every request so a deactivated stall loses access before its token expires.
+ * @returns {Promise<{ stall: StallModel|null, error: { message, status }|null }>}
+ */
+const loadOwnStall = async (req) => {
+  const stall = await Stall.findById(req.user.id, query);
+  if (!stall) {
+    return { stall: null, error: { message: 'Stall not found', status: 404 } };
+  }
+  if (!stall.is_active) {
+    return { stall: null, error: { message: 'Stall is deactivated. Please contact the event help desk.', status: 403 } };
+  }
+  return { stall, error: null };
+};
+
+/**
+ * Exhibitor login
+ * @route POST /api/exhibitor/login
+ *
+ * @description
+ * Credentials are the stall number and the password issued by an admin
+ * (POST /api/admin/stalls/:id/credentials).
+ */
+const login = async (req, res, next) => {
+  try {
+    const { stall_number, password } = req.body;
+
+    if (!stall_number || !password) {
+      return errorResponse(res, 'Stall number and password are required', 400);
+    }
+
+    const stall = await Stall.findByStallNumber(String(stall_number).trim(), query);
+    if (!stall) {
+      return errorResponse(res, 'Invalid credentials', 401);
+    }
+
+    const isValidPassword = await stall.comparePassword(password);
+    if (!isValidPassword) {
+      return errorResponse(res, 'Invalid credentials', 401);
+    }
+
+    if (!stall.is_active) {
+      return errorResponse(res, 'Stall is deactivated. Please contact the event help desk.', 403);
+    }
+
+    const token = jwt.sign(
+      { id: stall.id, stall_number: stall.stall_number, role: stall.role },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h' }
+    );
+
+    // Set secure HTTP-Only cookie
+    setAuthCookie(res, token);
+    await Stall.recordLogin(stall.id, query);
+
+    return successResponse(res, {
+      token,
+      stall: {
+        id: stall.id,
+        stall_number: stall.stall_number,
+        stall_name: stall.stall_name,
+        school_name: stall.school_name,
+        location: stall.location
+      }
+    }, 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exhibitor logout
+ * @route POST /api/exhibitor/logout
+ */
+const logout = async (req, res, next) => {
+  try {
+    clearAuthCookie(res);
+    return successResponse(res, null, 'Logout successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own stall details
+ * @route GET /api/exhibitor/profile
+ */
+const getProfile = async (req, res, next) => {
+  try {
+    const { stall, error } = await loadOwnStall(req);
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    return successResponse(res, stall);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit own stall description and location
+ * @route PUT /api/exhibitor/profile
+ *
+ * @description
+ * Name, number and school stay admin-managed (they are printed on the QR poster).
+ */
+const updateProfile = async (req, res, next) => {
+  try {
+    const { stall, error } = await loadOwnStall(req);
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    const updateData = {};
+    for (const field of ['description', 'location']) {
+      if (req.body[field] === undefined) continue;
+      if (typeof req.body[field] !== 'string') {
+        return errorResponse(res, `${field} must be a string`, 400);
+      }
+      updateData[field] = req.body[field].trim();
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return errorResponse(res, 'Nothing to update. Editable fields: description, location', 400);
+    }
+    if (updateData.location && updateData.location.length > 255) {
+      return errorResponse(res, 'location must be at most 255 characters', 400);
+    }
+
+    await Stall.update(stall.id, updateData, query);
+    const updatedStall = await Stall.findById(stall.id, query);
+
+    return successResponse(res, updatedStall, 'Stall details updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the exhibitor password
+ * @route PUT /api/exhibitor/password
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return errorResponse(res, 'Current password and new password are required', 400);
+    }
+    if (new_password.length < MIN_PASSWORD_LENGTH) {
+      return errorResponse(res, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+
+    const { stall, error } = await loadOwnStall(req);
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    if (!await stall.comparePassword(current_password)) {
+      return errorResponse(res, 'Current password is incorrect', 401);
+    }
+
+    await Stall.setPassword(stall.id, new_password, query);
+
+    return successResponse(res, null, 'Password changed successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get feedback submitted for own stall (newest first)
+ * @route GET /api/exhibitor/feedback
+ *
+ * @description
+ * Registration numbers are left out - exhibitors see who wrote the feedback, not their IDs.
+ */
+const getFeedback = async (req, res, next) => {
+  try {
+    const { stall, error } = await loadOwnStall(req);
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    const feedbacks = await Feedback.findByStall(stall.id, query);
+
+    return successResponse(res, {
+      stall_id: stall.id,
+      total_feedbacks: feedbacks.length,
+      feedbacks: feedbacks.map(feedback => ({
+        id: feedback.id,
+        rating: feedback.rating,
+        comment: feedback.comment,
+        submitted_at: feedback.submitted_at,
+        student_name: feedback.student_name,
+        student_school: feedback.student_school
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get rating stats, ranking votes and leaderboard position for own stall
+ * @route GET /api/exhibitor/stats
+ */
+const getStats = async (req, res, next) => {
+  try {
+    const { stall, error } = await loadOwnStall(req);
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    const [feedbackStats, rankingStats, leaderboard] = await Promise.all([
+      Feedback.getStallStats(stall.id, query),
+      Ranking.getStallStats(stall.id, query),
+      Ranking.getStallLeaderboard(null, query)
+    ]);
+    const position = leaderboard.findIndex(row => row.stall_id === stall.id);
+
+    return successResponse(res, {
+      stall_id: stall.id,
+      stall_number: stall.stall_number,
+      stall_name: stall.stall_name,
+      feedback: {
+        total_feedbacks: feedbackStats.total_feedbacks,
+        average_rating: parseFloat(feedbackStats.average_rating),
+        unique_students: feedbackStats.unique_students
+      },
+      ranking: {
+        rank_1_votes: parseInt(rankingStats?.rank_1_count || 0),
+        rank_2_votes: parseInt(rankingStats?.rank_2_count || 0),
+        rank_3_votes: parseInt(rankingStats?.rank_3_count || 0),
+        weighted_score: parseInt(rankingStats?.weighted_score || 0)
+      },
+      leaderboard_position: position === -1 ? null : position + 1,
+      total_stalls_ranked: leaderboard.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get own stall QR code (for printing the poster)
+ * @route GET /api/exhibitor/qr-code
+ */
+const getQRCode = async (req, res, next) => {
+  try {
+    const { stall, error } = await loadOwnStall(req);
+    if (error) {
+      return errorResponse(res, error.message, error.status);
+    }
+
+    if (!stall.qr_code_token) {
+      return errorResponse(res, 'QR code not generated for this stall', 404);
+    }
+
+    const qrCodeImage = await QRCodeService.generateQRCodeImage(stall.qr_code_token);
+
+    return successResponse(res, {
+      qr_code: qrCodeImage,
+      stall_number: stall.stall_number,
+      stall_name: stall.stall_name,
+      school_name: stall.school_name
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  login,
+  logout,
+  getProfile,
+  updateProfile,
+  changePassword,
+  getFeedback,
+  getStats,
+  getQRCode
+};
@@ -0,0 +1,307 @@
+import Feedback from '../models/Feedback.model.js';
+import Ranking from '../models/Ranking.model.js';
+import CheckInOut from '../models/CheckInOut.model.js';
+import School from '../models/School.model.js';
+import Stall from '../models/Stall.model.js';
+import Student from '../models/Student.model.js';
+import QRCodeService from '../services/qrCode.js';
+import { errorResponse } from '../helpers/response.js';
+import { parseDateRange } from '../helpers/date.js';
+import { canAccessSchool, resolveSchoolScope } from '../middleware/adminScope.js';
+import { query } from '../config/db.js';
+import { EXPORT_FORMATS, createSpreadsheetStream, iterateInBatches } from '../utils/spreadsheetWriter.js';
+import { QR_SHEETS, streamQRSheetArchive } from '../utils/qrSheetWriter.js';
+
+/**
+ * Export Controller
+ * Streams XLSX / CSV spreadsheets for organisers (end-of-day reports)
+ * and ZIP archives of printable QR sheets
+ */
+
+const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * Number leaderboard rows and turn NUMERIC/COUNT strings into numbers
+ * @param {Array} rows - Ordered leaderboard rows
+ * @param {Array} columns - Dataset columns (numeric: true marks aggregate values)
+ */
+async function* toLeaderboardRows(rows, columns) {
+  const numericKeys = columns.filter(column => column.numeric).map(column => column.key);
+  let position = 0;
+  for (const row of rows) {
+    const values = { position: ++position, ...row };
+    for (const key of numericKeys) {
+      values[key] = Math.round(Number(row[key] ?? 0) * 100) / 100;
+    }
+    yield values;
+  }
+}
+
+/**
+ * Exportable datasets
+ * - rows(filters, columns) returns an (async) iterable of plain objects keyed by column key
+ * - Row-level datasets are read in keyset batches; leaderboards are aggregated in one
+ *   query (one row per stall / student), so they honour school_id but not from/to
+ */
+const DATASETS = {
+  feedbacks: {
+    sheetName: 'Feedbacks',
+    columns: [
+      { header: 'Submitted At', key: 'submitted_at', width: 24 },
+      { header: 'Registration No', key: 'registration_no' },
+      { header: 'Student Name', key: 'student_name', width: 28 },
+      { header: 'Stall Number', key: 'stall_number' },
+      { header: 'Stall Name', key: 'stall_name', width: 32 },
+      { header: 'School', key: 'school_name', width: 32 },
+      { header: 'Rating', key: 'rating', width: 8 },
+      { header: 'Comment', key: 'comment', width: 60 }
+    ],
+    rows: (filters) => iterateInBatches(
+      (after, limit) => Feedback.findForExport(filters, { after, limit }, query),
+      EXPORT_BATCH_SIZE
+    )
+  },
+
+  rankings: {
+    sheetName: 'Rankings',
+    columns: [
+      { header: 'Submitted At', key: 'submitted_at', width: 24 },
+      { header: 'Registration No', key: 'registration_no' },
+      { header: 'Student Name', key: 'student_name', width: 28 },
+      { header: 'Rank', key: 'rank', width: 8 },
+      { header: 'Stall Number', key: 'stall_number' },
+      { header: 'Stall Name', key: 'stall_name', width: 32 },
+      { header: 'School', key: 'school_name', width: 32 }
+    ],
+    rows: (filters) => iterateInBatches(
+      (after, limit) => Ranking.findForExport(filters, { after, limit }, query),
+      EXPORT_BATCH_SIZE
+    )
+  },
+
+  'check-ins': {
+    sheetName: 'Check-ins',
+    columns: [
+      { header: 'Scanned At', key: 'scanned_at', width: 24 },
+      { header: 'Scan Type', key: 'scan_type', width: 12 },
+      { header: 'Scan Number', key: 'scan_number', width: 12 },
+      { header: 'Duration (min)', key: 'duration_minutes', width: 14 },
+      { header: 'Registration No', key: 'registration_no' },
+      { header: 'Student Name', key: 'student_name', width: 28 },
+      { header: 'School', key: 'school_name', width: 32 },
+      { header: 'Volunteer', key: 'volunteer_name', width: 24 },
+      { header: 'Gate', key: 'assigned_location', width: 20 },
+      { header: 'Gate Mode', key: 'gate_mode', width: 12 },
+      { header: 'Auto Checkout', key: 'is_system_generated', width: 14 },
+      { header: 'Synced At (offline)', key: 'synced_at', width: 24 },
+      { header: 'Conflict', key: 'is_conflict', width: 10 }
+    ],
+    rows: (filters) => iterateInBatches(
+      (after, limit) => CheckInOut.findForExport(filters, { after, limit }, query),
+      EXPORT_BATCH_SIZE
+    )
+  },
+
+  'top-stalls': {
+    sheetName: 'Top Stalls',
+    columns: [
+      { header: 'Position', key: 'position', width: 10 },
+      { header: 'Stall Number', key: 'stall_number' },
+      { header: 'Stall Name', key: 'stall_name', width: 32 },
+      { header: 'School', key: 'school_name', width: 32 },
+      { header: 'Location', key: 'location' },
+      { header: 'Final Score', key: 'final_score', numeric: true },
+      { header: 'Ranking Score', key: 'weighted_ranking_score', numeric: true },
+      { header: 'Rating Score', key: 'weighted_rating_score', numeric: true },
+      { header: 'Feedback Score', key: 'weighted_feedback_score', numeric: true },
+      { header: 'Visitor Score', key: 'weighted_visitor_score', numeric: true },
+      { header: 'Rank 1 Votes', key: 'rank_1_votes', numeric: true },
+      { header: 'Rank 2 Votes', key: 'rank_2_votes', numeric: true },
+      { header: 'Rank 3 Votes', key: 'rank_3_votes', numeric: true },
+      { header: 'Avg Rating', key: 'avg_rating', numeric: true },
+      { header: 'Total Feedbacks', key: 'total_feedbacks', numeric: true },
+      { header: 'Unique Visitors', key: 'unique_visitors', numeric: true }
+    ],
+    rows: async (filters, columns) => toLeaderboardRows(
+      await Ranking.getStallLeaderboard(null, query, filters),
+      columns
+    )
+  },
+
+  'top-students': {
+    sheetName: 'Top Students',
+    columns: [
+      { header: 'Position', key: 'position', width: 10 },
+      { header: 'Registration No', key: 'registration_no' },
+      { header: 'Student Name', key: 'full_name', width: 28 },
+      { header: 'School', key: 'school_name', width: 32 },
+      { header: 'Final Score', key: 'final_score', numeric: true },
+      { header: 'Duration Score', key: 'weighted_duration', numeric: true },
+      { header: 'Feedback Quantity Score', key: 'weighted_feedback_qty', numeric: true },
+      { header: 'Feedback Quality Score', key: 'weighted_feedback_qual', numeric: true },
+      { header: 'Engagement Score', key: 'weighted_engagement', numeric: true },
+      { header: 'Consistency Score', key: 'weighted_consistency', numeric: true },
+      { header: 'Duration (min)', key: 'total_duration_minutes', numeric: true },
+      { header: 'Feedbacks', key: 'total_feedbacks', numeric: true },
+      { header: 'Quality Feedbacks', key: 'quality_feedbacks', numeric: true },
+      { header: 'Visits', key: 'total_visits', numeric: true },
+      { header: 'Days Attended', key: 'unique_days_attended', numeric: true },
+      { header: 'Completed Ranking', key: 'completed_ranking', numeric: true }
+    ],
+    rows: async (filters, columns) => toLeaderboardRows(
+      await Ranking.getStudentLeaderboard(null, query, filters),
+      columns
+    )
+  }
+};
+
+/**
+ * Stream an export as XLSX or CSV
+ * @route GET /api/admin/exports/:dataset
+ *
+ * @description
+ * Datasets: feedbacks, rankings, check-ins, top-stalls, top-students
+ *
+ * Query:
+ * - format: xlsx (default) | csv
+ * - from / to: ISO timestamp or YYYY-MM-DD (event timezone, `to` inclusive) - row datasets only
+ * - school_id: feedbacks/rankings/top-stalls by stall school, check-ins/top-students by student school
+ *   (always the caller's own school for SCHOOL_COORDINATOR admins)
+ */
+const exportData = async (req, res, next) => {
+  try {
+    const dataset = DATASETS[req.params.dataset];
+    if (!dataset) {
+      return errorResponse(res, `Unknown export. Available: ${Object.keys(DATASETS).join(', ')}`, 404);
+    }
+
+    const format = (req.query.format || 'xlsx').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return errorResponse(res, `format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const { range: filters, error: rangeError } = parseDateRange(req.query);
+    if (rangeError) {
+      return errorResponse(res, rangeError, 400);
+    }
+
+    // School coordinators only ever export their own school
+    const { schoolId, error: scopeError } = resolveSchoolScope(req, req.query.school_id);
+    if (scopeError) {
+      return errorResponse(res, scopeError, 403);
+    }
+
+    if (schoolId) {
+      const school = await School.findById(schoolId, query);
+      if (!school) {
+        return errorResponse(res, 'School not found', 404);
+      }
+      filters.schoolId = school.id;
+    }
+
+    const rows = await dataset.rows(filters, dataset.columns);
+
+    const sheet = createSpreadsheetStream(res, {
+      format,
+      filename: `${req.params.dataset}_${new Date().toISOString().substring(0, 10)}`,
+      sheetName: dataset.sheetName,
+      columns: dataset.columns
+    });
+
+    try {
+      for await (const row of rows) {
+        await sheet.addRow(row);
+        if (res.destroyed) return; // Client went away - stop querying
+      }
+      await sheet.end();
+    } catch (streamError) {
+      // Headers are already sent, so the error handler can't reply - cut the download instead
+      console.error(`❌ [EXPORT] ${req.params.dataset} failed mid-stream:`, streamError.message);
+      res.destroy(streamError);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rows for one printable sheet, each with a QR token
+ * Missing static tokens are generated and saved first, so reprints show the same QR.
+ */
+const QR_SHEET_ROWS = {
+  posters: async (schoolId) => {
+    const stalls = await Stall.findBySchool(schoolId, query);
+    for (const stall of stalls.filter(stall => !stall.qr_code_token)) {
+      stall.qr_code_token = QRCodeService.generateStallQRToken(stall);
+      await Stall.setQRCodeToken(stall.id, stall.qr_code_token, query);
+    }
+    return stalls;
+  },
+  'id-cards': async (schoolId) => {
+    const students = await Student.findForIdCards(schoolId, query);
+    for (const student of students.filter(student => !student.qr_code_token)) {
+      student.qr_code_token = QRCodeService.generateStudentQRToken(student);
+      await Student.setQRCodeToken(student.id, student.qr_code_token, query);
+    }
+    return students;
+  }
+};
+
+/**
+ * Download printable QR sheets for a school as one ZIP
+ * @route GET /api/admin/schools/:id/qr-sheets
+ *
+ * @description
+ * - stall-posters.pdf: one A4 landscape poster per active stall (QR + stall number, name, school)
+ * - student-id-cards.pdf: static ID-card QRs for active students, 10 cards per A4 page
+ *
+ * Query:
+ * - sheets: comma-separated subset of posters, id-cards (default: both)
+ */
+const exportQRSheets = async (req, res, next) => {
+  try {
+    const school = await School.findById(req.params.id, query);
+    if (!school || !canAccessSchool(req, school.id)) {
+      return errorResponse(res, 'School not found', 404);
+    }
+
+    const requested = req.query.sheets
+      ? String(req.query.sheets).split(',').map(name => name.trim()).filter(Boolean)
+      : Object.keys(QR_SHEETS);
+    const unknown = requested.filter(name => !QR_SHEETS[name]);
+    if (unknown.length > 0) {
+      return errorResponse(res, `Unknown sheets: ${unknown.join(', ')}. Available: ${Object.keys(QR_SHEETS).join(', ')}`, 400);
+    }
+
+    const sheets = [];
+    for (const name of new Set(requested)) {
+      const rows = await QR_SHEET_ROWS[name](school.id);
+      if (rows.length > 0) {
+        sheets.push({ sheet: QR_SHEETS[name], rows });
+      }
+    }
+    if (sheets.length === 0) {
+      return errorResponse(res, 'No active stalls or students to print for this school', 404);
+    }
+
+    const safeName = school.school_name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'school';
+
+    try {
+      await streamQRSheetArchive(res, {
+        filename: `qr-sheets_${safeName}_${new Date().toISOString().substring(0, 10)}`,
+        sheets
+      });
+    } catch (streamError) {
+      // Headers are already sent, so the error handler can't reply - cut the download instead
+      console.error(`❌ [EXPORT] QR sheets for school ${school.id} failed mid-stream:`, streamError.message);
+      res.destroy(streamError);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  exportData,
+  exportQRSheets
+};
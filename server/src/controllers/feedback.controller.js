@@ -1,7 +1,9 @@
 import Feedback from '../models/Feedback.model.js';
 import Student from '../models/Student.model.js';
 import Stall from '../models/Stall.model.js';
+import LiveFeedService from '../services/liveFeed.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
+import { query, withTransaction } from '../config/db.js';
 
 /**
  * Feedback Controller
@@ -25,13 +27,13 @@ const submitFeedback = async (req, res, next) => {
     }
 
     // Verify stall exists
-    const stall = await Stall.findById(stall_id);
+    const stall = await Stall.findById(stall_id, query);
     if (!stall) {
       return errorResponse(res, 'Stall not found', 404);
     }
 
     // Check if student already submitted feedback for this stall
-    const existingFeedback = await Feedback.findByStudentAndStall(req.user.id, stall_id);
+    const existingFeedback = await Feedback.findByStudentAndStall(req.user.id, stall_id, query);
     if (existingFeedback) {
       return errorResponse(res, 'Feedback already submitted for this stall', 409);
     }
@@ -40,16 +42,33 @@ const submitFeedback = async (req, res, next) => {
       student_id: req.user.id,
       stall_id,
       rating,
-      comments: comments || null
+      comment: comments || null
     };
 
-    const newFeedback = await Feedback.create(feedbackData);
+    // Feedback row and both counters are written together (same as /api/student/submit-feedback)
+    const newFeedback = await withTransaction(async (sql) => {
+      const feedback = await Feedback.create(feedbackData, sql);
+      await Student.incrementFeedbackCount(req.user.id, sql);
+      await sql(
+        'UPDATE stalls SET total_feedback_count = total_feedback_count + 1 WHERE id = $1',
+        [stall_id]
+      );
+      return feedback;
+    });
+
+    // 📡 Push to live dashboard after commit (fire-and-forget)
+    LiveFeedService.publish(LiveFeedService.EVENT_TYPES.FEEDBACK, {
+      stall_id: stall.id,
+      stall_number: stall.stall_number,
+      stall_name: stall.stall_name,
+      rating: newFeedback.rating
+    });
 
     return successResponse(res, {
       feedback_id: newFeedback.id,
       stall_name: stall.stall_name,
       rating: newFeedback.rating,
-      submitted_at: newFeedback.created_at
+      submitted_at: newFeedback.submitted_at
     }, 'Feedback submitted successfully', 201);
   } catch (error) {
     next(error);
@@ -10,6 +10,9 @@ import stallController from './stall.controller.js';
 import feedbackController from './feedback.controller.js';
 import rankingController from './ranking.controller.js';
 import checkInOutController from './checkInOut.controller.js';
+import liveController from './live.controller.js';
+import exportController from './export.controller.js';
+import exhibitorController from './exhibitor.controller.js';
 
 export {
   adminController,
@@ -18,5 +21,8 @@ export {
   stallController,
   feedbackController,
   rankingController,
-  checkInOutController
+  checkInOutController,
+  liveController,
+  exportController,
+  exhibitorController
 };
@@ -0,0 +1,36 @@
+import LiveFeedService from '../services/liveFeed.js';
+
+/**
+ * Live Controller
+ * Push channel (Server-Sent Events) for the admin dashboard and gate supervisors
+ */
+
+/**
+ * Open the live occupancy / scan event stream
+ * @route GET /api/admin/live/stream
+ * @route GET /api/volunteer/live/stream
+ *
+ * @description
+ * Events (each carries inside_count from StudentModel.countInsideEvent):
+ * - snapshot: sent once on connect
+ * - scan:     a gate recorded an ENTRY or EXIT
+ * - feedback: a student submitted stall feedback
+ * - ranking:  a student submitted school stall rankings
+ * - replay:   a gate refused an already-used rotating QR token (possible screenshot)
+ *
+ * Volunteers get the same events without student names / registration numbers
+ * (LiveFeedService.PERSONAL_FIELDS); only the admin stream identifies students.
+ *
+ * Browsers: new EventSource('/api/admin/live/stream', { withCredentials: true })
+ */
+const stream = async (req, res, next) => {
+  try {
+    await LiveFeedService.subscribe(req, res, req.user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  stream
+};
@@ -1,7 +1,9 @@
 import Ranking from '../models/Ranking.model.js';
 import Stall from '../models/Stall.model.js';
+import Student from '../models/Student.model.js';
+import LiveFeedService from '../services/liveFeed.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
-import { query } from '../config/db.js';
+import { query, withTransaction } from '../config/db.js';
 
 /**
  * Ranking Controller
@@ -64,89 +66,8 @@ const getTopRankings = async (req, res, next) => {
     const { limit } = req.params;
     const limitNum = parseInt(limit) || 10;
 
-    // Comprehensive stall scoring query
-    const queryText = `
-      WITH stall_metrics AS (
-        SELECT 
-          st.id as stall_id,
-          st.stall_name,
-          st.stall_number,
-          sc.school_name,
-          st.location,
-          
-          -- Ranking votes (Category 2)
-          COALESCE(st.rank_1_votes, 0) as rank_1_votes,
-          COALESCE(st.rank_2_votes, 0) as rank_2_votes,
-          COALESCE(st.rank_3_votes, 0) as rank_3_votes,
-          
-          -- Feedback metrics (Category 1)
-          COUNT(DISTINCT f.id) as total_feedbacks,
-          COALESCE(AVG(f.rating), 0) as avg_rating,
-          
-          -- Visitor metrics (unique students who gave feedback)
-          COUNT(DISTINCT f.student_id) as unique_visitors,
-          
-          -- Comment engagement (comments show deeper interest)
-          COUNT(DISTINCT f.id) FILTER (WHERE f.comment IS NOT NULL AND LENGTH(f.comment) > 0) as feedback_with_comments
-          
-        FROM stalls st
-        LEFT JOIN schools sc ON st.school_id = sc.id
-        LEFT JOIN feedbacks f ON st.id = f.stall_id
-        WHERE st.is_active = true
-        GROUP BY st.id, st.stall_name, st.stall_number, sc.school_name, st.location,
-                 st.rank_1_votes, st.rank_2_votes, st.rank_3_votes
-      ),
-      normalized_scores AS (
-        SELECT 
-          *,
-          
-          -- 1️⃣ RANKING SCORE (40% weight) - Weighted voting system
-          --    Rank 1 = 5 points, Rank 2 = 3 points, Rank 3 = 1 point
-          ((rank_1_votes * 5) + (rank_2_votes * 3) + (rank_3_votes * 1)) as ranking_points,
-          
-          -- 2️⃣ RATING SCORE (35% weight) - Average star rating × 20
-          (avg_rating * 20) as rating_points,
-          
-          -- 3️⃣ FEEDBACK SCORE (15% weight) - Total feedback count × 0.1
-          (total_feedbacks * 0.1) as feedback_points,
-          
-          -- 4️⃣ VISITOR SCORE (10% weight) - Unique visitors × 0.05
-          (unique_visitors * 0.05) as visitor_points
-          
-        FROM stall_metrics
-      ),
-      max_values AS (
-        SELECT 
-          GREATEST(MAX(ranking_points), 1) as max_ranking,
-          GREATEST(MAX(rating_points), 1) as max_rating,
-          GREATEST(MAX(feedback_points), 1) as max_feedback,
-          GREATEST(MAX(visitor_points), 1) as max_visitor
-        FROM normalized_scores
-      )
-      SELECT 
-        ns.*,
-        
-        -- Normalize each metric to 0-100 scale, then apply weights
-        ((ns.ranking_points / mv.max_ranking * 100) * 0.40) as weighted_ranking_score,
-        ((ns.rating_points / mv.max_rating * 100) * 0.35) as weighted_rating_score,
-        ((ns.feedback_points / mv.max_feedback * 100) * 0.15) as weighted_feedback_score,
-        ((ns.visitor_points / mv.max_visitor * 100) * 0.10) as weighted_visitor_score,
-        
-        -- TOTAL SCORE (0-100)
-        (
-          ((ns.ranking_points / mv.max_ranking * 100) * 0.40) +
-          ((ns.rating_points / mv.max_rating * 100) * 0.35) +
-          ((ns.feedback_points / mv.max_feedback * 100) * 0.15) +
-          ((ns.visitor_points / mv.max_visitor * 100) * 0.10)
-        ) as final_score
-        
-      FROM normalized_scores ns, max_values mv
-      WHERE (ns.total_feedbacks > 0 OR ns.rank_1_votes > 0 OR ns.rank_2_votes > 0 OR ns.rank_3_votes > 0)
-      ORDER BY final_score DESC, avg_rating DESC, total_feedbacks DESC
-      LIMIT $1
-    `;
-
-    const results = await query(queryText, [limitNum]);
+    // Comprehensive stall scoring query (see RankingModel.getStallLeaderboard)
+    const results = await Ranking.getStallLeaderboard(limitNum, query);
 
     // Format response with detailed breakdown
     const leaderboard = results.map((stall, index) => ({
@@ -328,6 +249,10 @@ const calculateRankings = async (req, res, next) => {
 /**
  * Create ranking (student submits their top 3)
  * @route POST /api/ranking
+ *
+ * @description
+ * Older client path for the Category 2 submission - same checks and writes as
+ * POST /api/student/submit-school-ranking, so the votes reach the stall leaderboard.
  */
 const createRanking = async (req, res, next) => {
   try {
@@ -343,20 +268,44 @@ const createRanking = async (req, res, next) => {
       return errorResponse(res, 'Rankings must be exactly ranks 1, 2, and 3', 400);
     }
 
-    // Check if student already ranked
-    const hasRanked = await Ranking.hasStudentRanked(req.user.id, query);
-    if (hasRanked) {
+    const stallIds = rankings.map(r => r.stall_id);
+    if (new Set(stallIds).size !== 3) {
+      return errorResponse(res, 'Must rank 3 different stalls', 400);
+    }
+
+    const student = await Student.findById(req.user.id, query);
+    if (!student) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    if (student.has_completed_ranking) {
       return errorResponse(res, 'You have already submitted your rankings', 409);
     }
 
-    // Create rankings
-    const rankingData = rankings.map(r => ({
-      student_id: req.user.id,
-      stall_id: r.stall_id,
-      rank: r.rank
-    }));
+    const stallsToRank = await Ranking.findRankableStalls(stallIds, query);
+    if (stallsToRank.length !== 3) {
+      return errorResponse(res, 'One or more stalls not found', 404);
+    }
 
-    const created = await Ranking.bulkCreate(rankingData, query);
+    const invalidStalls = stallsToRank.filter(s => s.school_id !== student.school_id);
+    if (invalidStalls.length > 0) {
+      return errorResponse(res, `You can only rank stalls from YOUR school. Invalid: ${invalidStalls.map(s => s.stall_name).join(', ')}`, 403);
+    }
+
+    const created = await withTransaction((sql) =>
+      Ranking.submitStudentRankings(req.user.id, rankings, sql)
+    );
+
+    if (!created) {
+      return errorResponse(res, 'You have already submitted your rankings', 409);
+    }
+
+    // 📡 Push to live dashboard after commit (fire-and-forget)
+    LiveFeedService.publish(LiveFeedService.EVENT_TYPES.RANKING, {
+      school_id: student.school_id,
+      school_name: student.school_name,
+      stall_ids: stallIds
+    });
 
     return successResponse(res, created, 'Rankings submitted successfully', 201);
   } catch (error) {
@@ -399,131 +348,7 @@ const getTopStudents = async (req, res, next) => {
     const { limit } = req.params;
     const limitNum = parseInt(limit) || 10;
 
-    const queryText = `
-      WITH student_metrics AS (
-        SELECT 
-          s.id as student_id,
-          s.registration_no,
-          s.full_name,
-          sc.school_name,
-          
-          -- Duration metric (3-day event: up to 24 hours realistic)
-          COALESCE(s.total_active_duration_minutes, 0) as total_duration_minutes,
-          
-          -- Feedback metrics (200 stalls, 90% coverage = 180 max)
-          COALESCE(s.feedback_count, 0) as total_feedbacks,
-          COUNT(DISTINCT f.id) FILTER (WHERE f.comment IS NOT NULL AND LENGTH(f.comment) > 20) as quality_feedbacks,
-          COALESCE(AVG(LENGTH(f.comment)), 0) as avg_comment_length,
-          
-          -- Ranking participation
-          CASE WHEN s.has_completed_ranking = true THEN 1 ELSE 0 END as completed_ranking,
-          
-          -- Visit frequency (consistency across days)
-          COALESCE(s.total_scan_count, 0) as total_visits,
-          
-          -- Multi-day consistency (visits spread across multiple days)
-          COUNT(DISTINCT DATE(co.scanned_at)) as unique_days_attended,
-          
-          -- Account age
-          EXTRACT(EPOCH FROM (NOW() - s.created_at)) / 3600 as account_age_hours
-          
-        FROM students s
-        LEFT JOIN schools sc ON s.school_id = sc.id
-        LEFT JOIN feedbacks f ON s.id = f.student_id
-        LEFT JOIN check_in_outs co ON s.id = co.student_id
-        GROUP BY s.id, s.registration_no, s.full_name, sc.school_name,
-                 s.total_active_duration_minutes, s.feedback_count, 
-                 s.has_completed_ranking, s.total_scan_count, s.created_at
-      ),
-      scored_students AS (
-        SELECT 
-          *,
-          
-          -- 1️⃣ DURATION SCORE (30% weight) - Progressive scoring for 3-day event
-          --    Optimal: 18 hours (6h/day), Max: 24 hours (8h/day)
-          CASE 
-            WHEN total_duration_minutes >= 1440 THEN 100  -- 24+ hours = perfect
-            WHEN total_duration_minutes >= 1080 THEN 90 + ((total_duration_minutes - 1080) / 360.0 * 10)  -- 18-24h (90-100)
-            WHEN total_duration_minutes >= 720 THEN 75 + ((total_duration_minutes - 720) / 360.0 * 15)   -- 12-18h (75-90)
-            WHEN total_duration_minutes >= 360 THEN 50 + ((total_duration_minutes - 360) / 360.0 * 25)   -- 6-12h (50-75)
-            ELSE (total_duration_minutes / 360.0 * 50)  -- 0-6h (0-50)
-          END as duration_score,
-          
-          -- 2️⃣ FEEDBACK QUANTITY SCORE (25% weight) - Progressive scoring
-          --    Optimal: 120 feedbacks (40/day), Max: 180 (60/day, 90% of stalls)
-          CASE 
-            WHEN total_feedbacks >= 180 THEN 100  -- 90%+ coverage = perfect
-            WHEN total_feedbacks >= 120 THEN 85 + ((total_feedbacks - 120) / 60.0 * 15)  -- 120-180 (85-100)
-            WHEN total_feedbacks >= 80 THEN 70 + ((total_feedbacks - 80) / 40.0 * 15)    -- 80-120 (70-85)
-            WHEN total_feedbacks >= 40 THEN 50 + ((total_feedbacks - 40) / 40.0 * 20)    -- 40-80 (50-70)
-            ELSE (total_feedbacks / 40.0 * 50)  -- 0-40 (0-50)
-          END as feedback_quantity_score,
-          
-          -- 3️⃣ FEEDBACK QUALITY SCORE (20% weight) - Comment quality matters
-          --    Quality = (quality_feedbacks / total_feedbacks) × 60% + comment_depth × 40%
-          CASE 
-            WHEN total_feedbacks > 0 THEN
-              (
-                -- Quality rate (60% of quality score) - comments >20 chars
-                ((quality_feedbacks::DECIMAL / GREATEST(total_feedbacks, 1)) * 60) +
-                -- Comment depth (40% of quality score) - avg length capped at 150
-                (LEAST(avg_comment_length, 150) / 150.0 * 40)
-              )
-            ELSE 0
-          END as feedback_quality_score,
-          
-          -- 4️⃣ ENGAGEMENT SCORE (15% weight) - Multi-faceted participation
-          --    Ranking completion (40 pts) + Visit frequency (30 pts) + Multi-day (30 pts)
-          (
-            (completed_ranking * 40) +                                    -- 40 pts for rankings
-            (LEAST(total_visits, 15) / 15.0 * 30) +                      -- 30 pts for 15+ visits
-            (LEAST(unique_days_attended, 3) / 3.0 * 30)                  -- 30 pts for all 3 days
-          ) as engagement_score,
-          
-          -- 5️⃣ CONSISTENCY SCORE (10% weight) - Balanced participation
-          --    Rewards regular visits across days, not one marathon session
-          CASE 
-            WHEN total_visits >= 6 AND unique_days_attended >= 2 THEN
-              -- Good: multiple days + reasonable session lengths
-              LEAST(
-                ((total_duration_minutes::DECIMAL / GREATEST(total_visits, 1)) / 180.0 * 50) +  -- Avg session length
-                ((unique_days_attended::DECIMAL / 3.0) * 50),                                    -- Multi-day bonus
-                100
-              )
-            WHEN total_visits > 0 THEN
-              -- Okay: at least participated, but could be better
-              LEAST((total_duration_minutes::DECIMAL / GREATEST(total_visits, 1)) / 180.0 * 100, 100)
-            ELSE 0
-          END as consistency_score
-          
-        FROM student_metrics
-        WHERE total_feedbacks > 0 OR total_duration_minutes > 0 OR completed_ranking = 1
-      )
-      SELECT 
-        *,
-        
-        -- Weighted final scores
-        (duration_score * 0.30) as weighted_duration,
-        (feedback_quantity_score * 0.25) as weighted_feedback_qty,
-        (feedback_quality_score * 0.20) as weighted_feedback_qual,
-        (engagement_score * 0.15) as weighted_engagement,
-        (consistency_score * 0.10) as weighted_consistency,
-        
-        -- FINAL SCORE (0-100)
-        (
-          (duration_score * 0.30) +
-          (feedback_quantity_score * 0.25) +
-          (feedback_quality_score * 0.20) +
-          (engagement_score * 0.15) +
-          (consistency_score * 0.10)
-        ) as final_score
-        
-      FROM scored_students
-      ORDER BY final_score DESC, total_feedbacks DESC, total_duration_minutes DESC
-      LIMIT $1
-    `;
-
-    const results = await query(queryText, [limitNum]);
+    const results = await Ranking.getStudentLeaderboard(limitNum, query);
 
     const leaderboard = results.map((student, index) => ({
       position: index + 1,
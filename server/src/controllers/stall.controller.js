@@ -1,6 +1,8 @@
 import Stall from '../models/Stall.model.js';
+import School from '../models/School.model.js';
 import QRCodeService from '../services/qrCode.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
+import { canAccessSchool } from '../middleware/adminScope.js';
 import { query } from '../config/db.js';
 
 
@@ -91,6 +93,44 @@ const getStallQRCode = async (req, res, next) => {
   }
 };
 
+/**
+ * Get stall QR code as a raw image (kiosk screens / printing)
+ * @route GET /api/stall/:id/qr-code/image
+ *
+ * @description
+ * Returns image/png or image/svg+xml directly instead of a data URL in JSON.
+ * Query: format (png | svg), size (px), margin (modules), ecl (L | M | Q | H), palette - fixed choices, see QRCodeService.parseRenderOptions
+ */
+const getStallQRImage = async (req, res, next) => {
+  try {
+    const { options, error } = QRCodeService.parseRenderOptions(req.query, QRCodeService.STATIC_RENDER_DEFAULTS);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const stall = await Stall.findById(req.params.id, query);
+    if (!stall) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
+    if (!stall.qr_code_token) {
+      return errorResponse(res, 'QR code not generated for this stall', 404);
+    }
+
+    const image = await QRCodeService.renderQRCode(stall.qr_code_token, options, {
+      key: QRCodeService.getImageCacheKey(stall.qr_code_token)
+    });
+
+    // Short browser cache - the token changes when the stall QR is regenerated
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.setHeader('Content-Disposition', `inline; filename="stall-${stall.stall_number}-qr.${options.format}"`);
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin'); // <img src> from the frontend origin
+    return res.type(image.contentType).send(image.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get stalls by school name
  * @route GET /api/stall/school/:schoolName
@@ -135,30 +175,41 @@ const getStallStats = async (req, res, next) => {
 /**
  * Create new stall (admin only)
  * @route POST /api/stall
+ *
+ * @description
+ * The school is given by school_id or school_name. School coordinators can only
+ * create stalls for their own school. The QR token is generated by Stall.create.
  */
 const createStall = async (req, res, next) => {
   try {
-    const { stall_name, stall_number, school_name, description } = req.body;
+    const { stall_name, stall_number, school_id, school_name, description, location } = req.body;
 
-    if (!stall_name || !stall_number || !school_name) {
+    if (!stall_name || !stall_number || !(school_id || school_name)) {
       return errorResponse(res, 'Stall name, number, and school name are required', 400);
     }
 
+    const school = school_id
+      ? await School.findById(school_id, query)
+      : await School.findByName(school_name, query);
+    if (!school) {
+      return errorResponse(res, 'School not found', 404);
+    }
+    if (!canAccessSchool(req, school.id)) {
+      return errorResponse(res, 'You can only access your own school', 403);
+    }
+
     // Check if stall number already exists
     const existingStall = await Stall.findByStallNumber(stall_number, query);
     if (existingStall) {
       return errorResponse(res, 'Stall number already exists', 409);
     }
 
-    // Generate QR code token
-    const qrCodeToken = await QRCodeService.generateStallQRToken(stall_number);
-
     const stallData = {
       stall_name,
       stall_number,
-      school_name,
+      school_id: school.id,
       description: description || null,
-      qr_code_token: qrCodeToken
+      location: location || null
     };
 
     const newStall = await Stall.create(stallData, query);
@@ -178,6 +229,11 @@ const updateStall = async (req, res, next) => {
     const { id } = req.params;
     const { stall_name, description } = req.body;
 
+    const stall = await Stall.findById(id, query);
+    if (!stall || !canAccessSchool(req, stall.school_id)) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
     const updateData = {};
     if (stall_name) updateData.stall_name = stall_name;
     if (description !== undefined) updateData.description = description;
@@ -200,7 +256,12 @@ const updateStall = async (req, res, next) => {
 const deleteStall = async (req, res, next) => {
   try {
     const { id } = req.params;
-    
+
+    const stall = await Stall.findById(id, query);
+    if (!stall || !canAccessSchool(req, stall.school_id)) {
+      return errorResponse(res, 'Stall not found', 404);
+    }
+
     const deleted = await Stall.delete(id, query);
     if (!deleted) {
       return errorResponse(res, 'Stall not found', 404);
@@ -217,6 +278,7 @@ export default {
   getStallById,
   getStallByNumber,
   getStallQRCode,
+  getStallQRImage,
   getStallsBySchool,
   getStallStats,
   createStall,
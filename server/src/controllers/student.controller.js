@@ -1,14 +1,16 @@
 import Student from '../models/Student.model.js';
 import CheckInOut from '../models/CheckInOut.model.js';
 import Stall from '../models/Stall.model.js';
+import StallQRRevocation from '../models/StallQRRevocation.model.js';
 import Feedback from '../models/Feedback.model.js';
 import Ranking from '../models/Ranking.model.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import QRCodeService from '../services/qrCode.js';
+import LiveFeedService from '../services/liveFeed.js';
 import { successResponse, errorResponse } from '../helpers/response.js';
 import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
-import { query } from '../config/db.js';
+import { query, withTransaction } from '../config/db.js';
 
 /**
  * Student Controller
@@ -41,6 +43,11 @@ const login = async (req, res, next) => {
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
+    // Deactivated by an admin
+    if (!student.is_active) {
+      return errorResponse(res, 'Account is deactivated. Please contact the event help desk.', 403);
+    }
+
     // Check if password reset is required (first-time login or admin-forced reset)
     if (student.password_reset_required) {
       return successResponse(res, {
@@ -130,18 +137,20 @@ const getQRCode = async (req, res, next) => {
       return errorResponse(res, 'Student not found', 404);
     }
 
+    // Deactivated students get no QR to show at the gate
+    const scanDeniedReason = student.getScanDeniedReason();
+    if (scanDeniedReason) {
+      return errorResponse(res, scanDeniedReason, 403, { reason: 'STUDENT_INACTIVE' });
+    }
+
     // Generate rotating token (JWT string ~140 chars)
     const token = QRCodeService.generateRotatingStudentToken(student);
     
     // Generate rotating QR code image (Base64 PNG)
     const qrCodeImage = await QRCodeService.generateRotatingQRCodeImage(student);
 
-    // Calculate rotation metadata for frontend
-    const rotationInfo = {
-      expires_in_seconds: QRCodeService.getSecondsUntilRotation(),
-      rotation_interval: QRCodeService.ROTATION_INTERVAL_SECONDS,
-      grace_period_seconds: QRCodeService.GRACE_PERIOD_WINDOWS * QRCodeService.ROTATION_INTERVAL_SECONDS
-    };
+    // Rotation metadata for the frontend countdown (server clock)
+    const rotationInfo = QRCodeService.getRotationInfo();
 
     return successResponse(res, {
       qr_code: qrCodeImage,
@@ -154,6 +163,61 @@ const getQRCode = async (req, res, next) => {
   }
 };
 
+/**
+ * Get student rotating QR code as a raw image (kiosk screens)
+ * @route GET /api/student/qr-code/image
+ *
+ * @description
+ * Returns image/png or image/svg+xml directly. X-QR-Rotates-In says when to fetch the next one.
+ * Query: format (png | svg), size (px), margin (modules), ecl (L | M | Q | H), palette - fixed choices, see QRCodeService.parseRenderOptions
+ */
+const getQRCodeImage = async (req, res, next) => {
+  try {
+    const { options, error } = QRCodeService.parseRenderOptions(req.query, QRCodeService.ROTATING_RENDER_DEFAULTS);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const student = await Student.findById(req.user.id, query);
+    if (!student) {
+      return errorResponse(res, 'Student not found', 404);
+    }
+
+    // Deactivated students get no QR to show at the gate
+    const scanDeniedReason = student.getScanDeniedReason();
+    if (scanDeniedReason) {
+      return errorResponse(res, scanDeniedReason, 403, { reason: 'STUDENT_INACTIVE' });
+    }
+
+    const image = await QRCodeService.renderRotatingQRCode(student, options);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-QR-Rotates-In', String(QRCodeService.getSecondsUntilRotation()));
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin'); // <img src> from the frontend origin
+    return res.type(image.contentType).send(image.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get server time and the rotating QR schedule
+ * @route GET /api/student/server-time
+ *
+ * @description
+ * Public, so the app can sync before login. The app should store
+ * offset = server_time_ms - (request sent + response received) / 2
+ * and run the QR countdown against next_rotation_at with that offset applied.
+ */
+const getServerTime = async (req, res, next) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    return successResponse(res, QRCodeService.getRotationInfo());
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get student check-in history
  * @route GET /api/student/check-in-history
@@ -214,15 +278,21 @@ const scanStall = async (req, res, next) => {
       return errorResponse(res, 'Stall QR code is required', 400);
     }
 
-    // Verify stall QR code
+    // Verify stall QR code (signature before any DB lookup)
     const stallDecoded = QRCodeService.verifyStallQRToken(stall_qr_token);
-    if (!stallDecoded || !stallDecoded.valid) {
-      return errorResponse(res, 'Invalid stall QR code', 400);
-    }
-
-    // Find stall by QR token
-    const stall = await Stall.findByQRToken(stall_qr_token, query);
+    const stall = stallDecoded?.valid ? await Stall.findByQRToken(stall_qr_token, query) : null;
     if (!stall) {
+      // Old poster of a stall whose QR was regenerated - legacy codes fail verification
+      // once ALLOW_LEGACY_STALL_QR is off, so they are looked up too
+      const revocation = stallDecoded?.valid || stallDecoded?.legacy
+        ? await StallQRRevocation.findByToken(stall_qr_token, query)
+        : null;
+      if (revocation) {
+        return errorResponse(res, `This QR has been replaced. Please scan the new QR code at stall ${revocation.stall_number}.`, 410);
+      }
+      if (!stallDecoded?.valid) {
+        return errorResponse(res, 'Invalid stall QR code', 400);
+      }
       return errorResponse(res, 'Stall not found', 404);
     }
 
@@ -329,6 +399,14 @@ const submitFeedback = async (req, res, next) => {
       [stall_id]
     );
 
+    // 📡 Push to live dashboard (fire-and-forget)
+    LiveFeedService.publish(LiveFeedService.EVENT_TYPES.FEEDBACK, {
+      stall_id: stall.id,
+      stall_number: stall.stall_number,
+      stall_name: stall.stall_name,
+      rating: feedback.rating
+    });
+
     return successResponse(res, {
       feedback: {
         id: feedback.id,
@@ -470,14 +548,7 @@ const submitSchoolRanking = async (req, res, next) => {
     }
 
     // Verify ALL stalls belong to student's school
-    const stallCheckQuery = `
-      SELECT st.id, st.stall_name, st.school_id, sc.school_name
-      FROM stalls st
-      LEFT JOIN schools sc ON st.school_id = sc.id
-      WHERE st.id = ANY($1::uuid[])
-    `;
-    
-    const stallsToRank = await query(stallCheckQuery, [stallIds]);
+    const stallsToRank = await Ranking.findRankableStalls(stallIds, query);
 
     if (stallsToRank.length !== 3) {
       return errorResponse(res, 'One or more stalls not found', 404);
@@ -488,68 +559,40 @@ const submitSchoolRanking = async (req, res, next) => {
       return errorResponse(res, `You can only rank stalls from YOUR school. Invalid: ${invalidStalls.map(s => s.stall_name).join(', ')}`, 403);
     }
 
-    try {
-      await query('BEGIN');
-
-      const rankingData = rankings.map(r => ({
-        student_id: req.user.id,
-        stall_id: r.stall_id,
-        rank: r.rank
-      }));
-
-      await Ranking.bulkCreate(rankingData, query);
-
-      await query(
-        `UPDATE students 
-         SET has_completed_ranking = true,
-             selected_category = 'CATEGORY_2',
-             updated_at = NOW()
-         WHERE id = $1`,
-        [req.user.id]
-      );
-
-      for (const ranking of rankings) {
-        const columnName = ranking.rank === 1 ? 'rank_1_votes' 
-                         : ranking.rank === 2 ? 'rank_2_votes' 
-                         : 'rank_3_votes';
-        
-        await query(
-          `UPDATE stalls 
-           SET ${columnName} = ${columnName} + 1,
-               weighted_score = (rank_1_votes * 5) + (rank_2_votes * 3) + (rank_3_votes * 1),
-               updated_at = NOW()
-           WHERE id = $1`,
-          [ranking.stall_id]
-        );
-      }
-
-      await query('COMMIT');
+    const submitted = await withTransaction((sql) =>
+      Ranking.submitStudentRankings(req.user.id, rankings, sql)
+    );
 
-      const rankedStallsQuery = `
-        SELECT r.rank, st.stall_name, st.stall_number
-        FROM rankings r
-        LEFT JOIN stalls st ON r.stall_id = st.id
-        WHERE r.student_id = $1
-        ORDER BY r.rank ASC
-      `;
-      
-      const rankedStalls = await query(rankedStallsQuery, [req.user.id]);
+    if (!submitted) {
+      return errorResponse(res, 'You have already submitted your rankings. This is ONE-TIME only.', 409);
+    }
 
-      return successResponse(res, {
-        message: '🎉 Rankings submitted successfully!',
-        submitted_rankings: rankedStalls.map(r => ({
-          rank: r.rank,
-          stall_name: r.stall_name,
-          stall_number: r.stall_number
-        })),
-        note: 'Your rankings are recorded and cannot be changed.'
-      }, 'School rankings submitted', 201);
+    // 📡 Push to live dashboard (fire-and-forget)
+    LiveFeedService.publish(LiveFeedService.EVENT_TYPES.RANKING, {
+      school_id: student.school_id,
+      school_name: student.school_name,
+      stall_ids: rankings.map(r => r.stall_id)
+    });
 
-    } catch (error) {
-      await query('ROLLBACK');
-      throw error;
-    }
+    const rankedStallsQuery = `
+      SELECT r.rank, st.stall_name, st.stall_number
+      FROM rankings r
+      LEFT JOIN stalls st ON r.stall_id = st.id
+      WHERE r.student_id = $1
+      ORDER BY r.rank ASC
+    `;
+    
+    const rankedStalls = await query(rankedStallsQuery, [req.user.id]);
 
+    return successResponse(res, {
+      message: '🎉 Rankings submitted successfully!',
+      submitted_rankings: rankedStalls.map(r => ({
+        rank: r.rank,
+        stall_name: r.stall_name,
+        stall_number: r.stall_number
+      })),
+      note: 'Your rankings are recorded and cannot be changed.'
+    }, 'School rankings submitted', 201);
   } catch (error) {
     next(error);
   }
@@ -633,6 +676,10 @@ const verifyResetCredentials = async (req, res, next) => {
       return errorResponse(res, 'Invalid credentials. Please check your details.', 401);
     }
 
+    if (!student.is_active) {
+      return errorResponse(res, 'Account is deactivated. Please contact the event help desk.', 403);
+    }
+
     // Generate temporary reset token (valid for 10 minutes)
     const resetToken = jwt.sign(
       { 
@@ -735,6 +782,8 @@ export default {
   logout,
   getProfile,
   getQRCode,
+  getQRCodeImage,
+  getServerTime,
   getCheckInHistory,
   updateProfile,
   scanStall,
@@ -1,19 +1,295 @@
 import Volunteer from '../models/Volunteer.model.js';
 import Student from '../models/Student.model.js';
 import Stall from '../models/Stall.model.js';
+import StallQRRevocation from '../models/StallQRRevocation.model.js';
 import CheckInOut from '../models/CheckInOut.model.js';
+import GateLocation from '../models/GateLocation.model.js';
 import QRCodeService from '../services/qrCode.js';
+import LiveFeedService from '../services/liveFeed.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { successResponse, errorResponse } from '../helpers/response.js';
 import { setAuthCookie, clearAuthCookie } from '../helpers/cookie.js';
-import { query } from '../config/db.js';
+import { query, withTransaction } from '../config/db.js';
 
 /**
  * Volunteer Controller
  * Handles volunteer authentication, QR code scanning and check-in/out
  */
 
+// Offline batch sync limits
+const MAX_BATCH_SIZE = 200;
+const OFFLINE_SCAN_MAX_AGE_HOURS = parseInt(process.env.OFFLINE_SCAN_MAX_AGE_HOURS) || 12;
+const MAX_CLOCK_SKEW_SECONDS = 120;       // Device clocks may run slightly ahead of the server
+const DUPLICATE_SCAN_WINDOW_SECONDS = 30; // Same student scanned twice (e.g. re-scan after a "failed" scan)
+
+/**
+ * Log and push a rotating-token reuse attempt (likely a screenshot) to the live feed
+ * @param {Object} student - Student whose token was reused
+ * @param {string} volunteerId - Volunteer who scanned it
+ * @param {Object|null} volunteer - Volunteer model (for location)
+ * @param {Object|null} firstUse - Claim stored by the first scan ({ volunteer_id, location, used_at })
+ */
+const reportTokenReuse = (student, volunteerId, volunteer, firstUse) => {
+  console.log(`🚫 [SCAN] Reused QR token for ${student.registration_no} (first used: ${firstUse?.used_at || 'unknown'})`);
+
+  LiveFeedService.publish(LiveFeedService.EVENT_TYPES.REPLAY, {
+    registration_no: student.registration_no,
+    full_name: student.full_name,
+    volunteer_id: volunteerId,
+    location: volunteer?.assigned_location || null,
+    first_use: firstUse
+  });
+};
+
+/**
+ * 409 response for a rotating token that already recorded a check-in/out
+ * retry_after_seconds: when the student's app shows the next QR
+ * @param {Object} res - Express response
+ * @param {Object} student - Student whose token was reused
+ * @param {Object|null} firstUse - Claim / scan of the first use
+ */
+const tokenReusedResponse = (res, student, firstUse) => errorResponse(
+  res,
+  'This QR code has already been used. Ask the student to show the live QR code from their app.',
+  409,
+  {
+    reason: 'TOKEN_REUSED',
+    first_use: firstUse,
+    retry_after_seconds: QRCodeService.getSecondsUntilRotation(),
+    student: {
+      full_name: student.full_name,
+      registration_no: student.registration_no,
+      is_inside_event: student.is_inside_event
+    }
+  }
+);
+
+/**
+ * Build the result for a scan refused by an ENTRY-only / EXIT-only gate
+ * @param {string} gateMode - ENTRY or EXIT
+ * @param {boolean} isInside - Student's state at scan time
+ * @param {Object} student - Locked student row
+ * @returns {Object} Scan result with status "rejected"
+ */
+const gateRejection = (gateMode, isInside, student) => ({
+  status: 'rejected',
+  action: null,
+  reason: isInside ? 'ALREADY_INSIDE' : 'ALREADY_OUTSIDE',
+  message: isInside
+    ? `Student is already inside the event. This is an ${gateMode}-only gate.`
+    : `Student is not inside the event. This is an ${gateMode}-only gate.`,
+  updatedStudent: student
+});
+
+/**
+ * Record one student scan (shared by live and offline batch scanning)
+ * Runs as one transaction with the student row locked so two gates scanning the same QR
+ * cannot both toggle it.
+ *
+ * Live scans (no scannedAt) toggle the current state. Offline scans carry the device time:
+ * - scanned after the latest recorded scan → toggled like a live scan, stamped with device time
+ * - scanned before it (arrived late) → inserted into history at its own time, taking the type
+ *   that continues the scan before it. Recorded scans are never rewritten: a late scan that
+ *   would leave two ENTRYs or two EXITs in a row is saved as a conflict (status "conflict")
+ *   and the student's state is left alone
+ *
+ * ENTRY / EXIT gates only perform their own action: a student already inside at an ENTRY
+ * gate (or outside at an EXIT gate) is rejected and nothing is written. A late offline scan
+ * from such a gate already happened, so it keeps the gate's type (conflict if it doesn't fit).
+ *
+ * @param {Object} student - Student model
+ * @param {string} volunteerId - Scanning volunteer
+ * @param {Object} options - { gateMode, scannedAt: Date, clientScanId: string, tokenKey: string }
+ *   scannedAt / clientScanId for offline scans, tokenKey for rotating QRs (getRotatingTokenKey)
+ * @returns {Promise<Object>} { status, action, updatedStudent, durationMinutes, record }
+ *   status: applied | reordered | conflict | duplicate | skipped | rejected
+ */
+const recordStudentScan = async (student, volunteerId, { gateMode = 'TOGGLE', scannedAt = null, clientScanId = null, tokenKey = null } = {}) => {
+  return await withTransaction(async (sql) => {
+    const lockedStudent = await Student.lockById(student.id, sql);
+
+    // Deactivated after the caller looked the student up
+    if (lockedStudent.getScanDeniedReason()) {
+      return {
+        status: 'rejected',
+        action: null,
+        reason: 'STUDENT_INACTIVE',
+        message: lockedStudent.getScanDeniedReason(),
+        updatedStudent: lockedStudent
+      };
+    }
+
+    // Idempotency: the device retried a scan that was already synced
+    if (clientScanId) {
+      const existing = await CheckInOut.findByClientScanId(clientScanId, sql);
+      if (existing) {
+        return { status: 'duplicate', action: existing.scan_type === 'CHECKIN' ? 'ENTRY' : 'EXIT', record: existing };
+      }
+    }
+
+    // A rotating token records one scan - checked here as well so replays are refused without Redis
+    if (tokenKey) {
+      const firstScan = await CheckInOut.findByQRTokenKey(tokenKey, sql);
+      if (firstScan) {
+        return {
+          status: 'rejected',
+          action: null,
+          reason: 'TOKEN_REUSED',
+          message: 'This QR code was already used for another scan',
+          first_use: { volunteer_id: firstScan.volunteer_id, used_at: firstScan.scanned_at },
+          updatedStudent: lockedStudent
+        };
+      }
+    }
+
+    let outOfOrder = false;
+    if (scannedAt) {
+      const nearbyScan = await CheckInOut.findScanNear(student.id, scannedAt, DUPLICATE_SCAN_WINDOW_SECONDS, sql);
+      if (nearbyScan) {
+        return {
+          status: 'skipped',
+          reason: 'DUPLICATE_SCAN',
+          message: `Student already scanned within ${DUPLICATE_SCAN_WINDOW_SECONDS}s`,
+          record: nearbyScan
+        };
+      }
+
+      const lastScan = await CheckInOut.findLastScan(student.id, sql);
+      outOfOrder = !!lastScan && new Date(lastScan.scanned_at) > scannedAt;
+    }
+
+    let action;
+    let updatedStudent;
+    let durationMinutes = 0;
+    let record = null;
+    let conflict = false;
+
+    if (outOfOrder) {
+      // Late offline scan: recorded scans stay as they are, its type comes from the scans around it
+      const timeline = await CheckInOut.findTimeline(student.id, sql);
+      // The student already went through an ENTRY / EXIT gate, so that scan keeps the gate's type
+      const gateScanType = { ENTRY: 'CHECKIN', EXIT: 'CHECKOUT' }[gateMode] || null;
+      const placement = CheckInOut.placeLateScan(timeline, scannedAt, gateScanType);
+
+      const inserted = await CheckInOut.create({
+        student_id: student.id,
+        volunteer_id: volunteerId,
+        scan_type: placement.scan_type,
+        scan_number: 0, // recomputeHistory numbers scans that fit the sequence
+        scanned_at: scannedAt,
+        client_scan_id: clientScanId,
+        synced_at: new Date(),
+        gate_mode: gateMode,
+        is_conflict: placement.is_conflict,
+        qr_token_key: tokenKey
+      }, sql);
+      action = placement.scan_type === 'CHECKIN' ? 'ENTRY' : 'EXIT';
+      conflict = placement.is_conflict;
+
+      if (conflict) {
+        // Doesn't fit between the recorded scans - keep it for review, leave the student's state alone
+        record = inserted;
+        updatedStudent = lockedStudent;
+        console.log(`⚠️ [SCAN] Late offline ${action} for ${student.registration_no} conflicts with recorded scans`);
+      } else {
+        if (placement.resolves) {
+          await CheckInOut.resolveConflict(placement.resolves.id, sql);
+        }
+
+        const history = await CheckInOut.recomputeHistory(student.id, sql);
+        record = history.find(row => row.id === inserted.id);
+        updatedStudent = await Student.syncScanStateFromHistory(student.id, sql);
+        durationMinutes = record.duration_minutes || 0;
+
+        console.log(`🔀 [SCAN] Late offline ${action} for ${student.registration_no} slotted into history`);
+      }
+    } else {
+      // 🎯 SMART LOGIC: Determine action based on current status
+      const isCurrentlyInside = lockedStudent.is_inside_event;
+      action = isCurrentlyInside ? 'EXIT' : 'ENTRY';
+      
+      console.log(`🎯 [SCAN] Current status: ${isCurrentlyInside ? 'INSIDE' : 'OUTSIDE'}`);
+      console.log(`🎯 [SCAN] Action to perform: ${action} (gate mode: ${gateMode})`);
+
+      // 🚧 ENTRY-only / EXIT-only gates never perform the opposite action
+      if (gateMode !== 'TOGGLE' && gateMode !== action) {
+        return gateRejection(gateMode, isCurrentlyInside, lockedStudent);
+      }
+
+      // Store the check-in time BEFORE updating (for duration calculation)
+      const previousCheckInTime = lockedStudent.last_checkin_at;
+
+      // Process check-in/out FIRST (toggles is_inside_event automatically and updates timestamps)
+      updatedStudent = await Student.processCheckInOutAt(student.id, scannedAt, sql);
+
+      if (action === 'ENTRY') {
+        record = await CheckInOut.create({
+          student_id: student.id,
+          volunteer_id: volunteerId,
+          scan_type: 'CHECKIN',
+          scan_number: updatedStudent.total_scan_count,
+          duration_minutes: null,
+          scanned_at: scannedAt,
+          client_scan_id: clientScanId,
+          synced_at: scannedAt ? new Date() : null,
+          gate_mode: gateMode,
+          qr_token_key: tokenKey
+        }, sql);
+        
+        console.log('✅ [DB] Check-in record saved:', record.id);
+        
+      } else if (action === 'EXIT' && previousCheckInTime) {
+        // Calculate duration AFTER checkout using the previous check-in time
+        const checkInTime = new Date(previousCheckInTime);
+        const checkOutTime = new Date(updatedStudent.last_checkout_at);
+        durationMinutes = Math.floor((checkOutTime - checkInTime) / (1000 * 60));
+        
+        console.log(`⏱️ [SCAN] Duration: ${durationMinutes} minutes (${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m)`);
+        console.log(`⏱️ [SCAN] Check-in: ${checkInTime.toISOString()}, Check-out: ${checkOutTime.toISOString()}`);
+        
+        record = await CheckInOut.create({
+          student_id: student.id,
+          volunteer_id: volunteerId,
+          scan_type: 'CHECKOUT',
+          scan_number: updatedStudent.total_scan_count,
+          duration_minutes: durationMinutes,
+          scanned_at: scannedAt,
+          client_scan_id: clientScanId,
+          synced_at: scannedAt ? new Date() : null,
+          gate_mode: gateMode,
+          qr_token_key: tokenKey
+        }, sql);
+        
+        console.log('✅ [DB] Check-out record saved:', record.id);
+        
+        // Update total active duration
+        await Student.updateActiveDuration(student.id, durationMinutes, sql);
+      }
+    }
+
+    // Update volunteer's scan count
+    await sql(
+      'UPDATE volunteers SET total_scans_performed = total_scans_performed + 1 WHERE id = $1',
+      [volunteerId]
+    );
+
+    if (conflict) {
+      return {
+        status: 'conflict',
+        action,
+        reason: 'SEQUENCE_CONFLICT',
+        message: 'Scan saved for review: it does not fit between the student\'s recorded entries and exits',
+        updatedStudent,
+        durationMinutes,
+        record
+      };
+    }
+
+    return { status: outOfOrder ? 'reordered' : 'applied', action, updatedStudent, durationMinutes, record };
+  });
+};
+
 /**
  * Volunteer login
  * @route POST /api/volunteer/login
@@ -31,17 +307,18 @@ const login = async (req, res, next) => {
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
-    // Check if volunteer is active
-    if (!volunteer.is_active) {
-      return errorResponse(res, 'Account is deactivated. Contact admin.', 403);
-    }
-
     // Verify password using model method
     const isValidPassword = await volunteer.comparePassword(password);
     if (!isValidPassword) {
       return errorResponse(res, 'Invalid credentials', 401);
     }
 
+    // Pending, rejected and deactivated volunteers never get a token
+    const accessDeniedReason = volunteer.getAccessDeniedReason();
+    if (accessDeniedReason) {
+      return errorResponse(res, accessDeniedReason, 403, { approval_status: volunteer.approval_status });
+    }
+
     const token = jwt.sign(
       { 
         id: volunteer.id, 
@@ -74,6 +351,10 @@ const login = async (req, res, next) => {
 /**
  * Volunteer registration
  * @route POST /api/volunteer/register
+ *
+ * @description
+ * Public endpoint - the account is created PENDING and no token is issued.
+ * An admin approves it (and assigns a gate) via /api/admin/volunteers/:id/approve.
  */
 const register = async (req, res, next) => {
   try {
@@ -90,38 +371,26 @@ const register = async (req, res, next) => {
     }
 
     // Create volunteer using model method (handles password hashing)
+    // assigned_location is only a preference until an admin approves the registration
     const newVolunteer = await Volunteer.create({
       email,
       password,
       full_name,
       phone,
-      assigned_location
+      assigned_location,
+      approval_status: 'PENDING'
     }, query);
 
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: newVolunteer.id, 
-        email: newVolunteer.email,
-        role: newVolunteer.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Set secure HTTP-Only cookie
-    setAuthCookie(res, token);
-
     return successResponse(res, {
-      token,
       volunteer: {
         id: newVolunteer.id,
         email: newVolunteer.email,
         full_name: newVolunteer.full_name,
         phone: newVolunteer.phone,
-        assigned_location: newVolunteer.assigned_location
+        assigned_location: newVolunteer.assigned_location,
+        approval_status: newVolunteer.approval_status
       }
-    }, 'Registration successful', 201);
+    }, 'Registration submitted. You can log in once an admin approves it.', 201);
   } catch (error) {
     next(error);
   }
@@ -144,6 +413,7 @@ const getProfile = async (req, res, next) => {
       full_name: volunteer.full_name,
       phone: volunteer.phone,
       assigned_location: volunteer.assigned_location,
+      gate_mode: await GateLocation.resolveForVolunteer(volunteer, query),
       is_active: volunteer.is_active,
       total_scans_performed: volunteer.total_scans_performed,
       created_at: volunteer.created_at
@@ -183,13 +453,18 @@ const logout = async (req, res, next) => {
  * 
  * Flow:
  * 1. Decode QR token to extract student registration number
- * 2. Find student in database
+ * 2. Find student in database - deactivated students are refused with 403 (STUDENT_INACTIVE)
  * 3. Determine action (ENTRY if outside, EXIT if inside)
+ *    ENTRY-only / EXIT-only gates refuse the opposite action with 409 (ALREADY_INSIDE / ALREADY_OUTSIDE)
+ *    A rotating token already used for a check-in/out is refused with 409 (TOKEN_REUSED);
+ *    checked in Redis and again in the scan transaction, so it holds without Redis too.
+ *    A second scan in the same rotation window needs the next QR (retry_after_seconds)
  * 4. Process check-in/out and update timestamps
  * 5. Calculate duration for EXIT actions
  * 6. Update volunteer scan count
+ * Steps 3-6 run in one transaction with the student row locked (withTransaction)
  * 
- * @param {string} req.body.qr_code_token - JWT token from student's QR code
+ * @param {string} req.body.qr_code_token - Student QR token: rotating (compact RS1: or JWT) or static ID card
  * @returns {Object} Student info, action type (ENTRY/EXIT), scan details
  */
 const scanStudentQR = async (req, res, next) => {
@@ -233,77 +508,90 @@ const scanStudentQR = async (req, res, next) => {
 
     console.log('✅ [SCAN] Student found:', student.full_name);
 
+    // Deactivated students are refused before their token is claimed
+    if (student.getScanDeniedReason()) {
+      console.log('🚫 [SCAN] Inactive student:', student.registration_no);
+      return errorResponse(res, student.getScanDeniedReason(), 403, {
+        reason: 'STUDENT_INACTIVE',
+        student: {
+          full_name: student.full_name,
+          registration_no: student.registration_no
+        }
+      });
+    }
+
     // 3️⃣ Verify volunteer is active (optional check, can be removed if not needed)
     const volunteer = await Volunteer.findById(req.user.id, query);
-    if (volunteer && !volunteer.is_active) {
+    if (volunteer && volunteer.getAccessDeniedReason()) {
       console.log('⚠️ [SCAN] Inactive volunteer attempted scan:', volunteer.email);
-      return errorResponse(res, 'Your volunteer account is inactive. Contact admin.', 403);
+      return errorResponse(res, volunteer.getAccessDeniedReason(), 403);
     }
 
+    const gateMode = await GateLocation.resolveForVolunteer(volunteer, query);
+
     if (volunteer) {
-      console.log('✅ [SCAN] Volunteer:', volunteer.full_name, '| Location:', volunteer.assigned_location);
+      console.log('✅ [SCAN] Volunteer:', volunteer.full_name, '| Location:', volunteer.assigned_location, '| Gate:', gateMode);
     }
 
-    // 4️⃣ 🎯 SMART LOGIC: Determine action based on current status
-    const isCurrentlyInside = student.is_inside_event;
-    const action = isCurrentlyInside ? 'EXIT' : 'ENTRY';
-    
-    console.log(`🎯 [SCAN] Current status: ${isCurrentlyInside ? 'INSIDE' : 'OUTSIDE'}`);
-    console.log(`🎯 [SCAN] Action to perform: ${action}`);
-
-    // 5️⃣ Store the check-in time BEFORE updating (for duration calculation)
-    const previousCheckInTime = student.last_checkin_at;
+    // 🛡️ Replay protection: a rotating token can trigger only one check-in/out
+    const tokenClaim = await QRCodeService.claimRotatingToken(decoded, {
+      volunteer_id: req.user.id,
+      location: volunteer?.assigned_location || null
+    });
 
-    // 6️⃣ Process check-in/out FIRST (toggles is_inside_event automatically and updates timestamps)
-    const updatedStudent = await Student.processCheckInOut(student.id, query);
+    if (!tokenClaim.claimed) {
+      reportTokenReuse(student, req.user.id, volunteer, tokenClaim.first_use);
+      return tokenReusedResponse(res, student, tokenClaim.first_use);
+    }
 
-    // 7️⃣ Calculate duration AFTER checkout using the previous check-in time
-    let durationMinutes = 0;
-    let checkInOutRecord = null;
+    // 4️⃣-8️⃣ Toggle entry/exit, save history, update duration and volunteer counter
+    let scan;
+    try {
+      scan = await recordStudentScan(student, req.user.id, {
+        gateMode,
+        tokenKey: QRCodeService.getRotatingTokenKey(decoded)
+      });
+    } catch (error) {
+      await QRCodeService.releaseRotatingToken(decoded);
+      throw error;
+    }
 
-    if (action === 'ENTRY') {
-      // 🔥 FIX: Save check-in record to database
-      checkInOutRecord = await CheckInOut.create({
-        student_id: student.id,
-        volunteer_id: req.user.id,
-        scan_type: 'CHECKIN',
-        scan_number: updatedStudent.total_scan_count,
-        duration_minutes: null
-      }, query);
-      
-      console.log('✅ [DB] Check-in record saved:', checkInOutRecord.id);
-      
-    } else if (action === 'EXIT' && previousCheckInTime) {
-      const checkInTime = new Date(previousCheckInTime);
-      const checkOutTime = new Date(updatedStudent.last_checkout_at);
-      durationMinutes = Math.floor((checkOutTime - checkInTime) / (1000 * 60));
-      
-      console.log(`⏱️ [SCAN] Duration: ${durationMinutes} minutes (${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m)`);
-      console.log(`⏱️ [SCAN] Check-in: ${checkInTime.toISOString()}, Check-out: ${checkOutTime.toISOString()}`);
-      
-      // 🔥 FIX: Save check-out record to database
-      checkInOutRecord = await CheckInOut.create({
-        student_id: student.id,
-        volunteer_id: req.user.id,
-        scan_type: 'CHECKOUT',
-        scan_number: updatedStudent.total_scan_count,
-        duration_minutes: durationMinutes
-      }, query);
-      
-      console.log('✅ [DB] Check-out record saved:', checkInOutRecord.id);
-      
-      // Update total active duration
-      await Student.updateActiveDuration(student.id, durationMinutes, query);
+    if (scan.status === 'rejected') {
+      await QRCodeService.releaseRotatingToken(decoded); // Let the student retry at the right gate
+      if (scan.reason === 'TOKEN_REUSED') {
+        reportTokenReuse(student, req.user.id, volunteer, scan.first_use);
+        return tokenReusedResponse(res, student, scan.first_use);
+      }
+      console.log(`🚧 [SCAN] ${gateMode} gate refused ${student.registration_no}: ${scan.reason}`);
+      return errorResponse(res, scan.message, scan.reason === 'STUDENT_INACTIVE' ? 403 : 409, {
+        reason: scan.reason,
+        gate_mode: gateMode,
+        student: {
+          full_name: student.full_name,
+          registration_no: student.registration_no,
+          is_inside_event: scan.updatedStudent.is_inside_event,
+          last_checkin_at: scan.updatedStudent.last_checkin_at,
+          last_checkout_at: scan.updatedStudent.last_checkout_at
+        }
+      });
     }
 
-    // 8️⃣ Update volunteer's scan count
-    await query(
-      'UPDATE volunteers SET total_scans_performed = total_scans_performed + 1 WHERE id = $1',
-      [req.user.id]
-    );
+    const { action, updatedStudent, durationMinutes } = scan;
 
     console.log(`✅ [SCAN] ${action} successful for ${student.full_name}`);
 
+    // 📡 Push to live dashboard (fire-and-forget)
+    LiveFeedService.publish(LiveFeedService.EVENT_TYPES.SCAN, {
+      action,
+      registration_no: student.registration_no,
+      full_name: student.full_name,
+      school_name: student.school_name,
+      volunteer_id: req.user.id,
+      location: volunteer?.assigned_location || null,
+      gate_mode: gateMode,
+      duration_minutes: action === 'EXIT' ? durationMinutes : null
+    });
+
     // 9️⃣ Return different response based on action
     const responseData = {
       student: {
@@ -316,6 +604,7 @@ const scanStudentQR = async (req, res, next) => {
       },
       action: action,
       scan_details: {
+        gate_mode: gateMode,
         timestamp: new Date().toISOString(),
         volunteer_id: req.user.id,
         volunteer_email: req.user.email
@@ -348,6 +637,232 @@ const scanStudentQR = async (req, res, next) => {
   }
 };
 
+/**
+ * Sync scans queued on the volunteer device while offline
+ * @route POST /api/volunteer/scan/batch
+ * @access Protected (Volunteer only)
+ *
+ * @description
+ * Replays queued scans in device-time order through the same logic as scanStudentQR.
+ * Each scan is independent: one bad scan never fails the batch.
+ * - client_scan_id makes retries safe (already-synced scans return status "duplicate")
+ * - QR tokens are verified as of scanned_at, so rotating tokens that expired while the
+ *   device was offline are still accepted - but only back to this volunteer's newest recorded
+ *   scan (the device was online until then), so a captured token can't be replayed hours later
+ *   by backdating scanned_at. Devices should sync their queue before resuming live scans.
+ * - A rotating token can trigger only one check-in/out (live or offline): reuse → rejected / TOKEN_REUSED
+ * - Scans that arrive after a newer scan for the same student are slotted into history
+ *   at their own time (status "reordered") instead of flipping the current state; if they
+ *   don't fit between the recorded scans they are saved for review (status "conflict")
+ *
+ * @param {Array} req.body.scans - [{ client_scan_id, qr_code_token, scanned_at }]
+ * @returns {Object} Summary counts + per-scan results in request order
+ *   status: applied | reordered | conflict | duplicate | skipped | rejected | invalid | not_found | failed
+ */
+const scanStudentBatch = async (req, res, next) => {
+  try {
+    const { scans } = req.body;
+
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return errorResponse(res, 'scans must be a non-empty array', 400);
+    }
+
+    if (scans.length > MAX_BATCH_SIZE) {
+      return errorResponse(res, `Maximum ${MAX_BATCH_SIZE} scans per batch`, 400);
+    }
+
+    const volunteer = await Volunteer.findById(req.user.id, query);
+    if (volunteer && volunteer.getAccessDeniedReason()) {
+      return errorResponse(res, volunteer.getAccessDeniedReason(), 403);
+    }
+
+    const gateMode = await GateLocation.resolveForVolunteer(volunteer, query);
+    const now = Date.now();
+    const oldestAllowed = now - OFFLINE_SCAN_MAX_AGE_HOURS * 60 * 60 * 1000;
+    const newestAllowed = now + MAX_CLOCK_SKEW_SECONDS * 1000;
+
+    // Offline window of this device: rotating tokens scanned before the volunteer's newest
+    // recorded scan (less one token lifetime for scans racing a sync) are refused
+    const latestRecordedScan = await CheckInOut.findLatestScanTimeByVolunteer(req.user.id, query);
+    const rotatingNotBefore = latestRecordedScan
+      ? latestRecordedScan.getTime() - QRCodeService.getRotatingTokenLifetimeSeconds() * 1000
+      : oldestAllowed;
+
+    const results = new Array(scans.length);
+    const queue = [];
+
+    // Validate shape first, then replay valid scans oldest → newest
+    scans.forEach((scan, index) => {
+      const clientScanId = typeof scan?.client_scan_id === 'string' ? scan.client_scan_id.trim() : '';
+      const scannedAt = new Date(scan?.scanned_at);
+      const result = { index, client_scan_id: clientScanId || null };
+
+      if (!clientScanId || clientScanId.length > 100) {
+        results[index] = { ...result, status: 'invalid', message: 'client_scan_id is required (max 100 chars)' };
+      } else if (!scan.qr_code_token) {
+        results[index] = { ...result, status: 'invalid', message: 'qr_code_token is required' };
+      } else if (isNaN(scannedAt.getTime())) {
+        results[index] = { ...result, status: 'invalid', message: 'scanned_at must be a valid timestamp' };
+      } else if (scannedAt.getTime() > newestAllowed) {
+        results[index] = { ...result, status: 'invalid', message: 'scanned_at is in the future' };
+      } else if (scannedAt.getTime() < oldestAllowed) {
+        results[index] = { ...result, status: 'invalid', message: `scanned_at is older than ${OFFLINE_SCAN_MAX_AGE_HOURS} hours` };
+      } else {
+        // Clamp small forward clock skew to the server time
+        queue.push({ index, clientScanId, token: scan.qr_code_token, scannedAt: new Date(Math.min(scannedAt.getTime(), now)) });
+      }
+    });
+
+    queue.sort((a, b) => a.scannedAt - b.scannedAt || a.index - b.index);
+
+    console.log(`📦 [BATCH] Volunteer ${req.user.id} syncing ${queue.length}/${scans.length} scans`);
+
+    for (const item of queue) {
+      const result = { index: item.index, client_scan_id: item.clientScanId, scanned_at: item.scannedAt.toISOString() };
+
+      try {
+        let decoded = QRCodeService.verifyRotatingStudentToken(item.token, { at: item.scannedAt.getTime() });
+        if (!decoded.valid && decoded.isStatic) {
+          decoded = await QRCodeService.verifyStudentQRToken(item.token);
+        }
+
+        if (!decoded || !decoded.valid) {
+          results[item.index] = { ...result, status: 'invalid', message: 'Invalid QR code' };
+          continue;
+        }
+
+        const student = await Student.findByRegistrationNo(decoded.registration_no, query);
+        if (!student) {
+          results[item.index] = { ...result, status: 'not_found', message: `Student not found. Registration: ${decoded.registration_no}` };
+          continue;
+        }
+
+        if (student.getScanDeniedReason()) {
+          results[item.index] = {
+            ...result,
+            status: 'rejected',
+            action: null,
+            registration_no: student.registration_no,
+            full_name: student.full_name,
+            reason: 'STUDENT_INACTIVE',
+            message: student.getScanDeniedReason()
+          };
+          continue;
+        }
+
+        // Device retry of an already-synced scan - report it before the token registry sees it again
+        const alreadySynced = await CheckInOut.findByClientScanId(item.clientScanId, query);
+        if (alreadySynced) {
+          results[item.index] = {
+            ...result,
+            status: 'duplicate',
+            action: alreadySynced.scan_type === 'CHECKIN' ? 'ENTRY' : 'EXIT',
+            registration_no: student.registration_no,
+            full_name: student.full_name
+          };
+          continue;
+        }
+
+        if (QRCodeService.getRotatingTokenKey(decoded) && item.scannedAt.getTime() < rotatingNotBefore) {
+          results[item.index] = {
+            ...result,
+            status: 'rejected',
+            action: null,
+            registration_no: student.registration_no,
+            full_name: student.full_name,
+            reason: 'SCANNED_BEFORE_LAST_SYNC',
+            message: 'Rotating QR scanned before this device last synced - ask the student to scan again'
+          };
+          continue;
+        }
+
+        const tokenClaim = await QRCodeService.claimRotatingToken(decoded, {
+          volunteer_id: req.user.id,
+          location: volunteer?.assigned_location || null,
+          client_scan_id: item.clientScanId
+        });
+
+        if (!tokenClaim.claimed) {
+          reportTokenReuse(student, req.user.id, volunteer, tokenClaim.first_use);
+          results[item.index] = {
+            ...result,
+            status: 'rejected',
+            action: null,
+            registration_no: student.registration_no,
+            full_name: student.full_name,
+            reason: 'TOKEN_REUSED',
+            message: 'This QR code was already used for another scan'
+          };
+          continue;
+        }
+
+        let outcome;
+        try {
+          outcome = await recordStudentScan(student, req.user.id, {
+            gateMode,
+            scannedAt: item.scannedAt,
+            clientScanId: item.clientScanId,
+            tokenKey: QRCodeService.getRotatingTokenKey(decoded)
+          });
+        } catch (error) {
+          await QRCodeService.releaseRotatingToken(decoded);
+          throw error;
+        }
+
+        const recorded = ['applied', 'reordered', 'conflict'].includes(outcome.status);
+        if (!recorded) {
+          await QRCodeService.releaseRotatingToken(decoded);
+        }
+        if (outcome.reason === 'TOKEN_REUSED') {
+          reportTokenReuse(student, req.user.id, volunteer, outcome.first_use);
+        }
+
+        results[item.index] = {
+          ...result,
+          status: outcome.status,
+          action: outcome.action || null,
+          registration_no: student.registration_no,
+          full_name: student.full_name,
+          ...(outcome.reason && { reason: outcome.reason, message: outcome.message }),
+          ...(outcome.updatedStudent && {
+            is_inside_event: outcome.updatedStudent.is_inside_event,
+            duration_minutes: outcome.action === 'EXIT' ? outcome.durationMinutes : null
+          })
+        };
+
+        if (outcome.status === 'applied' || outcome.status === 'reordered') {
+          LiveFeedService.publish(LiveFeedService.EVENT_TYPES.SCAN, {
+            action: outcome.action,
+            registration_no: student.registration_no,
+            full_name: student.full_name,
+            school_name: student.school_name,
+            volunteer_id: req.user.id,
+            location: volunteer?.assigned_location || null,
+            gate_mode: gateMode,
+            duration_minutes: outcome.action === 'EXIT' ? outcome.durationMinutes : null,
+            offline: true
+          });
+        }
+      } catch (error) {
+        console.error(`❌ [BATCH] Scan ${item.clientScanId} failed:`, error.message);
+        results[item.index] = { ...result, status: 'failed', message: 'Scan could not be processed' };
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { total: scans.length });
+
+    console.log('✅ [BATCH] Sync complete:', summary);
+
+    return successResponse(res, { gate_mode: gateMode, summary, results }, 'Offline scans synced');
+  } catch (error) {
+    console.error('❌ [BATCH] Error:', error);
+    next(error);
+  }
+};
+
 /**
  * Scan stall QR code and verify
  * @route POST /api/volunteer/scan/stall
@@ -360,15 +875,20 @@ const scanStallQR = async (req, res, next) => {
       return errorResponse(res, 'QR code token is required', 400);
     }
 
-    // Verify QR code token
-    const decoded = await QRCodeService.verifyStallQRToken(qr_code_token);
-    if (!decoded) {
-      return errorResponse(res, 'Invalid QR code', 400);
-    }
-
-    // Find stall
-    const stall = await Stall.findByQRToken(qr_code_token, query);
+    // Verify QR code token - no DB hit for forged or malformed tokens
+    const decoded = QRCodeService.verifyStallQRToken(qr_code_token);
+    const stall = decoded.valid ? await Stall.findByQRToken(qr_code_token, query) : null;
     if (!stall) {
+      // Replaced poster (signed, or legacy and refused by ALLOW_LEGACY_STALL_QR)
+      const revocation = decoded.valid || decoded.legacy
+        ? await StallQRRevocation.findByToken(qr_code_token, query)
+        : null;
+      if (revocation) {
+        return errorResponse(res, `This QR has been replaced. Please scan the new QR code at stall ${revocation.stall_number}.`, 410);
+      }
+      if (!decoded.valid) {
+        return errorResponse(res, decoded.error || 'Invalid QR code', 400);
+      }
       return errorResponse(res, 'Stall not found', 404);
     }
 
@@ -420,6 +940,7 @@ export default {
   logout,
   getProfile,
   scanStudentQR,
+  scanStudentBatch,
   scanStallQR,
   getHistory
 };
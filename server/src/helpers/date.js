@@ -0,0 +1,53 @@
+/**
+ * Date Helper Utilities
+ * Parsing of from/to filters sent by the admin dashboard
+ * @module helpers/date
+ */
+
+import AutoCheckoutService from '../services/autoCheckout.js';
+
+/**
+ * Parse a from/to query value
+ * Date-only values (YYYY-MM-DD) are days in the event timezone; `to` then includes that whole day.
+ *
+ * @param {string} value - ISO timestamp or YYYY-MM-DD
+ * @param {boolean} isEnd - true for the exclusive upper bound
+ * @returns {Date|null} null when the value is not a valid date
+ */
+export const parseDateBoundary = (value, isEnd) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const offset = new Intl.DateTimeFormat('en-US', {
+      timeZone: AutoCheckoutService.TIMEZONE,
+      timeZoneName: 'longOffset'
+    }).formatToParts(new Date(`${value}T12:00:00Z`))
+      .find(part => part.type === 'timeZoneName').value.replace('GMT', '') || 'Z';
+    const date = new Date(`${value}T00:00:00${offset}`);
+    if (isEnd) date.setUTCDate(date.getUTCDate() + 1);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse the optional from / to query params
+ * @param {Object} params - req.query
+ * @returns {{ range: { from?: Date, to?: Date }, error: string|null }}
+ */
+export const parseDateRange = (params) => {
+  const range = {};
+  for (const [param, isEnd] of [['from', false], ['to', true]]) {
+    if (!params[param]) continue;
+    range[param] = parseDateBoundary(params[param], isEnd);
+    if (!range[param]) {
+      return { range, error: `${param} must be an ISO timestamp or YYYY-MM-DD` };
+    }
+  }
+  return { range, error: null };
+};
+
+export default {
+  parseDateBoundary,
+  parseDateRange
+};
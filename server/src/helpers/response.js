@@ -61,8 +61,9 @@ export const validationErrorResponse = (res, errors) => {
  * @param {number} page - Current page number
  * @param {number} limit - Items per page
  * @param {number} total - Total items count
+ * @param {string|null} nextCursor - Opaque cursor for the next page (cursor-paginated endpoints)
  */
-export const paginatedResponse = (res, data, page, limit, total) => {
+export const paginatedResponse = (res, data, page, limit, total, nextCursor = undefined) => {
   return res.status(200).json({
     success: true,
     data,
@@ -71,8 +72,9 @@ export const paginatedResponse = (res, data, page, limit, total) => {
       limit,
       total,
       totalPages: Math.ceil(total / limit),
-      hasNext: page * limit < total,
-      hasPrev: page > 1
+      hasNext: nextCursor !== undefined ? nextCursor !== null : page * limit < total,
+      hasPrev: page > 1,
+      ...(nextCursor !== undefined && { nextCursor })
     },
     timestamp: new Date().toISOString()
   });
@@ -16,7 +16,8 @@ app.use(helmet());
 app.use(cors({
   origin: true,
   // origin: process.env.CLIENT_URL || 'http://localhost:3000',
-  credentials: true // Enable cookies and authentication headers
+  credentials: true, // Enable cookies and authentication headers
+  exposedHeaders: ['X-QR-Rotates-In'] // Raw rotating QR image refresh hint
 }));
 app.use(compression());
 app.use(cookieParser()); // Parse cookies
@@ -46,7 +47,8 @@ app.get('/api', (req, res) => {
       admin: '/api/admin',
       feedback: '/api/feedback',
       ranking: '/api/ranking',
-      checkInOut: '/api/check-in-out'
+      checkInOut: '/api/check-in-out',
+      exhibitor: '/api/exhibitor'
     }
   });
 });
@@ -59,8 +61,11 @@ import {
   stallRoutes,
   feedbackRoutes,
   rankingRoutes,
-  checkInOutRoutes
+  checkInOutRoutes,
+  exhibitorRoutes
 } from './routes/index.js';
+import AutoCheckoutService from './services/autoCheckout.js';
+import AuditLogService from './services/auditLog.js';
 
 // Use routes
 app.use('/api/admin', adminRoutes);
@@ -70,6 +75,7 @@ app.use('/api/stall', stallRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/ranking', rankingRoutes);
 app.use('/api/check-in-out', checkInOutRoutes);
+app.use('/api/exhibitor', exhibitorRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -97,6 +103,14 @@ app.use((err, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
+  // End-of-day checkout for students who left without scanning out
+  AutoCheckoutService.startScheduler();
+
+  // Rotating QR reuse is still refused via check_in_outs.qr_token_key, but reuse reports lose first-use details
+  if (!process.env.REDIS_HOST && !process.env.REDIS_URL) {
+    console.warn('⚠️  Redis not configured: rotating QR reuse is checked in the database only');
+  }
+
   if (process.env.NODE_ENV === 'production') {
     console.log(`✅ Server ready on port ${PORT}`);
   } else {
@@ -113,12 +127,13 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  // Write audit entries still waiting for their batch
+  AuditLogService.flush().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  AuditLogService.flush().finally(() => process.exit(0));
 });``
 
 export default app;
@@ -0,0 +1,107 @@
+import Admin from '../models/Admin.model.js';
+import { query } from '../config/db.js';
+
+/**
+ * Admin Scope Middleware
+ * Narrows the ADMIN role down to what each admin may see and change
+ *
+ * - SUPER_ADMIN: everything
+ * - SCHOOL_COORDINATOR: only their own school's students, stalls and feedback
+ * - VIEWER: read-only dashboards
+ *
+ * @module middleware/adminScope
+ */
+
+/**
+ * Load the caller's admin role and school
+ *
+ * @middleware
+ * @description
+ * - Must be used AFTER authenticateToken + authorizeRoles('ADMIN')
+ * - Read from the database on every request, so role changes and deactivation
+ *   apply immediately instead of when the 24h token expires
+ * - Attaches req.adminScope = { adminRole, schoolId } (schoolId is null unless SCHOOL_COORDINATOR)
+ *
+ * @throws {403} - Admin account missing or deactivated
+ */
+export const loadAdminScope = async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.user.id, query);
+    if (!admin || !admin.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin account is deactivated'
+      });
+    }
+
+    req.adminScope = {
+      adminRole: admin.admin_role,
+      schoolId: admin.admin_role === 'SCHOOL_COORDINATOR' ? admin.school_id : null
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Allow specific admin roles
+ *
+ * @middleware
+ * @param {...string} adminRoles - SUPER_ADMIN, SCHOOL_COORDINATOR, VIEWER
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.post('/schools', allowAdminRoles('SUPER_ADMIN'), adminController.createSchool);
+ *
+ * @throws {403} - Admin role not allowed
+ */
+export const allowAdminRoles = (...adminRoles) => {
+  return (req, res, next) => {
+    if (!adminRoles.includes(req.adminScope?.adminRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Required admin roles: ${adminRoles.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Whether the caller may access a school's data
+ * @param {Object} req - Express request (after loadAdminScope)
+ * @param {string} schoolId
+ * @returns {boolean} Always true for admins without a school scope
+ */
+export const canAccessSchool = (req, schoolId) => {
+  const scopeSchoolId = req.adminScope?.schoolId;
+  return !scopeSchoolId || scopeSchoolId === schoolId;
+};
+
+/**
+ * School filter for an admin query
+ * Coordinators are pinned to their own school; asking for another school is an error.
+ *
+ * @param {Object} req - Express request (after loadAdminScope)
+ * @param {string} requestedSchoolId - school_id from the query string / body (optional)
+ * @returns {{ schoolId: string|null, error: string|null }} schoolId null = all schools
+ */
+export const resolveSchoolScope = (req, requestedSchoolId) => {
+  const scopeSchoolId = req.adminScope?.schoolId;
+  if (!scopeSchoolId) {
+    return { schoolId: requestedSchoolId || null, error: null };
+  }
+  if (requestedSchoolId && requestedSchoolId !== scopeSchoolId) {
+    return { schoolId: null, error: 'You can only access your own school' };
+  }
+  return { schoolId: scopeSchoolId, error: null };
+};
+
+export default {
+  loadAdminScope,
+  allowAdminRoles,
+  canAccessSchool,
+  resolveSchoolScope
+};
@@ -0,0 +1,75 @@
+import AuditLogService from '../services/auditLog.js';
+
+/**
+ * Audit Middleware
+ * Records privileged write actions in audit_logs (actor, action, entity, before/after)
+ * @module middleware/audit
+ */
+
+/**
+ * Audit the route it is mounted on
+ *
+ * @middleware
+ * @description
+ * - Loads the "before" snapshot of the target entity before the controller runs
+ * - Uses the response data as the "after" snapshot
+ * - Only successful responses are recorded; dry runs (data.dry_run === true) are skipped
+ * - The entry is queued once the response has gone out (AuditLogService.enqueue), so
+ *   the audit insert never delays the action's response
+ * - Must run after authenticateToken (the actor is req.user)
+ *
+ * @param {string} action - Action name, e.g. 'STUDENT_UPDATE'
+ * @param {string} entityType - One of AuditLog.ENTITY_TYPES
+ * @param {Object} options
+ * @param {Function} options.entityId - (req) => target id known up front (default: req.params.id)
+ * @param {Function} options.resultId - (data) => target id from the response when it isn't known up front
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.put('/students/:id', auditAction('STUDENT_UPDATE', 'STUDENT'), adminController.updateStudent);
+ * router.post('/scan/student', auditAction('STUDENT_SCAN', 'STUDENT', { resultId: (data) => data?.student?.id }), ...);
+ */
+export const auditAction = (action, entityType, options = {}) => {
+  const {
+    entityId = (req) => req.params.id,
+    resultId = (data) => data?.id
+  } = options;
+
+  return async (req, res, next) => {
+    const targetId = entityId(req) || null;
+    const before = targetId ? await AuditLogService.loadSnapshot(entityType, targetId) : null;
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const data = body?.data ?? null;
+
+      if (res.statusCode < 400 && body?.success !== false && data?.dry_run !== true) {
+        const entry = {
+          actor: req.user,
+          action,
+          entityType,
+          entityId: targetId || resultId(data) || null,
+          before,
+          after: data,
+          metadata: {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            ip: req.ip,
+            user_agent: req.get('user-agent') || null,
+            ...(req.file && { file: req.file.originalname })
+          }
+        };
+        res.once('close', () => AuditLogService.enqueue(entry));
+      }
+
+      return json(body);
+    };
+
+    next();
+  };
+};
+
+export default {
+  auditAction
+};
@@ -83,7 +83,7 @@ export const authenticateToken = (req, res, next) => {
  * - Must be used AFTER authenticateToken middleware
  * - Supports multiple roles (e.g., authorizeRoles('ADMIN', 'VOLUNTEER'))
  * 
- * @param {...string} roles - Allowed roles (ADMIN, STUDENT, VOLUNTEER)
+ * @param {...string} roles - Allowed roles (ADMIN, STUDENT, VOLUNTEER, STALL)
  * @returns {Function} Express middleware function
  * 
  * @example
@@ -0,0 +1,66 @@
+import multer from 'multer';
+
+/**
+ * File Upload Middleware
+ * In-memory multer instance for spreadsheet imports (XLSX / CSV)
+ * Files are parsed straight from the buffer and never written to disk
+ * @module middleware/upload
+ */
+
+const SPREADSHEET_EXTENSIONS = /\.(xlsx|csv)$/i;
+
+const SPREADSHEET_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/csv',
+  'application/vnd.ms-excel', // Some browsers send this for .csv
+  'application/octet-stream'
+];
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10 MB default
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_EXTENSIONS.test(file.originalname) && SPREADSHEET_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    const error = new Error('Only .xlsx and .csv files are allowed');
+    error.status = 400;
+    cb(error);
+  }
+});
+
+/**
+ * Accept a single spreadsheet upload
+ *
+ * @middleware
+ * @param {string} fieldName - Multipart field name (default: 'file')
+ * @returns {Function} Express middleware that populates req.file
+ *
+ * @example
+ * router.post('/students/import', uploadSpreadsheet('file'), adminController.importStudents);
+ *
+ * @throws {400} - Wrong file type, file too large or malformed multipart body
+ */
+export const uploadSpreadsheet = (fieldName = 'file') => {
+  const handler = spreadsheetUpload.single(fieldName);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) return next();
+
+      return res.status(err.status || 400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? 'File is too large'
+          : err.message || 'File upload failed'
+      });
+    });
+  };
+};
+
+export default {
+  uploadSpreadsheet
+};
@@ -0,0 +1,223 @@
+/**
+ * Migration Runner Core
+ * Shared by run-migration.js, rollback-database.js and verify-schema.js
+ *
+ * Migrations live in ./sql as ordered pairs:
+ *   NNN_description.up.sql   - applies the change
+ *   NNN_description.down.sql - reverts it
+ *
+ * Applied migrations are recorded in the schema_migrations table with a batch number,
+ * so a rollback reverts everything applied by the last `npm run migrate`.
+ * Each migration runs in its own transaction on a single pg connection
+ * (the Neon HTTP driver cannot hold a transaction across statements).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'sql');
+export const MIGRATIONS_TABLE = 'schema_migrations';
+
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+/**
+ * Open a dedicated pg connection for migrations
+ * Uses DATABASE_URL (local Postgres) or falls back to NEON_DATABASE_URL
+ * @returns {Promise<pg.Client>}
+ */
+export const createClient = async () => {
+  const connectionString = process.env.DATABASE_URL || process.env.NEON_DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('DATABASE_URL or NEON_DATABASE_URL must be set to run migrations');
+  }
+
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+  return client;
+};
+
+/**
+ * Create the bookkeeping table if it does not exist
+ * @param {pg.Client} client
+ */
+export const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      batch INTEGER NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+};
+
+/**
+ * Load migration files from disk, ordered by version
+ * Every .up.sql must have a matching .down.sql
+ * @returns {Promise<Array<{ name: string, version: string, upPath: string, downPath: string }>>}
+ */
+export const loadMigrations = async () => {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, description, direction] = match;
+    const name = `${version}_${description}`;
+    const entry = migrations.get(name) || { name, version };
+    entry[direction === 'up' ? 'upPath' : 'downPath'] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(name, entry);
+  }
+
+  const ordered = [...migrations.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const migration of ordered) {
+    if (!migration.upPath || !migration.downPath) {
+      throw new Error(`Migration ${migration.name} is missing its ${migration.upPath ? 'down' : 'up'} file`);
+    }
+  }
+
+  return ordered;
+};
+
+/**
+ * Get applied migrations in the order they were applied
+ * @param {pg.Client} client
+ * @returns {Promise<Array<{ name: string, batch: number, applied_at: Date }>>}
+ */
+export const getAppliedMigrations = async (client) => {
+  const { rows } = await client.query(
+    `SELECT name, batch, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY id ASC`
+  );
+  return rows;
+};
+
+/**
+ * List migrations on disk that have not been applied yet
+ * @param {pg.Client} client
+ */
+export const getPendingMigrations = async (client) => {
+  const [all, applied] = await Promise.all([loadMigrations(), getAppliedMigrations(client)]);
+  const appliedNames = new Set(applied.map(m => m.name));
+  return all.filter(m => !appliedNames.has(m.name));
+};
+
+/**
+ * Run one SQL file inside a transaction together with its bookkeeping statement
+ */
+const runInTransaction = async (client, sqlText, bookkeeping, params, migrationName) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sqlText);
+    await client.query(bookkeeping, params);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migrationName} failed: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Apply all pending migrations as a new batch
+ * @param {pg.Client} client
+ * @returns {Promise<{ batch: number|null, applied: string[] }>}
+ */
+export const migrateUp = async (client) => {
+  await ensureMigrationsTable(client);
+  const pending = await getPendingMigrations(client);
+
+  if (pending.length === 0) {
+    return { batch: null, applied: [] };
+  }
+
+  const { rows } = await client.query(`SELECT COALESCE(MAX(batch), 0) + 1 AS next_batch FROM ${MIGRATIONS_TABLE}`);
+  const batch = rows[0].next_batch;
+  const applied = [];
+
+  for (const migration of pending) {
+    const sqlText = await fs.readFile(migration.upPath, 'utf8');
+    await runInTransaction(
+      client,
+      sqlText,
+      `INSERT INTO ${MIGRATIONS_TABLE} (name, batch) VALUES ($1, $2)`,
+      [migration.name, batch],
+      migration.name
+    );
+    applied.push(migration.name);
+    console.log(`   ⬆️  ${migration.name}`);
+  }
+
+  return { batch, applied };
+};
+
+/**
+ * Revert applied migrations in reverse order
+ * @param {pg.Client} client
+ * @param {Object} options
+ * @param {boolean} options.all - Revert every applied migration
+ * @param {number} options.steps - Revert the last N migrations (overrides batch mode)
+ * @returns {Promise<{ reverted: string[] }>}
+ */
+export const migrateDown = async (client, { all = false, steps = null } = {}) => {
+  await ensureMigrationsTable(client);
+  const applied = await getAppliedMigrations(client);
+
+  if (applied.length === 0) {
+    return { reverted: [] };
+  }
+
+  let toRevert;
+  if (all) {
+    toRevert = applied;
+  } else if (steps) {
+    toRevert = applied.slice(-steps);
+  } else {
+    const lastBatch = Math.max(...applied.map(m => m.batch));
+    toRevert = applied.filter(m => m.batch === lastBatch);
+  }
+
+  const onDisk = new Map((await loadMigrations()).map(m => [m.name, m]));
+  const reverted = [];
+
+  for (const { name } of toRevert.reverse()) {
+    const migration = onDisk.get(name);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${name}: migration files not found in ${MIGRATIONS_DIR}`);
+    }
+
+    const sqlText = await fs.readFile(migration.downPath, 'utf8');
+    await runInTransaction(
+      client,
+      sqlText,
+      `DELETE FROM ${MIGRATIONS_TABLE} WHERE name = $1`,
+      [name],
+      name
+    );
+    reverted.push(name);
+    console.log(`   ⬇️  ${name}`);
+  }
+
+  return { reverted };
+};
+
+export default {
+  MIGRATIONS_DIR,
+  MIGRATIONS_TABLE,
+  createClient,
+  ensureMigrationsTable,
+  loadMigrations,
+  getAppliedMigrations,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
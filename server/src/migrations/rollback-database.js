@@ -0,0 +1,54 @@
+/**
+ * Database Rollback
+ *
+ * @description Reverts applied migrations using their .down.sql files
+ * @usage
+ *   npm run migrate:rollback              # revert the last batch
+ *   npm run migrate:rollback -- --steps=2 # revert the last 2 migrations
+ *   npm run migrate:rollback -- --all     # revert everything (fresh setup)
+ * @category Database Script
+ */
+
+import { createClient, migrateDown } from './migrator.js';
+
+const parseArgs = (argv) => {
+  const all = argv.includes('--all');
+  const stepsArg = argv.find(arg => arg.startsWith('--steps='));
+  const steps = stepsArg ? parseInt(stepsArg.split('=')[1]) : null;
+
+  if (stepsArg && (!steps || steps < 1)) {
+    throw new Error('--steps must be a positive integer');
+  }
+
+  return { all, steps };
+};
+
+async function rollback() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('⏪ DATABASE ROLLBACK');
+  console.log('═'.repeat(60));
+  console.log(`📅 Started: ${new Date().toISOString()}\n`);
+
+  let client;
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    client = await createClient();
+    const { reverted } = await migrateDown(client, options);
+
+    if (reverted.length === 0) {
+      console.log('✅ Nothing to roll back');
+    } else {
+      console.log(`\n✅ Rolled back ${reverted.length} migration(s)`);
+    }
+
+    await client.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Rollback failed:', error.message);
+    if (client) await client.end().catch(() => {});
+    process.exit(1);
+  }
+}
+
+rollback();
@@ -0,0 +1,41 @@
+/**
+ * Database Migration Runner
+ *
+ * @description Applies all pending SQL migrations from src/migrations/sql as one batch
+ * @usage npm run migrate
+ * @category Database Script
+ *
+ * Environment:
+ * - DATABASE_URL (local Postgres) or NEON_DATABASE_URL
+ */
+
+import { createClient, migrateUp } from './migrator.js';
+
+async function runMigrations() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('🗄️  DATABASE MIGRATIONS');
+  console.log('═'.repeat(60));
+  console.log(`📅 Started: ${new Date().toISOString()}\n`);
+
+  let client;
+  try {
+    client = await createClient();
+    const { batch, applied } = await migrateUp(client);
+
+    if (applied.length === 0) {
+      console.log('✅ Database is up to date - nothing to migrate');
+    } else {
+      console.log(`\n✅ Applied ${applied.length} migration(s) in batch ${batch}`);
+    }
+
+    await client.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    if (client) await client.end().catch(() => {});
+    process.exit(1);
+  }
+}
+
+runMigrations();
@@ -0,0 +1,55 @@
+/**
+ * Expected Schema
+ * Columns each model reads or writes, used by verify-schema.js
+ * Keep in sync with src/models/*.model.js when adding a migration
+ */
+
+export const EXPECTED_SCHEMA = {
+  schools: [
+    'id', 'school_name', 'description', 'created_at', 'updated_at'
+  ],
+  students: [
+    'id', 'registration_no', 'email', 'password_hash', 'full_name', 'school_id', 'phone', 'role',
+    'date_of_birth', 'address', 'pincode', 'program_name', 'batch', 'password_reset_required', 'is_active',
+    'qr_code_token', 'is_inside_event', 'total_scan_count', 'last_checkin_at', 'last_checkout_at',
+    'total_active_duration_minutes', 'feedback_count', 'has_completed_ranking', 'selected_category',
+    'created_at', 'updated_at'
+  ],
+  volunteers: [
+    'id', 'email', 'password_hash', 'full_name', 'phone', 'role', 'assigned_location',
+    'is_active', 'total_scans_performed', 'gate_mode', 'approval_status', 'reviewed_by', 'reviewed_at',
+    'rejection_reason', 'created_at', 'updated_at'
+  ],
+  admins: [
+    'id', 'email', 'password_hash', 'full_name', 'role', 'admin_role', 'school_id', 'is_active',
+    'created_at', 'updated_at'
+  ],
+  stalls: [
+    'id', 'stall_number', 'stall_name', 'school_id', 'description', 'location', 'role',
+    'qr_code_token', 'total_feedback_count', 'rank_1_votes', 'rank_2_votes', 'rank_3_votes',
+    'weighted_score', 'is_active', 'password_hash', 'last_login_at', 'created_at', 'updated_at'
+  ],
+  feedbacks: [
+    'id', 'student_id', 'stall_id', 'rating', 'comment', 'submitted_at'
+  ],
+  rankings: [
+    'id', 'student_id', 'stall_id', 'rank', 'score', 'submitted_at'
+  ],
+  check_in_outs: [
+    'id', 'student_id', 'volunteer_id', 'scan_type', 'scan_number', 'scanned_at', 'duration_minutes',
+    'client_scan_id', 'synced_at', 'gate_mode', 'is_system_generated', 'is_conflict',
+    'qr_token_key'
+  ],
+  gate_locations: [
+    'id', 'location_name', 'gate_mode', 'created_at', 'updated_at'
+  ],
+  audit_logs: [
+    'id', 'actor_id', 'actor_role', 'action', 'entity_type', 'entity_id', 'before_data', 'after_data',
+    'metadata', 'created_at'
+  ],
+  stall_qr_revocations: [
+    'id', 'stall_id', 'token', 'reason', 'revoked_by', 'revoked_at'
+  ]
+};
+
+export default EXPECTED_SCHEMA;
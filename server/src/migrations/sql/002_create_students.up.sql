@@ -0,0 +1,40 @@
+-- Students (main event participants, 11k+ per edition)
+CREATE TABLE IF NOT EXISTS students (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  registration_no VARCHAR(50) NOT NULL UNIQUE,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  full_name VARCHAR(255) NOT NULL,
+  school_id UUID REFERENCES schools(id) ON DELETE SET NULL,
+  phone VARCHAR(20),
+  role VARCHAR(20) NOT NULL DEFAULT 'STUDENT',
+
+  -- Authentication / password reset (DOB + pincode verification)
+  date_of_birth DATE,
+  address TEXT,
+  pincode VARCHAR(6),
+  program_name VARCHAR(255),
+  batch VARCHAR(20),
+  password_reset_required BOOLEAN NOT NULL DEFAULT true,
+
+  -- Legacy static QR token (rotating tokens are generated on demand)
+  qr_code_token TEXT,
+
+  -- Event participation
+  is_inside_event BOOLEAN NOT NULL DEFAULT false,
+  total_scan_count INTEGER NOT NULL DEFAULT 0,
+  last_checkin_at TIMESTAMPTZ,
+  last_checkout_at TIMESTAMPTZ,
+  total_active_duration_minutes INTEGER NOT NULL DEFAULT 0,
+
+  -- Category 1 (feedback) / Category 2 (ranking)
+  feedback_count INTEGER NOT NULL DEFAULT 0 CHECK (feedback_count <= 200),
+  has_completed_ranking BOOLEAN NOT NULL DEFAULT false,
+  selected_category VARCHAR(20),
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_students_school_id ON students(school_id);
+CREATE INDEX IF NOT EXISTS idx_students_is_inside_event ON students(is_inside_event) WHERE is_inside_event = true;
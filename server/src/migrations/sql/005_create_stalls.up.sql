@@ -0,0 +1,24 @@
+-- Stalls (~200 per edition, each with a static QR poster)
+CREATE TABLE IF NOT EXISTS stalls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stall_number VARCHAR(50) NOT NULL UNIQUE,
+  stall_name VARCHAR(255) NOT NULL,
+  school_id UUID REFERENCES schools(id) ON DELETE SET NULL,
+  description TEXT,
+  location VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'STALL',
+  qr_code_token TEXT UNIQUE,
+
+  -- Category 1 (feedback) / Category 2 (ranking) aggregates
+  total_feedback_count INTEGER NOT NULL DEFAULT 0,
+  rank_1_votes INTEGER NOT NULL DEFAULT 0,
+  rank_2_votes INTEGER NOT NULL DEFAULT 0,
+  rank_3_votes INTEGER NOT NULL DEFAULT 0,
+  weighted_score INTEGER NOT NULL DEFAULT 0,
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stalls_school_id ON stalls(school_id);
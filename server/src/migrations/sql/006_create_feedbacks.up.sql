@@ -0,0 +1,13 @@
+-- Feedbacks (Category 1 - one per student per stall, max 200 per student)
+CREATE TABLE IF NOT EXISTS feedbacks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  stall_id UUID NOT NULL REFERENCES stalls(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (student_id, stall_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedbacks_stall_id ON feedbacks(stall_id);
+CREATE INDEX IF NOT EXISTS idx_feedbacks_submitted_at ON feedbacks(submitted_at);
@@ -0,0 +1,13 @@
+-- Rankings (Category 2 - one-time top 3 of the student's own school)
+CREATE TABLE IF NOT EXISTS rankings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  stall_id UUID NOT NULL REFERENCES stalls(id) ON DELETE CASCADE,
+  rank SMALLINT NOT NULL CHECK (rank BETWEEN 1 AND 3),
+  score INTEGER,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (student_id, rank),
+  UNIQUE (student_id, stall_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rankings_stall_id ON rankings(stall_id);
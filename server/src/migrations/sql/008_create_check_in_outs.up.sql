@@ -0,0 +1,14 @@
+-- Check-in/out log (odd scan = CHECKIN, even scan = CHECKOUT)
+CREATE TABLE IF NOT EXISTS check_in_outs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  volunteer_id UUID REFERENCES volunteers(id) ON DELETE SET NULL,
+  scan_type VARCHAR(10) NOT NULL CHECK (scan_type IN ('CHECKIN', 'CHECKOUT')),
+  scan_number INTEGER NOT NULL,
+  scanned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  duration_minutes INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_check_in_outs_student_id ON check_in_outs(student_id, scanned_at DESC);
+CREATE INDEX IF NOT EXISTS idx_check_in_outs_volunteer_id ON check_in_outs(volunteer_id);
+CREATE INDEX IF NOT EXISTS idx_check_in_outs_scanned_at ON check_in_outs(scanned_at);
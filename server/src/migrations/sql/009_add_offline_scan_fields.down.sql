@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_check_in_outs_client_scan_id;
+ALTER TABLE check_in_outs DROP COLUMN IF EXISTS synced_at;
+ALTER TABLE check_in_outs DROP COLUMN IF EXISTS client_scan_id;
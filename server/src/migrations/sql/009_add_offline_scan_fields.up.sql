@@ -0,0 +1,7 @@
+-- Offline batch sync: idempotency key from the volunteer device + server receive time
+ALTER TABLE check_in_outs ADD COLUMN IF NOT EXISTS client_scan_id VARCHAR(100);
+ALTER TABLE check_in_outs ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_check_in_outs_client_scan_id
+  ON check_in_outs(client_scan_id)
+  WHERE client_scan_id IS NOT NULL;
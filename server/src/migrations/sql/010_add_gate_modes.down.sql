@@ -0,0 +1,3 @@
+ALTER TABLE check_in_outs DROP COLUMN IF EXISTS gate_mode;
+ALTER TABLE volunteers DROP COLUMN IF EXISTS gate_mode;
+DROP TABLE IF EXISTS gate_locations CASCADE;
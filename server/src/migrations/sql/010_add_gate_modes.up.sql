@@ -0,0 +1,14 @@
+-- Gate modes: ENTRY-only, EXIT-only or TOGGLE (legacy odd/even behaviour)
+-- Resolution order at scan time: volunteers.gate_mode → gate_locations.gate_mode → TOGGLE
+CREATE TABLE IF NOT EXISTS gate_locations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_name VARCHAR(255) NOT NULL UNIQUE,
+  gate_mode VARCHAR(10) NOT NULL DEFAULT 'TOGGLE' CHECK (gate_mode IN ('ENTRY', 'EXIT', 'TOGGLE')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS gate_mode VARCHAR(10)
+  CHECK (gate_mode IN ('ENTRY', 'EXIT', 'TOGGLE'));
+
+ALTER TABLE check_in_outs ADD COLUMN IF NOT EXISTS gate_mode VARCHAR(10);
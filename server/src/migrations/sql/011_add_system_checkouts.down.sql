@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_students_inside_event;
+ALTER TABLE check_in_outs DROP COLUMN IF EXISTS is_system_generated;
@@ -0,0 +1,5 @@
+-- End-of-day auto checkout: rows written by the system instead of a gate volunteer
+ALTER TABLE check_in_outs ADD COLUMN IF NOT EXISTS is_system_generated BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_students_inside_event ON students(last_checkin_at)
+  WHERE is_inside_event = true;
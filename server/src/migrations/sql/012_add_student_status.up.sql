@@ -0,0 +1,2 @@
+-- Admin-managed account status: deactivated students cannot log in or reset their password
+ALTER TABLE students ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_volunteers_pending;
+ALTER TABLE volunteers DROP COLUMN IF EXISTS rejection_reason;
+ALTER TABLE volunteers DROP COLUMN IF EXISTS reviewed_at;
+ALTER TABLE volunteers DROP COLUMN IF EXISTS reviewed_by;
+ALTER TABLE volunteers DROP COLUMN IF EXISTS approval_status;
@@ -0,0 +1,10 @@
+-- Volunteer self-registrations wait in an admin approval queue
+-- Existing volunteers were created before the queue existed, so they default to APPROVED
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS approval_status VARCHAR(10) NOT NULL DEFAULT 'APPROVED'
+  CHECK (approval_status IN ('PENDING', 'APPROVED', 'REJECTED'));
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES admins(id) ON DELETE SET NULL;
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+ALTER TABLE volunteers ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_volunteers_pending ON volunteers(created_at)
+  WHERE approval_status = 'PENDING';
@@ -0,0 +1,2 @@
+-- Admin student directory: keyset pagination on (created_at, id), newest first
+CREATE INDEX IF NOT EXISTS idx_students_created_at_id ON students(created_at DESC, id DESC);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_admins_school_id;
+ALTER TABLE admins DROP CONSTRAINT IF EXISTS admins_coordinator_school_check;
+ALTER TABLE admins DROP COLUMN IF EXISTS school_id;
+ALTER TABLE admins DROP COLUMN IF EXISTS admin_role;
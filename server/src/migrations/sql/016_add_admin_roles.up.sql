@@ -0,0 +1,12 @@
+-- Scoped admin roles: SUPER_ADMIN (everything), SCHOOL_COORDINATOR (own school only), VIEWER (read-only dashboards)
+-- admins.role stays 'ADMIN' for the JWT / authorizeRoles check; admin_role narrows it down
+-- Existing admins keep full access
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS admin_role VARCHAR(20) NOT NULL DEFAULT 'SUPER_ADMIN'
+  CHECK (admin_role IN ('SUPER_ADMIN', 'SCHOOL_COORDINATOR', 'VIEWER'));
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS school_id UUID REFERENCES schools(id);
+
+ALTER TABLE admins DROP CONSTRAINT IF EXISTS admins_coordinator_school_check;
+ALTER TABLE admins ADD CONSTRAINT admins_coordinator_school_check
+  CHECK (admin_role <> 'SCHOOL_COORDINATOR' OR school_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_admins_school_id ON admins(school_id) WHERE school_id IS NOT NULL;
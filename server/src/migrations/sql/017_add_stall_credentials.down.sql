@@ -0,0 +1,2 @@
+ALTER TABLE stalls DROP COLUMN IF EXISTS last_login_at;
+ALTER TABLE stalls DROP COLUMN IF EXISTS password_hash;
@@ -0,0 +1,4 @@
+-- Exhibitor portal: stalls log in with stall_number + password
+-- password_hash stays NULL until an admin issues credentials for the stall
+ALTER TABLE stalls ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+ALTER TABLE stalls ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ;
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS stall_qr_revocations CASCADE;
@@ -0,0 +1,12 @@
+-- Retired stall QR tokens (leaked / damaged posters)
+-- Scans of a revoked token get a specific "replaced" error instead of "stall not found"
+CREATE TABLE IF NOT EXISTS stall_qr_revocations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stall_id UUID NOT NULL REFERENCES stalls(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  reason TEXT,
+  revoked_by UUID,
+  revoked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stall_qr_revocations_stall ON stall_qr_revocations(stall_id, revoked_at DESC);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_check_in_outs_conflicts;
+ALTER TABLE check_in_outs DROP COLUMN IF EXISTS is_conflict;
@@ -0,0 +1,6 @@
+-- Late offline scans that don't fit the recorded ENTRY/EXIT sequence are kept for review
+-- instead of flipping the scans around them (excluded from counters and durations)
+ALTER TABLE check_in_outs ADD COLUMN IF NOT EXISTS is_conflict BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_check_in_outs_conflicts ON check_in_outs(student_id)
+  WHERE is_conflict = true;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_check_in_outs_qr_token_key;
+ALTER TABLE check_in_outs DROP COLUMN IF EXISTS qr_token_key;
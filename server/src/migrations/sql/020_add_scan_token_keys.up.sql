@@ -0,0 +1,7 @@
+-- Rotating QR token (student + time window) that produced each scan
+-- Backstop for the Redis used-token registry: a token can record one scan even without Redis
+ALTER TABLE check_in_outs ADD COLUMN IF NOT EXISTS qr_token_key VARCHAR(120);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_check_in_outs_qr_token_key
+  ON check_in_outs(qr_token_key)
+  WHERE qr_token_key IS NOT NULL;
@@ -0,0 +1,83 @@
+/**
+ * Schema Verifier
+ *
+ * @description Compares the live database against the columns the models expect
+ * and reports pending migrations. Exits with code 1 on any mismatch (CI-friendly).
+ * @usage npm run migrate:verify
+ * @category Database Script
+ */
+
+import { createClient, ensureMigrationsTable, getPendingMigrations } from './migrator.js';
+import { EXPECTED_SCHEMA } from './schema.js';
+
+async function verifySchema() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('🔎 SCHEMA VERIFICATION');
+  console.log('═'.repeat(60));
+  console.log('\n');
+
+  let client;
+  try {
+    client = await createClient();
+    await ensureMigrationsTable(client);
+
+    const { rows } = await client.query(
+      `SELECT table_name, column_name
+       FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = ANY($1::text[])`,
+      [Object.keys(EXPECTED_SCHEMA)]
+    );
+
+    const liveColumns = new Map();
+    for (const { table_name, column_name } of rows) {
+      if (!liveColumns.has(table_name)) liveColumns.set(table_name, new Set());
+      liveColumns.get(table_name).add(column_name);
+    }
+
+    let problems = 0;
+
+    for (const [table, expectedColumns] of Object.entries(EXPECTED_SCHEMA)) {
+      const live = liveColumns.get(table);
+
+      if (!live) {
+        console.log(`❌ ${table}: table missing`);
+        problems++;
+        continue;
+      }
+
+      const missing = expectedColumns.filter(column => !live.has(column));
+      const extra = [...live].filter(column => !expectedColumns.includes(column));
+
+      if (missing.length > 0) {
+        console.log(`❌ ${table}: missing columns → ${missing.join(', ')}`);
+        problems++;
+      } else {
+        console.log(`✅ ${table}: ${expectedColumns.length} columns OK`);
+      }
+
+      if (extra.length > 0) {
+        console.log(`   ℹ️  extra columns not used by models → ${extra.join(', ')}`);
+      }
+    }
+
+    const pending = await getPendingMigrations(client);
+    if (pending.length > 0) {
+      console.log(`\n⚠️  ${pending.length} pending migration(s): ${pending.map(m => m.name).join(', ')}`);
+      problems++;
+    }
+
+    console.log('\n' + '═'.repeat(60));
+    console.log(problems === 0 ? '✅ SCHEMA MATCHES MODELS' : `❌ SCHEMA VERIFICATION FAILED (${problems} problem(s))`);
+    console.log('═'.repeat(60) + '\n');
+
+    await client.end();
+    process.exit(problems === 0 ? 0 : 1);
+  } catch (error) {
+    console.error('\n❌ Schema verification failed:', error.message);
+    if (client) await client.end().catch(() => {});
+    process.exit(1);
+  }
+}
+
+verifySchema();
@@ -1,16 +1,28 @@
-// Admin Model - High-level user with read-only dashboard access
+// Admin Model - Dashboard user, scoped by admin_role (super admin, school coordinator, viewer)
 import bcrypt from 'bcryptjs';
 
 class AdminModel {
+  // SUPER_ADMIN: everything | SCHOOL_COORDINATOR: own school's students/stalls/feedback | VIEWER: read-only dashboards
+  static ADMIN_ROLES = ['SUPER_ADMIN', 'SCHOOL_COORDINATOR', 'VIEWER'];
+  static DEFAULT_ADMIN_ROLE = 'SUPER_ADMIN';
+
   constructor(data) {
     this.id = data.id;
     this.email = data.email;
     this.password_hash = data.password_hash;
     this.full_name = data.full_name;
     this.role = data.role;
+    this.admin_role = data.admin_role;
+    this.school_id = data.school_id;
     this.is_active = data.is_active;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
+    // Join fields
+    this.school_name = data.school_name;
+  }
+
+  static isValidAdminRole(adminRole) {
+    return AdminModel.ADMIN_ROLES.includes(adminRole);
   }
 
   static async hashPassword(password) {
@@ -22,7 +34,13 @@ class AdminModel {
   }
 
   static async findById(id, sql) {
-    const query = `SELECT * FROM admins WHERE id = $1 LIMIT 1`;
+    const query = `
+      SELECT a.*, sc.school_name
+      FROM admins a
+      LEFT JOIN schools sc ON a.school_id = sc.id
+      WHERE a.id = $1
+      LIMIT 1
+    `;
     const results = await sql(query, [id]);
     return results.length > 0 ? new AdminModel(results[0]) : null;
   }
@@ -37,21 +55,64 @@ class AdminModel {
     const hashedPassword = await AdminModel.hashPassword(data.password);
     const query = `
       INSERT INTO admins (
-        email, password_hash, full_name, role, is_active,
+        email, password_hash, full_name, role, admin_role, school_id, is_active,
         created_at, updated_at
       )
-      VALUES ($1, $2, $3, $4, true, NOW(), NOW())
+      VALUES ($1, $2, $3, $4, $5, $6, true, NOW(), NOW())
       RETURNING *
     `;
+    const adminRole = data.admin_role || AdminModel.DEFAULT_ADMIN_ROLE;
     const results = await sql(query, [
       data.email,
       hashedPassword,
       data.full_name,
-      data.role || 'ADMIN'
+      data.role || 'ADMIN',
+      adminRole,
+      adminRole === 'SCHOOL_COORDINATOR' ? data.school_id : null
     ]);
     return new AdminModel(results[0]);
   }
 
+  // school_id only sticks for SCHOOL_COORDINATOR; switching to another role clears it
+  static async update(id, data, sql) {
+    const query = `
+      UPDATE admins
+      SET email = COALESCE($1, email),
+          full_name = COALESCE($2, full_name),
+          password_hash = COALESCE($3, password_hash),
+          admin_role = COALESCE($4, admin_role),
+          school_id = CASE
+            WHEN COALESCE($4, admin_role) = 'SCHOOL_COORDINATOR' THEN COALESCE($5, school_id)
+            ELSE NULL
+          END,
+          is_active = COALESCE($6, is_active),
+          updated_at = NOW()
+      WHERE id = $7
+      RETURNING *
+    `;
+    const results = await sql(query, [
+      data.email,
+      data.full_name,
+      data.password_hash,
+      data.admin_role,
+      data.school_id,
+      data.is_active,
+      id
+    ]);
+    return results.length > 0 ? new AdminModel(results[0]) : null;
+  }
+
+  static async findAll(sql) {
+    const query = `
+      SELECT a.*, sc.school_name
+      FROM admins a
+      LEFT JOIN schools sc ON a.school_id = sc.id
+      ORDER BY a.full_name ASC
+    `;
+    const results = await sql(query);
+    return results.map(row => new AdminModel(row));
+  }
+
   static async findAllActive(sql) {
     const query = `
       SELECT * FROM admins 
@@ -0,0 +1,156 @@
+// AuditLog Model - Trail of privileged write actions (who changed what, before and after)
+class AuditLogModel {
+  static ENTITY_TYPES = ['ADMIN', 'STUDENT', 'VOLUNTEER', 'SCHOOL', 'STALL', 'RANKING', 'CHECK_IN_OUT', 'GATE_LOCATION'];
+
+  constructor(data) {
+    this.id = data.id;
+    this.actor_id = data.actor_id;
+    this.actor_role = data.actor_role;
+    this.action = data.action;
+    this.entity_type = data.entity_type;
+    this.entity_id = data.entity_id;
+    this.before_data = data.before_data;
+    this.after_data = data.after_data;
+    this.metadata = data.metadata;
+    this.created_at = data.created_at;
+    // Join fields
+    this.actor_name = data.actor_name;
+    this.actor_email = data.actor_email;
+    // Keyset pagination (search only)
+    this.created_at_key = data.created_at_key;
+  }
+
+  static async create(data, sql) {
+    const query = `
+      INSERT INTO audit_logs (
+        actor_id, actor_role, action, entity_type, entity_id, before_data, after_data, metadata
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+    const results = await sql(query, [
+      data.actor_id || null,
+      data.actor_role,
+      data.action,
+      data.entity_type,
+      data.entity_id != null ? String(data.entity_id) : null,
+      data.before_data != null ? JSON.stringify(data.before_data) : null,
+      data.after_data != null ? JSON.stringify(data.after_data) : null,
+      data.metadata != null ? JSON.stringify(data.metadata) : null
+    ]);
+    return new AuditLogModel(results[0]);
+  }
+
+  /**
+   * Insert queued audit entries in one statement
+   * created_at is the time of the action, not of the (delayed) insert
+   *
+   * @param {Object[]} entries - create() data plus created_at
+   * @param {Function} sql - Database query function
+   * @returns {Promise<number>} Rows inserted
+   */
+  static async bulkCreate(entries, sql) {
+    if (!entries || entries.length === 0) return 0;
+
+    const values = [];
+    const placeholders = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      const offset = i * 9;
+      placeholders.push(`(${Array.from({ length: 9 }, (_, column) => `$${offset + column + 1}`).join(', ')})`);
+      values.push(
+        entries[i].actor_id || null,
+        entries[i].actor_role,
+        entries[i].action,
+        entries[i].entity_type,
+        entries[i].entity_id != null ? String(entries[i].entity_id) : null,
+        entries[i].before_data != null ? JSON.stringify(entries[i].before_data) : null,
+        entries[i].after_data != null ? JSON.stringify(entries[i].after_data) : null,
+        entries[i].metadata != null ? JSON.stringify(entries[i].metadata) : null,
+        entries[i].created_at || new Date()
+      );
+    }
+
+    const query = `
+      INSERT INTO audit_logs (
+        actor_id, actor_role, action, entity_type, entity_id, before_data, after_data, metadata, created_at
+      )
+      VALUES ${placeholders.join(', ')}
+    `;
+    await sql(query, values);
+    return entries.length;
+  }
+
+  /**
+   * Build the WHERE clause for the audit log filters
+   * @param {Object} filters - { actor_id, actor_role, action, entity_type, entity_id, from, to }
+   * @param {Array} params - Query params (values are appended)
+   * @returns {string} SQL conditions
+   */
+  static buildSearchConditions(filters, params) {
+    const conditions = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replaceAll('?', `$${params.length}`));
+    };
+
+    if (filters.actor_id) add('a.actor_id = ?', filters.actor_id);
+    if (filters.actor_role) add('a.actor_role = ?', filters.actor_role);
+    if (filters.action) add('a.action = ?', filters.action);
+    if (filters.entity_type) add('a.entity_type = ?', filters.entity_type);
+    if (filters.entity_id) add('a.entity_id = ?', filters.entity_id);
+    if (filters.from) add('a.created_at >= ?', filters.from);
+    if (filters.to) add('a.created_at < ?', filters.to);
+
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  }
+
+  /**
+   * Audit log page (keyset pagination, newest first)
+   * Actor name/email are looked up in the table matching actor_role.
+   *
+   * @param {Object} filters - See buildSearchConditions
+   * @param {Object} page - { limit, after } - after is { created_at, id } of the previous page's last entry
+   * @param {Function} sql - Database query function
+   * @returns {Promise<AuditLogModel[]>}
+   */
+  static async search(filters, { limit = 100, after = null } = {}, sql) {
+    const params = [];
+    let conditions = AuditLogModel.buildSearchConditions(filters, params);
+
+    if (after) {
+      params.push(after.created_at, after.id);
+      conditions += ` AND (a.created_at, a.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+    }
+
+    params.push(limit);
+    const query = `
+      SELECT a.*, a.created_at::text AS created_at_key,
+        COALESCE(ad.full_name, v.full_name, s.full_name) AS actor_name,
+        COALESCE(ad.email, v.email, s.email) AS actor_email
+      FROM audit_logs a
+      LEFT JOIN admins ad ON a.actor_role = 'ADMIN' AND ad.id = a.actor_id
+      LEFT JOIN volunteers v ON a.actor_role = 'VOLUNTEER' AND v.id = a.actor_id
+      LEFT JOIN students s ON a.actor_role = 'STUDENT' AND s.id = a.actor_id
+      WHERE ${conditions}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${params.length}
+    `;
+    const results = await sql(query, params);
+    return results.map(row => new AuditLogModel(row));
+  }
+
+  // Total matches for the audit log filters
+  static async countSearch(filters, sql) {
+    const params = [];
+    const query = `
+      SELECT COUNT(*) as count
+      FROM audit_logs a
+      WHERE ${AuditLogModel.buildSearchConditions(filters, params)}
+    `;
+    const results = await sql(query, params);
+    return parseInt(results[0]?.count || 0);
+  }
+}
+
+export default AuditLogModel;
@@ -8,18 +8,27 @@ class CheckInOutModel {
     this.scan_number = data.scan_number;
     this.scanned_at = data.scanned_at;
     this.duration_minutes = data.duration_minutes;
+    this.client_scan_id = data.client_scan_id;
+    this.synced_at = data.synced_at;
+    this.gate_mode = data.gate_mode;
+    this.is_system_generated = data.is_system_generated;
+    this.is_conflict = data.is_conflict;
+    this.qr_token_key = data.qr_token_key;
     // Join fields
     this.student_name = data.student_name;
     this.registration_no = data.registration_no;
     this.volunteer_name = data.volunteer_name;
   }
 
+  // scanned_at / client_scan_id / synced_at are only set for offline scans replayed from a device
+  // qr_token_key is only set for scans of a rotating QR (QRCodeService.getRotatingTokenKey)
   static async create(data, sql) {
     const query = `
       INSERT INTO check_in_outs (
-        student_id, volunteer_id, scan_type, scan_number, scanned_at, duration_minutes
+        student_id, volunteer_id, scan_type, scan_number, scanned_at, duration_minutes,
+        client_scan_id, synced_at, gate_mode, is_conflict, qr_token_key
       )
-      VALUES ($1, $2, $3, $4, NOW(), $5)
+      VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), $6, $7, $8, $9, $10, $11)
       RETURNING *
     `;
     const results = await sql(query, [
@@ -27,11 +36,238 @@ class CheckInOutModel {
       data.volunteer_id,
       data.scan_type,
       data.scan_number,
-      data.duration_minutes || null
+      data.scanned_at || null,
+      data.duration_minutes || null,
+      data.client_scan_id || null,
+      data.synced_at || null,
+      data.gate_mode || null,
+      data.is_conflict || false,
+      data.qr_token_key || null
     ]);
     return new CheckInOutModel(results[0]);
   }
 
+  // Find a record by the device-generated idempotency key
+  static async findByClientScanId(clientScanId, sql) {
+    const query = `SELECT * FROM check_in_outs WHERE client_scan_id = $1 LIMIT 1`;
+    const results = await sql(query, [clientScanId]);
+    return results.length > 0 ? new CheckInOutModel(results[0]) : null;
+  }
+
+  // Newest scan a volunteer has recorded (live or synced) - bounds how far back an offline queue can reach
+  static async findLatestScanTimeByVolunteer(volunteerId, sql) {
+    const query = `SELECT MAX(scanned_at) AS scanned_at FROM check_in_outs WHERE volunteer_id = $1`;
+    const results = await sql(query, [volunteerId]);
+    return results[0]?.scanned_at ? new Date(results[0].scanned_at) : null;
+  }
+
+  // Find the scan a rotating QR token already produced (single use per token)
+  static async findByQRTokenKey(tokenKey, sql) {
+    const query = `SELECT * FROM check_in_outs WHERE qr_token_key = $1 LIMIT 1`;
+    const results = await sql(query, [tokenKey]);
+    return results.length > 0 ? new CheckInOutModel(results[0]) : null;
+  }
+
+  // Get the most recent CHECKIN or CHECKOUT for a student
+  static async findLastScan(studentId, sql) {
+    const query = `
+      SELECT * FROM check_in_outs
+      WHERE student_id = $1
+      ORDER BY scanned_at DESC
+      LIMIT 1
+    `;
+    const results = await sql(query, [studentId]);
+    return results.length > 0 ? new CheckInOutModel(results[0]) : null;
+  }
+
+  // Find any scan for a student within ±windowSeconds of a time (offline double-scan detection)
+  static async findScanNear(studentId, at, windowSeconds, sql) {
+    const query = `
+      SELECT * FROM check_in_outs
+      WHERE student_id = $1
+        AND scanned_at BETWEEN $2::timestamptz - make_interval(secs => $3)
+                           AND $2::timestamptz + make_interval(secs => $3)
+      LIMIT 1
+    `;
+    const results = await sql(query, [studentId, at, windowSeconds]);
+    return results.length > 0 ? new CheckInOutModel(results[0]) : null;
+  }
+
+  // A student's scans, oldest first (conflict rows included)
+  static async findTimeline(studentId, sql) {
+    const query = `
+      SELECT * FROM check_in_outs
+      WHERE student_id = $1
+      ORDER BY scanned_at ASC, id ASC
+    `;
+    const results = await sql(query, [studentId]);
+    return results.map(row => new CheckInOutModel(row));
+  }
+
+  /**
+   * Decide how a late offline scan fits into a student's recorded scans
+   * Recorded scans are authoritative and never change type: the late scan continues the
+   * scan before it, and is flagged as a conflict when that would leave two CHECKINs or two
+   * CHECKOUTs in a row. A late scan that completes an earlier conflict (offline ENTRY + EXIT
+   * synced after a newer live scan) fits, and clears that conflict.
+   * Scans from ENTRY / EXIT gates always keep their gate's type (fixedType).
+   *
+   * @param {Array} timeline - Student's scans, oldest first (findTimeline)
+   * @param {Date} scannedAt - Device time of the late scan
+   * @param {string|null} fixedType - CHECKIN / CHECKOUT for ENTRY / EXIT gates, null for TOGGLE
+   * @returns {Object} { scan_type, is_conflict, resolves } - resolves: conflict row the scan pairs with, or null
+   */
+  static placeLateScan(timeline, scannedAt, fixedType = null) {
+    const at = new Date(scannedAt).getTime();
+    const before = timeline.filter(row => new Date(row.scanned_at).getTime() < at);
+    const next = timeline.find(row => !row.is_conflict && new Date(row.scanned_at).getTime() > at) || null;
+    const previous = before[before.length - 1] || null;
+    const anchor = before.filter(row => !row.is_conflict).pop() || null;
+
+    // History starts with a CHECKIN and alternates from there
+    const follows = (row, scanType) => (row ? row.scan_type !== scanType : scanType === 'CHECKIN');
+
+    const pairsWithPrevious = !!previous?.is_conflict && follows(anchor, previous.scan_type);
+    const last = previous?.is_conflict && !pairsWithPrevious ? anchor : previous;
+    const scanType = fixedType || (last?.scan_type === 'CHECKIN' ? 'CHECKOUT' : 'CHECKIN');
+    const fits = follows(last, scanType) && (!next || next.scan_type !== scanType);
+
+    return {
+      scan_type: scanType,
+      is_conflict: !fits,
+      resolves: fits && pairsWithPrevious ? previous : null
+    };
+  }
+
+  // Whether a scan can be deleted without leaving two CHECKINs / CHECKOUTs in a row
+  // (conflict rows are outside the sequence and can always go)
+  static canDeleteFromTimeline(timeline, id) {
+    const sequence = timeline.filter(row => !row.is_conflict);
+    const index = sequence.findIndex(row => row.id === id);
+    const next = sequence[index + 1];
+    if (index === -1 || !next) return true;
+
+    const previous = sequence[index - 1];
+    return previous ? previous.scan_type !== next.scan_type : next.scan_type === 'CHECKIN';
+  }
+
+  // Bring a conflicting scan back into the sequence (a later late scan completed it)
+  static async resolveConflict(id, sql) {
+    const query = `
+      UPDATE check_in_outs
+      SET is_conflict = false
+      WHERE id = $1
+      RETURNING *
+    `;
+    const results = await sql(query, [id]);
+    return results.length > 0 ? new CheckInOutModel(results[0]) : null;
+  }
+
+  // Re-number a student's scans and recompute CHECKOUT durations in time order
+  // scan_type is never changed; conflict rows stay outside the sequence
+  static async recomputeHistory(studentId, sql) {
+    const query = `
+      WITH ordered AS (
+        SELECT
+          id,
+          scan_type,
+          ROW_NUMBER() OVER (ORDER BY scanned_at, id) AS position,
+          LAG(scan_type) OVER (ORDER BY scanned_at, id) AS previous_type,
+          FLOOR(EXTRACT(EPOCH FROM (scanned_at - LAG(scanned_at) OVER (ORDER BY scanned_at, id))) / 60)::int AS minutes
+        FROM check_in_outs
+        WHERE student_id = $1 AND is_conflict = false
+      )
+      UPDATE check_in_outs c
+      SET scan_number = o.position,
+          duration_minutes = CASE
+            WHEN o.scan_type = 'CHECKIN' OR o.previous_type IS DISTINCT FROM 'CHECKIN' THEN NULL
+            -- Auto-checkout rows keep their cap
+            WHEN c.is_system_generated THEN LEAST(o.minutes, COALESCE(c.duration_minutes, o.minutes))
+            ELSE o.minutes
+          END
+      FROM ordered o
+      WHERE c.id = o.id
+      RETURNING c.*
+    `;
+    const results = await sql(query, [studentId]);
+    return results.map(row => new CheckInOutModel(row));
+  }
+
+  // End-of-day auto checkout: close every session opened at or before closingAt
+  // Writes a system-generated CHECKOUT row per student and adds the capped duration to their total
+  static async closeOpenSessions(closingAt, maxSessionMinutes, sql) {
+    const query = `
+      WITH open_sessions AS (
+        SELECT id, last_checkin_at
+        FROM students
+        WHERE is_inside_event = true
+          AND last_checkin_at IS NOT NULL
+          AND last_checkin_at <= $1
+        FOR UPDATE
+      ),
+      closed AS (
+        UPDATE students s
+        SET is_inside_event = false,
+            total_scan_count = s.total_scan_count + 1,
+            last_checkout_at = $1,
+            total_active_duration_minutes = s.total_active_duration_minutes + LEAST(
+              GREATEST(FLOOR(EXTRACT(EPOCH FROM ($1::timestamptz - o.last_checkin_at)) / 60), 0), $2
+            )::int,
+            updated_at = NOW()
+        FROM open_sessions o
+        WHERE s.id = o.id
+        RETURNING
+          s.id,
+          s.total_scan_count,
+          LEAST(GREATEST(FLOOR(EXTRACT(EPOCH FROM ($1::timestamptz - o.last_checkin_at)) / 60), 0), $2)::int AS duration_minutes
+      )
+      INSERT INTO check_in_outs (
+        student_id, volunteer_id, scan_type, scan_number, scanned_at, duration_minutes, is_system_generated
+      )
+      SELECT id, NULL, 'CHECKOUT', total_scan_count, $1, duration_minutes, true
+      FROM closed
+      RETURNING *
+    `;
+    const results = await sql(query, [closingAt, maxSessionMinutes]);
+    return results.map(row => new CheckInOutModel(row));
+  }
+
+  // Count sessions the auto checkout would close (dry run)
+  static async countOpenSessions(closingAt, sql) {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM students
+      WHERE is_inside_event = true
+        AND last_checkin_at IS NOT NULL
+        AND last_checkin_at <= $1
+    `;
+    const results = await sql(query, [closingAt]);
+    return parseInt(results[0]?.count || 0);
+  }
+
+  static async findById(id, sql) {
+    const query = `
+      SELECT 
+        c.*,
+        s.full_name as student_name,
+        s.registration_no,
+        v.full_name as volunteer_name
+      FROM check_in_outs c
+      LEFT JOIN students s ON c.student_id = s.id
+      LEFT JOIN volunteers v ON c.volunteer_id = v.id
+      WHERE c.id = $1
+    `;
+    const results = await sql(query, [id]);
+    return results.length > 0 ? new CheckInOutModel(results[0]) : null;
+  }
+
+  // Remove one scan (callers recompute the student's history afterwards)
+  static async delete(id, sql) {
+    const query = `DELETE FROM check_in_outs WHERE id = $1 RETURNING *`;
+    const results = await sql(query, [id]);
+    return results.length > 0 ? new CheckInOutModel(results[0]) : null;
+  }
+
   // Get all check-in/out records for a student
   static async findByStudent(studentId, sql) {
     const query = `
@@ -160,11 +396,63 @@ class CheckInOutModel {
         COUNT(DISTINCT student_id) as unique_students,
         COUNT(*) FILTER (WHERE DATE(scanned_at) = CURRENT_DATE) as today_scans
       FROM check_in_outs
+      WHERE is_conflict = false
     `;
     const results = await sql(query);
     return results[0];
   }
 
+  /**
+   * Entries / exits per hour of event-local time (admin dashboard chart)
+   * @param {string} timezone - IANA timezone the hours are bucketed in
+   * @param {Function} sql - Database query function
+   * @returns {Promise<Array>} [{ hour: 'YYYY-MM-DDTHH:00', entries, exits, auto_exits }]
+   */
+  static async getHourlyCounts(timezone, sql) {
+    const query = `
+      SELECT
+        to_char(date_trunc('hour', scanned_at AT TIME ZONE $1), 'YYYY-MM-DD"T"HH24:00') as hour,
+        COUNT(*) FILTER (WHERE scan_type = 'CHECKIN') as entries,
+        COUNT(*) FILTER (WHERE scan_type = 'CHECKOUT') as exits,
+        COUNT(*) FILTER (WHERE scan_type = 'CHECKOUT' AND is_system_generated = true) as auto_exits
+      FROM check_in_outs
+      WHERE is_conflict = false
+      GROUP BY 1
+      ORDER BY 1 ASC
+    `;
+    return await sql(query, [timezone]);
+  }
+
+  /**
+   * One page of scans for export, oldest first (keyset on scanned_at, id)
+   * @param {Object} filters - { from, to, schoolId } - school is the student's school
+   * @param {Object} page - { after, limit } - after is { sort_key, id } of the previous page's last row
+   * @param {Function} sql - Database query function
+   * @returns {Promise<Array>} Raw rows with student, school and volunteer columns
+   */
+  static async findForExport({ from = null, to = null, schoolId = null } = {}, { after = null, limit = 1000 } = {}, sql) {
+    const query = `
+      SELECT c.id, c.scanned_at, c.scanned_at::text AS sort_key, c.scan_type, c.scan_number, c.duration_minutes,
+        c.gate_mode, c.is_system_generated, c.synced_at, c.is_conflict,
+        s.registration_no,
+        s.full_name as student_name,
+        sc.school_name,
+        v.full_name as volunteer_name,
+        v.assigned_location
+      FROM check_in_outs c
+      LEFT JOIN students s ON c.student_id = s.id
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      LEFT JOIN volunteers v ON c.volunteer_id = v.id
+      WHERE ($1::timestamptz IS NULL OR c.scanned_at >= $1)
+        AND ($2::timestamptz IS NULL OR c.scanned_at < $2)
+        AND ($3::uuid IS NULL OR s.school_id = $3)
+        AND ($4::timestamptz IS NULL OR (c.scanned_at, c.id) > ($4::timestamptz, $5::uuid))
+      ORDER BY c.scanned_at ASC, c.id ASC
+      LIMIT $6
+    `;
+    return await sql(query, [from, to, schoolId, after?.sort_key ?? null, after?.id ?? null, limit]);
+  }
+
   // Calculate total active duration for a student (sum of all checkout durations)
   static async calculateTotalDuration(studentId, sql) {
     const query = `
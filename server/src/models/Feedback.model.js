@@ -127,6 +127,48 @@ class FeedbackModel {
       average_rating: parseFloat(results[0]?.average_rating || 0).toFixed(2)
     };
   }
+
+  // Feedback submissions per hour of event-local time (admin dashboard chart)
+  static async getHourlyCounts(timezone, sql) {
+    const query = `
+      SELECT
+        to_char(date_trunc('hour', submitted_at AT TIME ZONE $1), 'YYYY-MM-DD"T"HH24:00') as hour,
+        COUNT(*) as feedback
+      FROM feedbacks
+      GROUP BY 1
+      ORDER BY 1 ASC
+    `;
+    return await sql(query, [timezone]);
+  }
+
+  /**
+   * One page of feedbacks for export, oldest first (keyset on submitted_at, id)
+   * @param {Object} filters - { from, to, schoolId } - school is the stall's school
+   * @param {Object} page - { after, limit } - after is { sort_key, id } of the previous page's last row
+   * @param {Function} sql - Database query function
+   * @returns {Promise<Array>} Raw rows with student, stall and school columns
+   */
+  static async findForExport({ from = null, to = null, schoolId = null } = {}, { after = null, limit = 1000 } = {}, sql) {
+    const query = `
+      SELECT f.id, f.submitted_at, f.submitted_at::text AS sort_key, f.rating, f.comment,
+        s.registration_no,
+        s.full_name as student_name,
+        st.stall_number,
+        st.stall_name,
+        sc.school_name
+      FROM feedbacks f
+      LEFT JOIN students s ON f.student_id = s.id
+      LEFT JOIN stalls st ON f.stall_id = st.id
+      LEFT JOIN schools sc ON st.school_id = sc.id
+      WHERE ($1::timestamptz IS NULL OR f.submitted_at >= $1)
+        AND ($2::timestamptz IS NULL OR f.submitted_at < $2)
+        AND ($3::uuid IS NULL OR st.school_id = $3)
+        AND ($4::timestamptz IS NULL OR (f.submitted_at, f.id) > ($4::timestamptz, $5::uuid))
+      ORDER BY f.submitted_at ASC, f.id ASC
+      LIMIT $6
+    `;
+    return await sql(query, [from, to, schoolId, after?.sort_key ?? null, after?.id ?? null, limit]);
+  }
 }
 
 export default FeedbackModel;
@@ -0,0 +1,62 @@
+// GateLocation Model - Per-location gate mode (ENTRY-only, EXIT-only or TOGGLE)
+class GateLocationModel {
+  static GATE_MODES = ['ENTRY', 'EXIT', 'TOGGLE'];
+  static DEFAULT_GATE_MODE = 'TOGGLE';
+
+  constructor(data) {
+    this.id = data.id;
+    this.location_name = data.location_name;
+    this.gate_mode = data.gate_mode;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static isValidGateMode(gateMode) {
+    return GateLocationModel.GATE_MODES.includes(gateMode);
+  }
+
+  static async findAll(sql) {
+    const query = `SELECT * FROM gate_locations ORDER BY location_name ASC`;
+    const results = await sql(query);
+    return results.map(row => new GateLocationModel(row));
+  }
+
+  static async findByName(locationName, sql) {
+    const query = `SELECT * FROM gate_locations WHERE location_name = $1 LIMIT 1`;
+    const results = await sql(query, [locationName]);
+    return results.length > 0 ? new GateLocationModel(results[0]) : null;
+  }
+
+  // Create or update the mode for a location
+  static async upsert(locationName, gateMode, sql) {
+    const query = `
+      INSERT INTO gate_locations (location_name, gate_mode, created_at, updated_at)
+      VALUES ($1, $2, NOW(), NOW())
+      ON CONFLICT (location_name)
+      DO UPDATE SET gate_mode = EXCLUDED.gate_mode, updated_at = NOW()
+      RETURNING *
+    `;
+    const results = await sql(query, [locationName, gateMode]);
+    return new GateLocationModel(results[0]);
+  }
+
+  static async delete(locationName, sql) {
+    const query = `DELETE FROM gate_locations WHERE location_name = $1 RETURNING *`;
+    const results = await sql(query, [locationName]);
+    return results.length > 0 ? new GateLocationModel(results[0]) : null;
+  }
+
+  // Effective mode for a volunteer: own override → assigned location's mode → TOGGLE
+  static async resolveForVolunteer(volunteer, sql) {
+    if (volunteer?.gate_mode) {
+      return volunteer.gate_mode;
+    }
+    if (volunteer?.assigned_location) {
+      const location = await GateLocationModel.findByName(volunteer.assigned_location, sql);
+      if (location) return location.gate_mode;
+    }
+    return GateLocationModel.DEFAULT_GATE_MODE;
+  }
+}
+
+export default GateLocationModel;
@@ -57,6 +57,69 @@ class RankingModel {
     return results.map(row => new RankingModel(row));
   }
 
+  // Stalls being ranked, with their school (submission checks)
+  static async findRankableStalls(stallIds, query) {
+    const queryText = `
+      SELECT st.id, st.stall_name, st.school_id, sc.school_name
+      FROM stalls st
+      LEFT JOIN schools sc ON st.school_id = sc.id
+      WHERE st.id = ANY($1::uuid[])
+    `;
+    return await query(queryText, [stallIds]);
+  }
+
+  /**
+   * Record a student's one-time top 3 (Category 2) - run inside withTransaction
+   * Locks the student row so two concurrent submissions cannot both pass the one-time check,
+   * then writes the ranks, marks the student as done and adds the votes to the stall leaderboard.
+   *
+   * @param {string} studentId
+   * @param {Array} rankings - [{ stall_id, rank }], ranks 1-3 on 3 different stalls
+   * @param {Function} query - Transaction query function
+   * @returns {Promise<RankingModel[]|null>} null when the student is gone or already ranked
+   */
+  static async submitStudentRankings(studentId, rankings, query) {
+    const [student] = await query(
+      `SELECT has_completed_ranking FROM students WHERE id = $1 FOR UPDATE`,
+      [studentId]
+    );
+    if (!student || student.has_completed_ranking) {
+      return null;
+    }
+
+    const rows = await RankingModel.bulkCreate(rankings.map(r => ({
+      student_id: studentId,
+      stall_id: r.stall_id,
+      rank: r.rank
+    })), query);
+
+    await query(
+      `UPDATE students 
+       SET has_completed_ranking = true,
+           selected_category = 'CATEGORY_2',
+           updated_at = NOW()
+       WHERE id = $1`,
+      [studentId]
+    );
+
+    // SET expressions see the pre-update counts, so the new vote's weight is added explicitly
+    const RANK_WEIGHTS = { 1: 5, 2: 3, 3: 1 };
+    for (const ranking of rankings) {
+      const columnName = `rank_${ranking.rank}_votes`;
+      
+      await query(
+        `UPDATE stalls 
+         SET ${columnName} = ${columnName} + 1,
+             weighted_score = (rank_1_votes * 5) + (rank_2_votes * 3) + (rank_3_votes * 1) + $2,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [ranking.stall_id, RANK_WEIGHTS[ranking.rank]]
+      );
+    }
+
+    return rows;
+  }
+
   // Get all rankings
   static async findAll(query) {
     const queryText = `
@@ -225,6 +288,269 @@ class RankingModel {
     const results = await query(queryText);
     return results[0];
   }
+
+  /**
+   * One page of rankings for export, oldest first (keyset on submitted_at, id)
+   * @param {Object} filters - { from, to, schoolId } - school is the stall's school
+   * @param {Object} page - { after, limit } - after is { sort_key, id } of the previous page's last row
+   * @param {Function} query - Database query function
+   * @returns {Promise<Array>} Raw rows with student, stall and school columns
+   */
+  static async findForExport({ from = null, to = null, schoolId = null } = {}, { after = null, limit = 1000 } = {}, query) {
+    const queryText = `
+      SELECT r.id, r.submitted_at, r.submitted_at::text AS sort_key, r.rank,
+        s.registration_no,
+        s.full_name as student_name,
+        st.stall_number,
+        st.stall_name,
+        sc.school_name
+      FROM rankings r
+      LEFT JOIN students s ON r.student_id = s.id
+      LEFT JOIN stalls st ON r.stall_id = st.id
+      LEFT JOIN schools sc ON st.school_id = sc.id
+      WHERE ($1::timestamptz IS NULL OR r.submitted_at >= $1)
+        AND ($2::timestamptz IS NULL OR r.submitted_at < $2)
+        AND ($3::uuid IS NULL OR st.school_id = $3)
+        AND ($4::timestamptz IS NULL OR (r.submitted_at, r.id) > ($4::timestamptz, $5::uuid))
+      ORDER BY r.submitted_at ASC, r.id ASC
+      LIMIT $6
+    `;
+    return await query(queryText, [from, to, schoolId, after?.sort_key ?? null, after?.id ?? null, limit]);
+  }
+
+  /**
+   * Stall leaderboard - weighted score of ranking votes, ratings, feedback count and visitors
+   * Scores are normalised across all active stalls, then optionally filtered to one school.
+   *
+   * @param {number|null} limit - Max rows (null = all)
+   * @param {Function} query - Database query function
+   * @param {Object} filters - { schoolId }
+   * @returns {Promise<Array>} Raw rows ordered by final_score DESC
+   */
+  static async getStallLeaderboard(limit, query, { schoolId = null } = {}) {
+      const queryText = `
+        WITH stall_metrics AS (
+          SELECT 
+            st.id as stall_id,
+            st.stall_name,
+            st.stall_number,
+            st.school_id,
+            sc.school_name,
+            st.location,
+          
+            -- Ranking votes (Category 2)
+            COALESCE(st.rank_1_votes, 0) as rank_1_votes,
+            COALESCE(st.rank_2_votes, 0) as rank_2_votes,
+            COALESCE(st.rank_3_votes, 0) as rank_3_votes,
+          
+            -- Feedback metrics (Category 1)
+            COUNT(DISTINCT f.id) as total_feedbacks,
+            COALESCE(AVG(f.rating), 0) as avg_rating,
+          
+            -- Visitor metrics (unique students who gave feedback)
+            COUNT(DISTINCT f.student_id) as unique_visitors,
+          
+            -- Comment engagement (comments show deeper interest)
+            COUNT(DISTINCT f.id) FILTER (WHERE f.comment IS NOT NULL AND LENGTH(f.comment) > 0) as feedback_with_comments
+          
+          FROM stalls st
+          LEFT JOIN schools sc ON st.school_id = sc.id
+          LEFT JOIN feedbacks f ON st.id = f.stall_id
+          WHERE st.is_active = true
+          GROUP BY st.id, st.stall_name, st.stall_number, st.school_id, sc.school_name, st.location,
+                   st.rank_1_votes, st.rank_2_votes, st.rank_3_votes
+        ),
+        normalized_scores AS (
+          SELECT 
+            *,
+          
+            -- 1️⃣ RANKING SCORE (40% weight) - Weighted voting system
+            --    Rank 1 = 5 points, Rank 2 = 3 points, Rank 3 = 1 point
+            ((rank_1_votes * 5) + (rank_2_votes * 3) + (rank_3_votes * 1)) as ranking_points,
+          
+            -- 2️⃣ RATING SCORE (35% weight) - Average star rating × 20
+            (avg_rating * 20) as rating_points,
+          
+            -- 3️⃣ FEEDBACK SCORE (15% weight) - Total feedback count × 0.1
+            (total_feedbacks * 0.1) as feedback_points,
+          
+            -- 4️⃣ VISITOR SCORE (10% weight) - Unique visitors × 0.05
+            (unique_visitors * 0.05) as visitor_points
+          
+          FROM stall_metrics
+        ),
+        max_values AS (
+          SELECT 
+            GREATEST(MAX(ranking_points), 1) as max_ranking,
+            GREATEST(MAX(rating_points), 1) as max_rating,
+            GREATEST(MAX(feedback_points), 1) as max_feedback,
+            GREATEST(MAX(visitor_points), 1) as max_visitor
+          FROM normalized_scores
+        )
+        SELECT 
+          ns.*,
+        
+          -- Normalize each metric to 0-100 scale, then apply weights
+          ((ns.ranking_points / mv.max_ranking * 100) * 0.40) as weighted_ranking_score,
+          ((ns.rating_points / mv.max_rating * 100) * 0.35) as weighted_rating_score,
+          ((ns.feedback_points / mv.max_feedback * 100) * 0.15) as weighted_feedback_score,
+          ((ns.visitor_points / mv.max_visitor * 100) * 0.10) as weighted_visitor_score,
+        
+          -- TOTAL SCORE (0-100)
+          (
+            ((ns.ranking_points / mv.max_ranking * 100) * 0.40) +
+            ((ns.rating_points / mv.max_rating * 100) * 0.35) +
+            ((ns.feedback_points / mv.max_feedback * 100) * 0.15) +
+            ((ns.visitor_points / mv.max_visitor * 100) * 0.10)
+          ) as final_score
+        
+        FROM normalized_scores ns, max_values mv
+        WHERE (ns.total_feedbacks > 0 OR ns.rank_1_votes > 0 OR ns.rank_2_votes > 0 OR ns.rank_3_votes > 0)
+          AND ($2::uuid IS NULL OR ns.school_id = $2::uuid)
+        ORDER BY final_score DESC, avg_rating DESC, total_feedbacks DESC
+        LIMIT $1
+      `;
+
+    return await query(queryText, [limit, schoolId]);
+  }
+
+  /**
+   * Student leaderboard - progressive engagement score (duration, feedback, engagement, consistency)
+   *
+   * @param {number|null} limit - Max rows (null = all)
+   * @param {Function} query - Database query function
+   * @param {Object} filters - { schoolId }
+   * @returns {Promise<Array>} Raw rows ordered by final_score DESC
+   */
+  static async getStudentLeaderboard(limit, query, { schoolId = null } = {}) {
+      const queryText = `
+        WITH student_metrics AS (
+          SELECT 
+            s.id as student_id,
+            s.registration_no,
+            s.full_name,
+            s.school_id,
+            sc.school_name,
+          
+            -- Duration metric (3-day event: up to 24 hours realistic)
+            COALESCE(s.total_active_duration_minutes, 0) as total_duration_minutes,
+          
+            -- Feedback metrics (200 stalls, 90% coverage = 180 max)
+            COALESCE(s.feedback_count, 0) as total_feedbacks,
+            COUNT(DISTINCT f.id) FILTER (WHERE f.comment IS NOT NULL AND LENGTH(f.comment) > 20) as quality_feedbacks,
+            COALESCE(AVG(LENGTH(f.comment)), 0) as avg_comment_length,
+          
+            -- Ranking participation
+            CASE WHEN s.has_completed_ranking = true THEN 1 ELSE 0 END as completed_ranking,
+          
+            -- Visit frequency (consistency across days)
+            COALESCE(s.total_scan_count, 0) as total_visits,
+          
+            -- Multi-day consistency (visits spread across multiple days)
+            COUNT(DISTINCT DATE(co.scanned_at)) as unique_days_attended,
+          
+            -- Account age
+            EXTRACT(EPOCH FROM (NOW() - s.created_at)) / 3600 as account_age_hours
+          
+          FROM students s
+          LEFT JOIN schools sc ON s.school_id = sc.id
+          LEFT JOIN feedbacks f ON s.id = f.student_id
+          LEFT JOIN check_in_outs co ON s.id = co.student_id
+          GROUP BY s.id, s.registration_no, s.full_name, s.school_id, sc.school_name,
+                   s.total_active_duration_minutes, s.feedback_count, 
+                   s.has_completed_ranking, s.total_scan_count, s.created_at
+        ),
+        scored_students AS (
+          SELECT 
+            *,
+          
+            -- 1️⃣ DURATION SCORE (30% weight) - Progressive scoring for 3-day event
+            --    Optimal: 18 hours (6h/day), Max: 24 hours (8h/day)
+            CASE 
+              WHEN total_duration_minutes >= 1440 THEN 100  -- 24+ hours = perfect
+              WHEN total_duration_minutes >= 1080 THEN 90 + ((total_duration_minutes - 1080) / 360.0 * 10)  -- 18-24h (90-100)
+              WHEN total_duration_minutes >= 720 THEN 75 + ((total_duration_minutes - 720) / 360.0 * 15)   -- 12-18h (75-90)
+              WHEN total_duration_minutes >= 360 THEN 50 + ((total_duration_minutes - 360) / 360.0 * 25)   -- 6-12h (50-75)
+              ELSE (total_duration_minutes / 360.0 * 50)  -- 0-6h (0-50)
+            END as duration_score,
+          
+            -- 2️⃣ FEEDBACK QUANTITY SCORE (25% weight) - Progressive scoring
+            --    Optimal: 120 feedbacks (40/day), Max: 180 (60/day, 90% of stalls)
+            CASE 
+              WHEN total_feedbacks >= 180 THEN 100  -- 90%+ coverage = perfect
+              WHEN total_feedbacks >= 120 THEN 85 + ((total_feedbacks - 120) / 60.0 * 15)  -- 120-180 (85-100)
+              WHEN total_feedbacks >= 80 THEN 70 + ((total_feedbacks - 80) / 40.0 * 15)    -- 80-120 (70-85)
+              WHEN total_feedbacks >= 40 THEN 50 + ((total_feedbacks - 40) / 40.0 * 20)    -- 40-80 (50-70)
+              ELSE (total_feedbacks / 40.0 * 50)  -- 0-40 (0-50)
+            END as feedback_quantity_score,
+          
+            -- 3️⃣ FEEDBACK QUALITY SCORE (20% weight) - Comment quality matters
+            --    Quality = (quality_feedbacks / total_feedbacks) × 60% + comment_depth × 40%
+            CASE 
+              WHEN total_feedbacks > 0 THEN
+                (
+                  -- Quality rate (60% of quality score) - comments >20 chars
+                  ((quality_feedbacks::DECIMAL / GREATEST(total_feedbacks, 1)) * 60) +
+                  -- Comment depth (40% of quality score) - avg length capped at 150
+                  (LEAST(avg_comment_length, 150) / 150.0 * 40)
+                )
+              ELSE 0
+            END as feedback_quality_score,
+          
+            -- 4️⃣ ENGAGEMENT SCORE (15% weight) - Multi-faceted participation
+            --    Ranking completion (40 pts) + Visit frequency (30 pts) + Multi-day (30 pts)
+            (
+              (completed_ranking * 40) +                                    -- 40 pts for rankings
+              (LEAST(total_visits, 15) / 15.0 * 30) +                      -- 30 pts for 15+ visits
+              (LEAST(unique_days_attended, 3) / 3.0 * 30)                  -- 30 pts for all 3 days
+            ) as engagement_score,
+          
+            -- 5️⃣ CONSISTENCY SCORE (10% weight) - Balanced participation
+            --    Rewards regular visits across days, not one marathon session
+            CASE 
+              WHEN total_visits >= 6 AND unique_days_attended >= 2 THEN
+                -- Good: multiple days + reasonable session lengths
+                LEAST(
+                  ((total_duration_minutes::DECIMAL / GREATEST(total_visits, 1)) / 180.0 * 50) +  -- Avg session length
+                  ((unique_days_attended::DECIMAL / 3.0) * 50),                                    -- Multi-day bonus
+                  100
+                )
+              WHEN total_visits > 0 THEN
+                -- Okay: at least participated, but could be better
+                LEAST((total_duration_minutes::DECIMAL / GREATEST(total_visits, 1)) / 180.0 * 100, 100)
+              ELSE 0
+            END as consistency_score
+          
+          FROM student_metrics
+          WHERE total_feedbacks > 0 OR total_duration_minutes > 0 OR completed_ranking = 1
+        )
+        SELECT 
+          *,
+        
+          -- Weighted final scores
+          (duration_score * 0.30) as weighted_duration,
+          (feedback_quantity_score * 0.25) as weighted_feedback_qty,
+          (feedback_quality_score * 0.20) as weighted_feedback_qual,
+          (engagement_score * 0.15) as weighted_engagement,
+          (consistency_score * 0.10) as weighted_consistency,
+        
+          -- FINAL SCORE (0-100)
+          (
+            (duration_score * 0.30) +
+            (feedback_quantity_score * 0.25) +
+            (feedback_quality_score * 0.20) +
+            (engagement_score * 0.15) +
+            (consistency_score * 0.10)
+          ) as final_score
+        
+        FROM scored_students
+        WHERE ($2::uuid IS NULL OR school_id = $2::uuid)
+        ORDER BY final_score DESC, total_feedbacks DESC, total_duration_minutes DESC
+        LIMIT $1
+      `;
+
+    return await query(queryText, [limit, schoolId]);
+  }
 }
 
 export default RankingModel;
@@ -75,6 +75,106 @@ class SchoolModel {
     const results = await sql(query, [schoolId]);
     return results[0];
   }
+
+  // Stats for every school in one pass (admin school list)
+  static async getAllWithStats(sql) {
+    const query = `
+      SELECT
+        sc.*,
+        (SELECT COUNT(*) FROM students WHERE school_id = sc.id) as total_students,
+        (SELECT COUNT(*) FROM stalls WHERE school_id = sc.id) as total_stalls,
+        (SELECT COUNT(*) FROM feedbacks f
+         JOIN stalls st ON f.stall_id = st.id
+         WHERE st.school_id = sc.id) as total_feedbacks
+      FROM schools sc
+      ORDER BY sc.school_name ASC
+    `;
+    return await sql(query);
+  }
+
+  /**
+   * Category 2 school scores (rank 1 = 5, rank 2 = 3, rank 3 = 1 points)
+   * A school only earns points when its stalls are ranked by its own students.
+   *
+   * @param {number|null} limit - Max schools (null = all scoring schools)
+   * @param {Function} sql - Database query function
+   * @param {Object|null} merge - { fromId, toId } to score as if fromId were already merged into toId
+   * @returns {Promise<Array>} Rows ordered by school_score DESC
+   */
+  static async getRankingScores(limit, sql, merge = null) {
+    const query = `
+      WITH ranked_students AS (
+        SELECT s.id,
+               CASE WHEN s.school_id = $2::uuid THEN $3::uuid ELSE s.school_id END as school_id
+        FROM students s
+        WHERE s.has_completed_ranking = true
+      ),
+      stall_schools AS (
+        SELECT st.id,
+               CASE WHEN st.school_id = $2::uuid THEN $3::uuid ELSE st.school_id END as school_id
+        FROM stalls st
+      )
+      SELECT
+        sc.id as school_id,
+        sc.school_name,
+        COUNT(DISTINCT s.id) as total_students_ranked,
+        SUM(CASE WHEN st.school_id = sc.id THEN
+          CASE r.rank
+            WHEN 1 THEN 5
+            WHEN 2 THEN 3
+            WHEN 3 THEN 1
+            ELSE 0
+          END
+        ELSE 0 END) as school_score,
+        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 1 THEN 1 ELSE 0 END) as rank_1_count,
+        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 2 THEN 1 ELSE 0 END) as rank_2_count,
+        SUM(CASE WHEN st.school_id = sc.id AND r.rank = 3 THEN 1 ELSE 0 END) as rank_3_count,
+        COUNT(DISTINCT CASE WHEN st.school_id = sc.id THEN st.id END) as ranked_stalls_count
+      FROM schools sc
+      JOIN ranked_students s ON s.school_id = sc.id
+      LEFT JOIN rankings r ON r.student_id = s.id
+      LEFT JOIN stall_schools st ON r.stall_id = st.id
+      GROUP BY sc.id, sc.school_name
+      HAVING SUM(CASE WHEN st.school_id = sc.id THEN
+        CASE r.rank
+          WHEN 1 THEN 5
+          WHEN 2 THEN 3
+          WHEN 3 THEN 1
+          ELSE 0
+        END
+      ELSE 0 END) > 0
+      ORDER BY school_score DESC, total_students_ranked DESC
+      LIMIT $1
+    `;
+    return await sql(query, [limit, merge?.fromId || null, merge?.toId || null]);
+  }
+
+  /**
+   * Merge a duplicate school into the canonical one
+   * Re-points students, stalls and school coordinators, then deletes the duplicate. Run inside withTransaction.
+   *
+   * @param {string} fromId - Duplicate school (deleted)
+   * @param {string} toId - Canonical school (kept)
+   * @param {Function} sql - Transaction query function
+   * @returns {Promise<{ students_moved: number, stalls_moved: number, admins_moved: number }>}
+   */
+  static async merge(fromId, toId, sql) {
+    const students = await sql(
+      `UPDATE students SET school_id = $1, updated_at = NOW() WHERE school_id = $2 RETURNING id`,
+      [toId, fromId]
+    );
+    const stalls = await sql(
+      `UPDATE stalls SET school_id = $1, updated_at = NOW() WHERE school_id = $2 RETURNING id`,
+      [toId, fromId]
+    );
+    const admins = await sql(
+      `UPDATE admins SET school_id = $1, updated_at = NOW() WHERE school_id = $2 RETURNING id`,
+      [toId, fromId]
+    );
+    await sql(`DELETE FROM schools WHERE id = $1`, [fromId]);
+
+    return { students_moved: students.length, stalls_moved: stalls.length, admins_moved: admins.length };
+  }
 }
 
 export default SchoolModel;
@@ -1,4 +1,5 @@
-// Stall Model - Event stalls with static QR codes
+// Stall Model - Event stalls with static QR codes and exhibitor logins
+import bcrypt from 'bcryptjs';
 import QRCodeService from '../services/qrCode.js';
 
 class StallModel {
@@ -17,12 +18,30 @@ class StallModel {
     this.weighted_score = data.weighted_score;
     this.location = data.location;
     this.is_active = data.is_active;
+    this.password_hash = data.password_hash;
+    this.last_login_at = data.last_login_at;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
     // Join fields
     this.school_name = data.school_name;
   }
 
+  // Stalls are returned as-is by public endpoints, so the exhibitor password hash never leaves the model
+  toJSON() {
+    const { password_hash, ...data } = this;
+    return { ...data, has_exhibitor_login: Boolean(password_hash) };
+  }
+
+  static async hashPassword(password) {
+    return await bcrypt.hash(password, 12);
+  }
+
+  // false when no exhibitor credentials were issued
+  async comparePassword(password) {
+    if (!this.password_hash) return false;
+    return await bcrypt.compare(password, this.password_hash);
+  }
+
   static async findAll(sql) {
     const query = `
       SELECT s.*, sc.school_name
@@ -57,6 +76,17 @@ class StallModel {
     return results.length > 0 ? new StallModel(results[0]) : null;
   }
 
+  static async findByStallNumber(stallNumber, sql) {
+    const query = `
+      SELECT s.*, sc.school_name
+      FROM stalls s
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      WHERE s.stall_number = $1 LIMIT 1
+    `;
+    const results = await sql(query, [stallNumber]);
+    return results.length > 0 ? new StallModel(results[0]) : null;
+  }
+
   static async findBySchool(schoolId, sql) {
     const query = `
       SELECT s.*, sc.school_name
@@ -78,7 +108,7 @@ class StallModel {
         total_feedback_count, rank_1_votes, rank_2_votes, rank_3_votes, weighted_score,
         created_at, updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, 'STALL', true, 0, 0, 0, 0, NOW(), NOW())
+      VALUES ($1, $2, $3, $4, $5, 'STALL', true, 0, 0, 0, 0, 0, NOW(), NOW())
       RETURNING *
     `;
     const results = await sql(query, [
@@ -94,7 +124,7 @@ class StallModel {
     // Generate and save QR code automatically
     try {
       const qrToken = QRCodeService.generateStallQRToken(stall);
-      await sql`UPDATE stalls SET qr_code_token = ${qrToken} WHERE id = ${stall.id}`;
+      await sql(`UPDATE stalls SET qr_code_token = $1 WHERE id = $2`, [qrToken, stall.id]);
       stall.qr_code_token = qrToken;
     } catch (qrError) {
       console.error('QR generation failed for stall:', stall.id, qrError);
@@ -113,7 +143,7 @@ class StallModel {
     for (let i = 0; i < stalls.length; i++) {
       const offset = i * 6;
       placeholders.push(
-        `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`
+        `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, 'STALL', true, 0, 0, 0, 0, 0, NOW(), NOW())`
       );
       values.push(
         stalls[i].stall_number,
@@ -127,7 +157,10 @@ class StallModel {
 
     const query = `
       INSERT INTO stalls (
-        stall_number, stall_name, school_id, description, qr_code_token, location
+        stall_number, stall_name, school_id, description, qr_code_token, location,
+        role, is_active,
+        total_feedback_count, rank_1_votes, rank_2_votes, rank_3_votes, weighted_score,
+        created_at, updated_at
       )
       VALUES ${placeholders.join(', ')}
       ON CONFLICT (stall_number) DO NOTHING
@@ -138,6 +171,60 @@ class StallModel {
     return results.map(row => new StallModel(row));
   }
 
+  static async update(id, data, sql) {
+    const query = `
+      UPDATE stalls
+      SET stall_name = COALESCE($1, stall_name),
+          description = COALESCE($2, description),
+          location = COALESCE($3, location),
+          school_id = COALESCE($4, school_id),
+          is_active = COALESCE($5, is_active),
+          updated_at = NOW()
+      WHERE id = $6
+      RETURNING *
+    `;
+    const results = await sql(query, [
+      data.stall_name,
+      data.description,
+      data.location,
+      data.school_id,
+      data.is_active,
+      id
+    ]);
+    return results.length > 0 ? new StallModel(results[0]) : null;
+  }
+
+  // Issue or change the exhibitor password
+  static async setPassword(id, password, sql) {
+    const passwordHash = await StallModel.hashPassword(password);
+    const query = `
+      UPDATE stalls
+      SET password_hash = $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `;
+    const results = await sql(query, [passwordHash, id]);
+    return results.length > 0 ? new StallModel(results[0]) : null;
+  }
+
+  static async recordLogin(id, sql) {
+    const query = `UPDATE stalls SET last_login_at = NOW() WHERE id = $1`;
+    await sql(query, [id]);
+  }
+
+  // Save the static stall QR token
+  static async setQRCodeToken(id, token, sql) {
+    const query = `UPDATE stalls SET qr_code_token = $1, updated_at = NOW() WHERE id = $2`;
+    await sql(query, [token, id]);
+  }
+
+  // Feedback and rankings for the stall are removed with it (ON DELETE CASCADE)
+  static async delete(id, sql) {
+    const query = `DELETE FROM stalls WHERE id = $1 RETURNING id`;
+    const results = await sql(query, [id]);
+    return results.length > 0;
+  }
+
   // Increment feedback count when student submits feedback
   static async incrementFeedbackCount(id, sql) {
     const query = `
@@ -0,0 +1,55 @@
+// StallQRRevocation Model - Retired stall QR tokens (replaced posters)
+class StallQRRevocationModel {
+  constructor(data) {
+    this.id = data.id;
+    this.stall_id = data.stall_id;
+    this.token = data.token;
+    this.reason = data.reason;
+    this.revoked_by = data.revoked_by;
+    this.revoked_at = data.revoked_at;
+    // Join fields
+    this.stall_number = data.stall_number;
+    this.stall_name = data.stall_name;
+    this.revoked_by_name = data.revoked_by_name;
+  }
+
+  static async create(data, sql) {
+    const query = `
+      INSERT INTO stall_qr_revocations (stall_id, token, reason, revoked_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (token) DO NOTHING
+      RETURNING *
+    `;
+    const results = await sql(query, [data.stall_id, data.token, data.reason || null, data.revoked_by || null]);
+    return results.length > 0 ? new StallQRRevocationModel(results[0]) : null;
+  }
+
+  // Revocation for a scanned token, with the stall it now belongs to
+  static async findByToken(token, sql) {
+    const query = `
+      SELECT r.*, s.stall_number, s.stall_name
+      FROM stall_qr_revocations r
+      JOIN stalls s ON r.stall_id = s.id
+      WHERE r.token = $1
+      LIMIT 1
+    `;
+    const results = await sql(query, [token]);
+    return results.length > 0 ? new StallQRRevocationModel(results[0]) : null;
+  }
+
+  // Revocation history for a stall (newest first)
+  static async findByStall(stallId, sql) {
+    const query = `
+      SELECT r.*, s.stall_number, s.stall_name, a.full_name AS revoked_by_name
+      FROM stall_qr_revocations r
+      JOIN stalls s ON r.stall_id = s.id
+      LEFT JOIN admins a ON r.revoked_by = a.id
+      WHERE r.stall_id = $1
+      ORDER BY r.revoked_at DESC
+    `;
+    const results = await sql(query, [stallId]);
+    return results.map(row => new StallQRRevocationModel(row));
+  }
+}
+
+export default StallQRRevocationModel;
@@ -2,6 +2,9 @@
 import bcrypt from 'bcryptjs';
 import QRCodeService from '../services/qrCode.js';
 
+// Escape LIKE wildcards so user input matches literally (e.g. "23_FET")
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
 class StudentModel {
   constructor(data) {
     this.id = data.id;
@@ -29,8 +32,11 @@ class StudentModel {
     this.program_name = data.program_name;
     this.batch = data.batch;
     this.password_reset_required = data.password_reset_required;
+    this.is_active = data.is_active;
     // Additional fields from joins
     this.school_name = data.school_name;
+    // Keyset pagination (search only)
+    this.created_at_key = data.created_at_key;
   }
 
   // Hash password before saving
@@ -43,6 +49,12 @@ class StudentModel {
     return await bcrypt.compare(password, this.password_hash);
   }
 
+  // Why this student can't be scanned at a gate or shown a QR (null = allowed)
+  getScanDeniedReason() {
+    if (!this.is_active) return 'Student account is deactivated. Please send the student to the event help desk.';
+    return null;
+  }
+
   // Find by registration number
   static async findByRegistrationNo(registrationNo, sql) {
     const query = `
@@ -82,6 +94,13 @@ class StudentModel {
     return results.length > 0 ? new StudentModel(results[0]) : null;
   }
 
+  // Lock student row until the transaction ends (use with withTransaction's sql)
+  static async lockById(id, sql) {
+    const query = `SELECT * FROM students WHERE id = $1 FOR UPDATE`;
+    const results = await sql(query, [id]);
+    return results.length > 0 ? new StudentModel(results[0]) : null;
+  }
+
   // Find by QR token method removed - now using findByRegistrationNo() with rotating tokens
 
   // Create new student
@@ -124,10 +143,12 @@ class StudentModel {
   }
 
   // Bulk insert students (for Excel import - 11k students)
+  // Rows may carry a precomputed password_hash to skip per-row bcrypt on large imports
   static async bulkCreate(students, sql) {
     if (!students || students.length === 0) return [];
     
     const batchSize = 500; // Insert 500 at a time for performance
+    const columnsPerRow = 11;
     const results = [];
     
     for (let i = 0; i < students.length; i += batchSize) {
@@ -136,24 +157,35 @@ class StudentModel {
       const placeholders = [];
       
       for (let j = 0; j < batch.length; j++) {
-        const offset = j * 7;
+        const offset = j * columnsPerRow;
+        const params = Array.from({ length: columnsPerRow }, (_, k) => `$${offset + k + 1}`);
         placeholders.push(
-          `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`
+          `(${params.join(', ')}, 'STUDENT', false, 0, 0, false, true, NOW(), NOW())`
         );
-        const hashedPassword = await StudentModel.hashPassword(batch[j].password);
+        const hashedPassword = batch[j].password_hash || await StudentModel.hashPassword(batch[j].password);
         values.push(
           batch[j].registration_no,
           batch[j].email,
           hashedPassword,
           batch[j].full_name,
           batch[j].school_id,
-          batch[j].phone || null
+          batch[j].phone || null,
+          batch[j].date_of_birth,
+          batch[j].pincode,
+          batch[j].address || null,
+          batch[j].program_name || null,
+          batch[j].batch || null
         );
       }
 
       const query = `
         INSERT INTO students (
-          registration_no, email, password_hash, full_name, school_id, phone
+          registration_no, email, password_hash, full_name, school_id,
+          phone, date_of_birth, pincode, address, program_name, batch,
+          role, is_inside_event, total_scan_count,
+          feedback_count, has_completed_ranking,
+          password_reset_required,
+          created_at, updated_at
         )
         VALUES ${placeholders.join(', ')}
         ON CONFLICT (registration_no) DO NOTHING
@@ -167,6 +199,20 @@ class StudentModel {
     return results.map(row => new StudentModel(row));
   }
 
+  // Find which registration numbers / emails already exist (import duplicate check)
+  static async findExistingIdentifiers(registrationNos, emails, sql) {
+    const query = `
+      SELECT registration_no, email
+      FROM students
+      WHERE registration_no = ANY($1::text[]) OR email = ANY($2::text[])
+    `;
+    const results = await sql(query, [registrationNos, emails]);
+    return {
+      registrationNos: new Set(results.map(row => row.registration_no)),
+      emails: new Set(results.map(row => row.email))
+    };
+  }
+
   // Update student profile
   static async updateProfile(id, data, sql) {
     const query = `
@@ -187,6 +233,44 @@ class StudentModel {
     return results.length > 0 ? new StudentModel(results[0]) : null;
   }
 
+  // Update any admin-editable fields (admin roster corrections, deactivation, forced reset)
+  static async update(id, data, sql) {
+    const query = `
+      UPDATE students
+      SET full_name = COALESCE($1, full_name),
+          email = COALESCE($2, email),
+          phone = COALESCE($3, phone),
+          school_id = COALESCE($4, school_id),
+          program_name = COALESCE($5, program_name),
+          batch = COALESCE($6, batch),
+          date_of_birth = COALESCE($7, date_of_birth),
+          pincode = COALESCE($8, pincode),
+          address = COALESCE($9, address),
+          is_active = COALESCE($10, is_active),
+          password_reset_required = COALESCE($11, password_reset_required),
+          password_hash = COALESCE($12, password_hash),
+          updated_at = NOW()
+      WHERE id = $13
+      RETURNING *
+    `;
+    const results = await sql(query, [
+      data.full_name,
+      data.email,
+      data.phone,
+      data.school_id,
+      data.program_name,
+      data.batch,
+      data.date_of_birth,
+      data.pincode,
+      data.address,
+      data.is_active,
+      data.password_reset_required,
+      data.password_hash,
+      id
+    ]);
+    return results.length > 0 ? new StudentModel(results[0]) : null;
+  }
+
   // Set selected category (Category 1 / Category 2 / Both)
   static async setCategory(id, category, sql) {
     const query = `
@@ -228,6 +312,11 @@ class StudentModel {
 
   // Process check-in/check-out (odd/even logic)
   static async processCheckInOut(id, sql) {
+    return await StudentModel.processCheckInOutAt(id, null, sql);
+  }
+
+  // Process check-in/check-out at a given time (offline scans replayed with their device timestamp)
+  static async processCheckInOutAt(id, scannedAt, sql) {
     const query = `
       UPDATE students
       SET total_scan_count = total_scan_count + 1,
@@ -236,17 +325,44 @@ class StudentModel {
             ELSE false
           END,
           last_checkin_at = CASE 
-            WHEN (total_scan_count + 1) % 2 = 1 THEN NOW()
+            WHEN (total_scan_count + 1) % 2 = 1 THEN COALESCE($2, NOW())
             ELSE last_checkin_at
           END,
           last_checkout_at = CASE 
-            WHEN (total_scan_count + 1) % 2 = 0 THEN NOW()
+            WHEN (total_scan_count + 1) % 2 = 0 THEN COALESCE($2, NOW())
             ELSE last_checkout_at
           END,
           updated_at = NOW()
       WHERE id = $1
       RETURNING *
     `;
+    const results = await sql(query, [id, scannedAt]);
+    return results.length > 0 ? new StudentModel(results[0]) : null;
+  }
+
+  // Rebuild scan counters and inside/outside state from check_in_outs history
+  // (after CheckInOutModel.recomputeHistory - conflict rows are not part of the sequence)
+  static async syncScanStateFromHistory(id, sql) {
+    const query = `
+      UPDATE students s
+      SET total_scan_count = h.scan_count,
+          is_inside_event = h.scan_count % 2 = 1,
+          last_checkin_at = h.last_checkin_at,
+          last_checkout_at = h.last_checkout_at,
+          total_active_duration_minutes = h.total_duration,
+          updated_at = NOW()
+      FROM (
+        SELECT
+          COUNT(*)::int AS scan_count,
+          MAX(scanned_at) FILTER (WHERE scan_type = 'CHECKIN') AS last_checkin_at,
+          MAX(scanned_at) FILTER (WHERE scan_type = 'CHECKOUT') AS last_checkout_at,
+          COALESCE(SUM(duration_minutes), 0)::int AS total_duration
+        FROM check_in_outs
+        WHERE student_id = $1 AND is_conflict = false
+      ) h
+      WHERE s.id = $1
+      RETURNING s.*
+    `;
     const results = await sql(query, [id]);
     return results.length > 0 ? new StudentModel(results[0]) : null;
   }
@@ -309,6 +425,26 @@ class StudentModel {
     return results.map(row => new StudentModel(row));
   }
 
+  // Active students of a school for printed ID cards (registration number order)
+  static async findForIdCards(schoolId, sql) {
+    const query = `
+      SELECT s.id, s.registration_no, s.full_name, s.program_name, s.batch,
+             s.qr_code_token, sc.school_name
+      FROM students s
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      WHERE s.school_id = $1 AND s.is_active = true
+      ORDER BY s.registration_no ASC
+    `;
+    const results = await sql(query, [schoolId]);
+    return results.map(row => new StudentModel(row));
+  }
+
+  // Save the static ID-card QR token
+  static async setQRCodeToken(id, token, sql) {
+    const query = `UPDATE students SET qr_code_token = $1, updated_at = NOW() WHERE id = $2`;
+    await sql(query, [token, id]);
+  }
+
   // Count students currently inside event (real-time stat)
   static async countInsideEvent(sql) {
     const query = `
@@ -333,6 +469,81 @@ class StudentModel {
     return results.map(row => new StudentModel(row));
   }
 
+  /**
+   * Build the WHERE clause for the admin student directory
+   * @param {Object} filters - { q, school_id, batch, program_name, is_inside_event,
+   *                            has_completed_ranking, is_active, min_feedback, max_feedback }
+   * @param {Array} params - Parameter list to append to (shared with the caller's query)
+   * @returns {string} SQL conditions joined with AND ('TRUE' when no filter is set)
+   */
+  static buildSearchConditions(filters, params) {
+    const conditions = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replaceAll('?', `$${params.length}`));
+    };
+
+    if (filters.q) {
+      const pattern = `%${escapeLike(filters.q)}%`;
+      add('(s.full_name ILIKE ? OR s.registration_no ILIKE ? OR s.email ILIKE ?)', pattern);
+    }
+    if (filters.school_id) add('s.school_id = ?', filters.school_id);
+    if (filters.batch) add('s.batch = ?', filters.batch);
+    if (filters.program_name) add('s.program_name ILIKE ?', escapeLike(filters.program_name));
+    if (filters.is_inside_event !== undefined) add('s.is_inside_event = ?', filters.is_inside_event);
+    if (filters.has_completed_ranking !== undefined) add('s.has_completed_ranking = ?', filters.has_completed_ranking);
+    if (filters.is_active !== undefined) add('s.is_active = ?', filters.is_active);
+    if (filters.min_feedback !== undefined) add('s.feedback_count >= ?', filters.min_feedback);
+    if (filters.max_feedback !== undefined) add('s.feedback_count <= ?', filters.max_feedback);
+
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  }
+
+  /**
+   * Admin student directory page (keyset pagination, newest first)
+   * Ordered by (created_at, id) so pages stay stable while students are being imported.
+   *
+   * @param {Object} filters - See buildSearchConditions
+   * @param {Object} page - { limit, after } - after is { created_at, id } of the previous page's last
+   *   student (created_at_key of that row, so the cursor works even if the student was deleted)
+   * @param {Function} sql - Database query function
+   * @returns {Promise<StudentModel[]>}
+   */
+  static async search(filters, { limit = 100, after = null } = {}, sql) {
+    const params = [];
+    let conditions = StudentModel.buildSearchConditions(filters, params);
+
+    if (after) {
+      params.push(after.created_at, after.id);
+      conditions += ` AND (s.created_at, s.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+    }
+
+    params.push(limit);
+    // created_at_key keeps created_at's microsecond precision (a JS Date only has milliseconds)
+    const query = `
+      SELECT s.*, sc.school_name, s.created_at::text AS created_at_key
+      FROM students s
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      WHERE ${conditions}
+      ORDER BY s.created_at DESC, s.id DESC
+      LIMIT $${params.length}
+    `;
+    const results = await sql(query, params);
+    return results.map(row => new StudentModel(row));
+  }
+
+  // Total matches for the admin student directory filters
+  static async countSearch(filters, sql) {
+    const params = [];
+    const query = `
+      SELECT COUNT(*) as count
+      FROM students s
+      WHERE ${StudentModel.buildSearchConditions(filters, params)}
+    `;
+    const results = await sql(query, params);
+    return parseInt(results[0]?.count || 0);
+  }
+
   // Count total students
   static async count(sql) {
     const query = `SELECT COUNT(*) as count FROM students`;
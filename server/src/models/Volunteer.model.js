@@ -2,6 +2,9 @@
 import bcrypt from 'bcryptjs';
 
 class VolunteerModel {
+  // Self-registrations start PENDING; only APPROVED + active volunteers can log in or scan
+  static APPROVAL_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
   constructor(data) {
     this.id = data.id;
     this.email = data.email;
@@ -10,7 +13,12 @@ class VolunteerModel {
     this.phone = data.phone;
     this.role = data.role;
     this.assigned_location = data.assigned_location;
+    this.gate_mode = data.gate_mode; // ENTRY | EXIT | TOGGLE, null = use location's mode
     this.is_active = data.is_active;
+    this.approval_status = data.approval_status;
+    this.reviewed_by = data.reviewed_by;
+    this.reviewed_at = data.reviewed_at;
+    this.rejection_reason = data.rejection_reason;
     this.total_scans_performed = data.total_scans_performed;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
@@ -24,6 +32,17 @@ class VolunteerModel {
     return await bcrypt.compare(password, this.password_hash);
   }
 
+  /**
+   * Why this volunteer may not log in or scan
+   * @returns {string|null} Error message, or null when the account can be used
+   */
+  getAccessDeniedReason() {
+    if (this.approval_status === 'PENDING') return 'Registration is pending admin approval.';
+    if (this.approval_status === 'REJECTED') return 'Registration was not approved. Contact admin.';
+    if (!this.is_active) return 'Account is deactivated. Contact admin.';
+    return null;
+  }
+
   static async findById(id, sql) {
     const query = `SELECT * FROM volunteers WHERE id = $1 LIMIT 1`;
     const results = await sql(query, [id]);
@@ -41,10 +60,10 @@ class VolunteerModel {
     const query = `
       INSERT INTO volunteers (
         email, password_hash, full_name, phone, role,
-        assigned_location, is_active, total_scans_performed,
+        assigned_location, is_active, approval_status, total_scans_performed,
         created_at, updated_at
       )
-      VALUES ($1, $2, $3, $4, 'VOLUNTEER', $5, true, 0, NOW(), NOW())
+      VALUES ($1, $2, $3, $4, 'VOLUNTEER', $5, true, $6, 0, NOW(), NOW())
       RETURNING *
     `;
     const results = await sql(query, [
@@ -52,7 +71,8 @@ class VolunteerModel {
       hashedPassword,
       data.full_name,
       data.phone || null,
-      data.assigned_location || null
+      data.assigned_location || null,
+      data.approval_status || 'APPROVED'
     ]);
     return new VolunteerModel(results[0]);
   }
@@ -80,6 +100,61 @@ class VolunteerModel {
     return results.length > 0 ? new VolunteerModel(results[0]) : null;
   }
 
+  // Set (or clear with null) the volunteer's gate mode override
+  static async setGateMode(id, gateMode, sql) {
+    const query = `
+      UPDATE volunteers
+      SET gate_mode = $1,
+          updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `;
+    const results = await sql(query, [gateMode, id]);
+    return results.length > 0 ? new VolunteerModel(results[0]) : null;
+  }
+
+  /**
+   * Approve or reject a pending registration
+   * Only PENDING rows are touched, so two admins reviewing at once cannot both win.
+   *
+   * @param {string} id - Volunteer ID
+   * @param {Object} review - { approval_status, assigned_location, reviewed_by, rejection_reason }
+   * @param {Function} sql - Database query function
+   * @returns {Promise<VolunteerModel|null>} null if not found or no longer pending
+   */
+  static async review(id, review, sql) {
+    const query = `
+      UPDATE volunteers
+      SET approval_status = $1,
+          assigned_location = COALESCE($2, assigned_location),
+          reviewed_by = $3,
+          rejection_reason = $4,
+          reviewed_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $5 AND approval_status = 'PENDING'
+      RETURNING *
+    `;
+    const results = await sql(query, [
+      review.approval_status,
+      review.assigned_location || null,
+      review.reviewed_by || null,
+      review.rejection_reason || null,
+      id
+    ]);
+    return results.length > 0 ? new VolunteerModel(results[0]) : null;
+  }
+
+  // Approval queue, oldest registration first
+  static async findPending(sql) {
+    const query = `
+      SELECT * FROM volunteers
+      WHERE approval_status = 'PENDING'
+      ORDER BY created_at ASC
+    `;
+    const results = await sql(query);
+    return results.map(row => new VolunteerModel(row));
+  }
+
   // Increment scan count when volunteer scans a student QR
   static async incrementScanCount(id, sql) {
     const query = `
@@ -96,7 +171,7 @@ class VolunteerModel {
   static async findAllActive(sql) {
     const query = `
       SELECT * FROM volunteers 
-      WHERE is_active = true
+      WHERE is_active = true AND approval_status = 'APPROVED'
       ORDER BY full_name ASC
     `;
     const results = await sql(query);
@@ -113,7 +188,8 @@ class VolunteerModel {
     const query = `
       SELECT 
         COUNT(*) as total_volunteers,
-        COUNT(*) FILTER (WHERE is_active = true) as active_volunteers,
+        COUNT(*) FILTER (WHERE is_active = true AND approval_status = 'APPROVED') as active_volunteers,
+        COUNT(*) FILTER (WHERE approval_status = 'PENDING') as pending_volunteers,
         SUM(total_scans_performed) as total_scans,
         AVG(total_scans_performed) as avg_scans_per_volunteer
       FROM volunteers
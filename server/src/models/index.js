@@ -7,6 +7,9 @@ import StallModel from './Stall.model.js';
 import FeedbackModel from './Feedback.model.js';
 import RankingModel from './Ranking.model.js';
 import CheckInOutModel from './CheckInOut.model.js';
+import GateLocationModel from './GateLocation.model.js';
+import AuditLogModel from './AuditLog.model.js';
+import StallQRRevocationModel from './StallQRRevocation.model.js';
 
 // Named exports (preferred for production - tree-shaking support)
 export {
@@ -17,5 +20,8 @@ export {
   StallModel,
   FeedbackModel,
   RankingModel,
-  CheckInOutModel
+  CheckInOutModel,
+  GateLocationModel,
+  AuditLogModel,
+  StallQRRevocationModel
 };
@@ -1,32 +1,97 @@
 import express from 'express';
 const router = express.Router();
 import adminController from '../controllers/admin.controller.js';
+import liveController from '../controllers/live.controller.js';
+import exportController from '../controllers/export.controller.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { loadAdminScope, allowAdminRoles } from '../middleware/adminScope.js';
+import { uploadSpreadsheet } from '../middleware/upload.js';
+import { auditAction } from '../middleware/audit.js';
 
 /**
  * Admin Routes
  * Security: Router-level middleware for DRY principle
  * All protected routes automatically require ADMIN role
+ * Each route then allows a set of admin roles (SUPER_ADMIN / SCHOOL_COORDINATOR / VIEWER);
+ * coordinator queries are filtered to their own school in the controllers
+ * Write routes are recorded in the audit log (auditAction)
  */
 
+const superAdmin = allowAdminRoles('SUPER_ADMIN');
+const schoolManagers = allowAdminRoles('SUPER_ADMIN', 'SCHOOL_COORDINATOR');
+const dashboardViewers = allowAdminRoles('SUPER_ADMIN', 'VIEWER');
+
 // 🔓 Public routes (no authentication)
 router.post('/login', adminController.login);
 
-// 🔒 Apply authentication + ADMIN authorization to all routes below
+// 🔒 Apply authentication + ADMIN authorization + admin scope to all routes below
 router.use(authenticateToken);
 router.use(authorizeRoles('ADMIN'));
+router.use(loadAdminScope);
 
 // Protected routes (automatically secured with ADMIN role)
 router.post('/logout', adminController.logout);
 router.get('/profile', adminController.getProfile);
-router.put('/profile', adminController.updateProfile);
+router.put('/profile', auditAction('PROFILE_UPDATE', 'ADMIN', { entityId: (req) => req.user.id }), adminController.updateProfile);
+
+// 🎓 Students (coordinators: own school only)
 router.get('/students', adminController.getAllStudents);
-router.get('/volunteers', adminController.getAllVolunteers);
+router.post('/students/import', superAdmin, uploadSpreadsheet('file'), auditAction('STUDENT_IMPORT', 'STUDENT'), adminController.importStudents);
+router.post('/students', schoolManagers, auditAction('STUDENT_CREATE', 'STUDENT'), adminController.createStudent);
+router.get('/students/:id', adminController.getStudentById);
+router.put('/students/:id', schoolManagers, auditAction('STUDENT_UPDATE', 'STUDENT'), adminController.updateStudent);
+router.delete('/students/:id', schoolManagers, auditAction('STUDENT_DEACTIVATE', 'STUDENT'), adminController.deactivateStudent);
+router.post('/students/:id/force-password-reset', schoolManagers, auditAction('STUDENT_FORCE_PASSWORD_RESET', 'STUDENT'), adminController.forceStudentPasswordReset);
+
+// 🙋 Volunteers
+router.get('/volunteers', dashboardViewers, adminController.getAllVolunteers);
+router.get('/volunteers/pending', dashboardViewers, adminController.getPendingVolunteers);
+router.post('/volunteers/:id/approve', superAdmin, auditAction('VOLUNTEER_APPROVE', 'VOLUNTEER'), adminController.approveVolunteer);
+router.post('/volunteers/:id/reject', superAdmin, auditAction('VOLUNTEER_REJECT', 'VOLUNTEER'), adminController.rejectVolunteer);
+router.put('/volunteers/:id', superAdmin, auditAction('VOLUNTEER_UPDATE', 'VOLUNTEER'), adminController.updateVolunteer);
+router.put('/volunteers/:id/gate-mode', superAdmin, auditAction('VOLUNTEER_GATE_MODE_UPDATE', 'VOLUNTEER'), adminController.setVolunteerGateMode);
+
+// 🏫 Schools and stalls (coordinators: own school only)
+router.get('/schools', adminController.getAllSchools);
+router.post('/schools', superAdmin, auditAction('SCHOOL_CREATE', 'SCHOOL'), adminController.createSchool);
+router.put('/schools/:id', superAdmin, auditAction('SCHOOL_UPDATE', 'SCHOOL'), adminController.updateSchool);
+router.get('/schools/:id/stats', adminController.getSchoolStats);
+router.post('/schools/:id/merge', superAdmin, auditAction('SCHOOL_MERGE', 'SCHOOL'), adminController.mergeSchool);
 router.get('/stalls', adminController.getAllStalls);
-router.get('/stats', adminController.getStats);
+router.post('/stalls/:id/credentials', schoolManagers, auditAction('STALL_CREDENTIALS_ISSUE', 'STALL'), adminController.issueStallCredentials);
+router.post('/stalls/:id/qr-code/regenerate', schoolManagers, auditAction('STALL_QR_REGENERATE', 'STALL'), adminController.regenerateStallQR);
+router.get('/stalls/:id/qr-code/revocations', schoolManagers, adminController.getStallQRRevocations);
+router.post('/stalls/import', superAdmin, uploadSpreadsheet('file'), auditAction('STALL_IMPORT', 'STALL'), adminController.importStalls);
+router.get('/stats', dashboardViewers, adminController.getStats);
+
+// 👤 Admin accounts and roles
+router.get('/admins', superAdmin, adminController.getAdmins);
+router.post('/admins', superAdmin, auditAction('ADMIN_CREATE', 'ADMIN'), adminController.createAdmin);
+router.put('/admins/:id', superAdmin, auditAction('ADMIN_UPDATE', 'ADMIN'), adminController.updateAdmin);
+
+// 🚪 Gate modes (ENTRY-only / EXIT-only / TOGGLE) per assigned_location
+router.get('/gate-locations', dashboardViewers, adminController.getGateLocations);
+router.put('/gate-locations', superAdmin, auditAction('GATE_LOCATION_UPSERT', 'GATE_LOCATION', { entityId: (req) => req.body?.location_name?.trim() }), adminController.upsertGateLocation);
+router.delete('/gate-locations/:locationName', superAdmin, auditAction('GATE_LOCATION_DELETE', 'GATE_LOCATION', { entityId: (req) => req.params.locationName }), adminController.deleteGateLocation);
+
+// 🌙 End-of-day auto checkout (also runs on a schedule)
+router.post('/checkout/auto', superAdmin, auditAction('AUTO_CHECKOUT_RUN', 'CHECK_IN_OUT'), adminController.runAutoCheckout);
 
 // School ranking results (Category 2 - ADMIN ONLY)
-router.get('/top-schools', adminController.getTopSchools);
-router.get('/top-stalls', adminController.getTopStalls);
+router.get('/top-schools', dashboardViewers, adminController.getTopSchools);
+router.get('/top-stalls', dashboardViewers, adminController.getTopStalls);
+
+// 📊 Spreadsheet exports (XLSX / CSV): feedbacks, rankings, check-ins, top-stalls, top-students
+// Coordinators always get their own school's rows
+router.get('/exports/:dataset', exportController.exportData);
+
+// 🖨️ Printable QR sheets per school: stall posters + student ID cards (ZIP of PDFs)
+router.get('/schools/:id/qr-sheets', schoolManagers, exportController.exportQRSheets);
+
+// 🧾 Audit log of admin / volunteer write actions
+router.get('/audit-logs', superAdmin, adminController.getAuditLogs);
+
+// 📡 Live occupancy + scan feed (Server-Sent Events)
+router.get('/live/stream', dashboardViewers, liveController.stream);
 
 export default router;
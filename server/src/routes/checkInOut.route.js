@@ -1,7 +1,9 @@
 import express from 'express';
 const router = express.Router();
 import checkInOutController from '../controllers/checkInOut.controller.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { loadAdminScope, allowAdminRoles } from '../middleware/adminScope.js';
+import { auditAction } from '../middleware/audit.js';
 
 /**
  * CheckInOut Routes
@@ -20,6 +22,6 @@ router.get('/stall/:stallId', authenticateToken, checkInOutController.getRecords
 router.get('/volunteer/:volunteerId', authenticateToken, checkInOutController.getRecordsByVolunteer);
 
 // Delete record (admin only)
-router.delete('/:id', authenticateToken, checkInOutController.deleteRecord);
+router.delete('/:id', authenticateToken, authorizeRoles('ADMIN'), loadAdminScope, allowAdminRoles('SUPER_ADMIN'), auditAction('CHECK_IN_OUT_DELETE', 'CHECK_IN_OUT'), checkInOutController.deleteRecord);
 
 export default router;
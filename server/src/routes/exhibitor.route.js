@@ -0,0 +1,33 @@
+import express from 'express';
+const router = express.Router();
+import exhibitorController from '../controllers/exhibitor.controller.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { auditAction } from '../middleware/audit.js';
+
+/**
+ * Exhibitor Routes
+ * Security: Router-level middleware for DRY principle
+ * All protected routes automatically require STALL role (token id = stall id)
+ */
+
+// 🔓 Public routes (no authentication)
+router.post('/login', exhibitorController.login);
+
+// 🔒 Apply authentication + STALL authorization to all routes below
+router.use(authenticateToken);
+router.use(authorizeRoles('STALL'));
+
+// Protected routes (automatically secured with STALL role)
+router.post('/logout', exhibitorController.logout);
+router.get('/profile', exhibitorController.getProfile);
+router.put('/profile', auditAction('STALL_PROFILE_UPDATE', 'STALL', { entityId: (req) => req.user.id }), exhibitorController.updateProfile);
+router.put('/password', exhibitorController.changePassword);
+
+// 📋 Own stall results: feedback, rating stats, ranking votes
+router.get('/feedback', exhibitorController.getFeedback);
+router.get('/stats', exhibitorController.getStats);
+
+// 🖨️ Printable stall QR code
+router.get('/qr-code', exhibitorController.getQRCode);
+
+export default router;
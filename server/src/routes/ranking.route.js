@@ -1,7 +1,9 @@
 import express from 'express';
 const router = express.Router();
 import rankingController from '../controllers/ranking.controller.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { loadAdminScope, allowAdminRoles } from '../middleware/adminScope.js';
+import { auditAction } from '../middleware/audit.js';
 
 /**
  * Ranking Routes
@@ -14,10 +16,13 @@ router.get('/stall/:stallId', rankingController.getRankingByStall);
 router.get('/stalls/top/:limit', rankingController.getTopRankings);
 router.get('/students/top/:limit', rankingController.getTopStudents);
 
-// Protected routes (admin only)
-router.post('/y', authenticateToken, rankingController.createRanking);
-router.post('/calculate', authenticateToken, rankingController.calculateRankings);
-router.put('/:id', authenticateToken, rankingController.updateRanking);
-router.delete('/:id', authenticateToken, rankingController.deleteRanking);
+// Student top-3 submission (older clients - see /api/student/submit-school-ranking)
+router.post('/y', authenticateToken, authorizeRoles('STUDENT'), rankingController.createRanking);
+
+// Ranking maintenance (super admins only)
+const superAdmin = [authenticateToken, authorizeRoles('ADMIN'), loadAdminScope, allowAdminRoles('SUPER_ADMIN')];
+router.post('/calculate', superAdmin, auditAction('RANKING_RECALCULATE', 'STALL'), rankingController.calculateRankings);
+router.put('/:id', superAdmin, auditAction('RANKING_UPDATE', 'RANKING'), rankingController.updateRanking);
+router.delete('/:id', superAdmin, auditAction('RANKING_DELETE', 'RANKING'), rankingController.deleteRanking);
 
 export default router;
@@ -1,7 +1,9 @@
 import express from 'express';
 const router = express.Router();
 import stallController from '../controllers/stall.controller.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { loadAdminScope, allowAdminRoles } from '../middleware/adminScope.js';
+import { auditAction } from '../middleware/audit.js';
 
 /**
  * Stall Routes
@@ -13,12 +15,14 @@ router.get('/', stallController.getAllStalls);
 router.get('/:id', stallController.getStallById);
 router.get('/number/:stallNumber', stallController.getStallByNumber);
 router.get('/:id/qr-code', stallController.getStallQRCode);
+router.get('/:id/qr-code/image', stallController.getStallQRImage); // Raw PNG / SVG
 router.get('/school/:schoolName', stallController.getStallsBySchool);
 router.get('/:id/stats', stallController.getStallStats);
 
-// Protected routes (admin only)
-router.post('/', authenticateToken, stallController.createStall);
-router.put('/:id', authenticateToken, stallController.updateStall);
-router.delete('/:id', authenticateToken, stallController.deleteStall);
+// Protected routes (admin only - school coordinators manage their own school's stalls)
+const stallManagers = [authenticateToken, authorizeRoles('ADMIN'), loadAdminScope, allowAdminRoles('SUPER_ADMIN', 'SCHOOL_COORDINATOR')];
+router.post('/', stallManagers, auditAction('STALL_CREATE', 'STALL'), stallController.createStall);
+router.put('/:id', stallManagers, auditAction('STALL_UPDATE', 'STALL'), stallController.updateStall);
+router.delete('/:id', stallManagers, auditAction('STALL_DELETE', 'STALL'), stallController.deleteStall);
 
 export default router;
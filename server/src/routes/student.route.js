@@ -13,6 +13,7 @@ import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 router.post('/login', studentController.login);
 router.post('/verify-reset-credentials', studentController.verifyResetCredentials);
 router.post('/reset-password', studentController.resetPassword);
+router.get('/server-time', studentController.getServerTime); // Clock sync for the rotating QR countdown
 
 // 🔒 Apply authentication + STUDENT authorization to all routes below
 router.use(authenticateToken);
@@ -23,6 +24,7 @@ router.post('/logout', studentController.logout);
 router.get('/profile', studentController.getProfile);
 router.put('/profile', studentController.updateProfile);
 router.get('/qr-code', studentController.getQRCode);
+router.get('/qr-code/image', studentController.getQRCodeImage); // Raw PNG / SVG
 router.get('/check-in-history', studentController.getCheckInHistory);
 
 // Stall interaction routes (self-service inside event)(Category 1 - student scan and submit feedback)
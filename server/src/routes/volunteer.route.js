@@ -1,7 +1,9 @@
 import express from 'express';
 const router = express.Router();
 import volunteerController from '../controllers/volunteer.controller.js';
+import liveController from '../controllers/live.controller.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { auditAction } from '../middleware/audit.js';
 
 /**
  * Volunteer Routes
@@ -22,10 +24,15 @@ router.post('/logout', volunteerController.logout);
 router.get('/profile', volunteerController.getProfile);
 
 // ✨ Smart QR scanning - Auto-detects entry/exit
-router.post('/scan/student', volunteerController.scanStudentQR);
+router.post('/scan/student', auditAction('STUDENT_SCAN', 'STUDENT', { resultId: (data) => data?.student?.id }), volunteerController.scanStudentQR);
+// 📦 Offline queue sync - scans recorded while gate Wi-Fi was down
+router.post('/scan/batch', auditAction('STUDENT_SCAN_BATCH', 'CHECK_IN_OUT'), volunteerController.scanStudentBatch);
 // router.post('/scan/stall', volunteerController.scanStallQR);
 
 // Totel Number of Scan by Volunteer History route
 router.get('/history', volunteerController.getHistory);
 
+// 📡 Live gate feed (Server-Sent Events) - counts and gate activity, no student identities
+router.get('/live/stream', liveController.stream);
+
 export default router;
@@ -0,0 +1,57 @@
+/**
+ * End-of-Day Auto Checkout
+ *
+ * @description Closes every session still open at event closing time with a system-generated,
+ * duration-capped CHECKOUT. Use from cron when the in-process scheduler is disabled
+ * (AUTO_CHECKOUT_ENABLED=false), or run manually after the event.
+ * @usage npm run checkout:auto [-- --dry-run] [-- --closing-at=2025-11-24T18:00:00+05:30]
+ * @category Production Utility
+ *
+ * Production Setup:
+ * - Add to cron: 5 18 * * * cd /path/to/server && npm run checkout:auto
+ */
+
+import AutoCheckoutService from '../services/autoCheckout.js';
+
+const getArg = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+async function autoCheckout() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('🌙 END-OF-DAY AUTO CHECKOUT');
+  console.log('═'.repeat(60));
+  console.log(`📅 Started: ${new Date().toISOString()}`);
+  console.log(`🕕 Closing time: ${AutoCheckoutService.CLOSING_TIME} (${AutoCheckoutService.TIMEZONE})`);
+  console.log(`⏱️  Session cap: ${AutoCheckoutService.MAX_SESSION_MINUTES} minutes\n`);
+
+  try {
+    const closingAtArg = getArg('closing-at');
+    const closingAt = closingAtArg ? new Date(closingAtArg) : null;
+    if (closingAt && isNaN(closingAt.getTime())) {
+      throw new Error(`Invalid --closing-at: ${closingAtArg}`);
+    }
+
+    const result = await AutoCheckoutService.run({
+      closingAt,
+      dryRun: process.argv.includes('--dry-run'),
+      triggeredBy: 'script'
+    });
+
+    console.log(`🕕 Cutoff: ${result.closing_at}`);
+    if (result.dry_run) {
+      console.log(`🔍 Would close: ${result.would_close} session(s)`);
+    } else {
+      console.log(`✅ Closed: ${result.closed} session(s)`);
+      console.log(`⏱️  Minutes added: ${result.total_minutes_added}`);
+    }
+    console.log('\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Auto checkout failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+autoCheckout();
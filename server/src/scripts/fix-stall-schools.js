@@ -0,0 +1,63 @@
+/**
+ * Stall School Fixer
+ *
+ * @description Re-assigns stalls whose school_id is NULL or points at a missing school.
+ * Each orphan stall (in stall_number order) goes to the school with the fewest stalls,
+ * so every school ends up with enough stalls for ranking.
+ * @usage node src/scripts/fix-stall-schools.js (or npm run seed:fix)
+ * @category Development Script
+ */
+
+import { query } from '../config/db.js';
+
+async function fixStallSchools() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('🔧 STALL SCHOOL FIXER');
+  console.log('═'.repeat(60));
+
+  try {
+    const schools = await query(`
+      SELECT sc.id, sc.school_name, COUNT(st.id)::int AS stall_count
+      FROM schools sc
+      LEFT JOIN stalls st ON st.school_id = sc.id
+      GROUP BY sc.id, sc.school_name
+      ORDER BY sc.school_name
+    `);
+
+    if (schools.length === 0) {
+      console.error('❌ No schools found - run npm run seed first');
+      process.exit(1);
+    }
+
+    const stalls = await query(`
+      SELECT st.id, st.stall_number
+      FROM stalls st
+      LEFT JOIN schools sc ON st.school_id = sc.id
+      WHERE sc.id IS NULL
+      ORDER BY LENGTH(st.stall_number), st.stall_number
+    `);
+
+    console.log(`📊 Stalls to fix: ${stalls.length}\n`);
+
+    for (const stall of stalls) {
+      const school = schools.reduce((min, s) => (s.stall_count < min.stall_count ? s : min));
+      await query(
+        `UPDATE stalls SET school_id = $1, updated_at = NOW() WHERE id = $2`,
+        [school.id, stall.id]
+      );
+      school.stall_count++;
+      console.log(`   Stall ${stall.stall_number} → ${school.school_name}`);
+    }
+
+    console.log(`\n✅ Fixed: ${stalls.length}\n`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Fix failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+fixStallSchools();
@@ -0,0 +1,78 @@
+/**
+ * Student School Fixer
+ *
+ * @description Re-assigns students whose school_id is NULL or points at a missing school.
+ * The school is inferred from the code embedded in the registration number
+ * (e.g. 23FET0042 → FET), falling back to matching the program name.
+ * @usage node src/scripts/fix-student-schools.js (or npm run seed:fix)
+ * @category Development Script
+ */
+
+import { query } from '../config/db.js';
+import School from '../models/School.model.js';
+import { SCHOOLS } from '../seeders/data.js';
+
+/**
+ * Infer the seed school for a student
+ * @param {Object} student - { registration_no, program_name }
+ * @returns {Object|undefined} Entry from SCHOOLS
+ */
+const inferSchool = (student) => {
+  const code = String(student.registration_no).match(/^\d{2}([A-Z]+)\d+$/)?.[1];
+  return SCHOOLS.find(school => school.code === code) ||
+    SCHOOLS.find(school => school.programs.includes(student.program_name));
+};
+
+async function fixStudentSchools() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('🔧 STUDENT SCHOOL FIXER');
+  console.log('═'.repeat(60));
+
+  try {
+    const schoolIds = new Map();
+    for (const school of await School.findAll(query)) {
+      schoolIds.set(school.school_name, school.id);
+    }
+
+    const students = await query(`
+      SELECT s.id, s.registration_no, s.program_name
+      FROM students s
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      WHERE sc.id IS NULL
+    `);
+
+    console.log(`📊 Students to fix: ${students.length}\n`);
+
+    let fixed = 0;
+    const unresolved = [];
+
+    for (const student of students) {
+      const schoolId = schoolIds.get(inferSchool(student)?.school_name);
+      if (!schoolId) {
+        unresolved.push(student.registration_no);
+        continue;
+      }
+      await query(
+        `UPDATE students SET school_id = $1, updated_at = NOW() WHERE id = $2`,
+        [schoolId, student.id]
+      );
+      fixed++;
+    }
+
+    console.log(`✅ Fixed: ${fixed}`);
+    if (unresolved.length > 0) {
+      console.log(`⚠️  Could not infer a school for ${unresolved.length} student(s):`);
+      unresolved.slice(0, 10).forEach(regNo => console.log(`   - ${regNo}`));
+    }
+    console.log('\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Fix failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+fixStudentSchools();
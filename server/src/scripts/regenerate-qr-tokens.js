@@ -0,0 +1,103 @@
+/**
+ * Stall QR Token Regenerator
+ *
+ * @description Issues new signed QR tokens for stalls. Each old token is added to the
+ * revocation list (scans of the old poster get "this QR has been replaced") and its
+ * cached image is purged. Reprint the posters afterwards (GET /api/admin/schools/:id/qr-sheets).
+ * @usage npm run qr:regenerate -- <selector> [--reason="Poster damaged"] [--dry-run]
+ *   Selectors (one required):
+ *   --legacy              stalls with an unsigned, unverifiable or missing token
+ *   --stall=CS-001,CS-002 by stall number
+ *   --school=<school_id>  every active stall of a school
+ *   --all                 every active stall
+ * @category Production Utility
+ *
+ * Before setting ALLOW_LEGACY_STALL_QR=false: npm run qr:regenerate -- --legacy
+ */
+
+import QRCodeService from '../services/qrCode.js';
+import { query, withTransaction } from '../config/db.js';
+
+const getArg = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+// Tokens that won't pass verifyStallQRToken once legacy codes are switched off
+const needsSignedToken = (stall) => {
+  if (!stall.qr_code_token) return true;
+  const decoded = QRCodeService.verifyStallQRToken(stall.qr_code_token);
+  return !decoded.valid || Boolean(decoded.legacy);
+};
+
+async function findStalls() {
+  const stallNumbers = getArg('stall');
+  const schoolId = getArg('school');
+
+  if (stallNumbers) {
+    const numbers = stallNumbers.split(',').map(number => number.trim()).filter(Boolean);
+    return await query(
+      `SELECT id, stall_number, qr_code_token FROM stalls WHERE stall_number = ANY($1) ORDER BY stall_number`,
+      [numbers]
+    );
+  }
+  if (schoolId) {
+    return await query(
+      `SELECT id, stall_number, qr_code_token FROM stalls WHERE school_id = $1 AND is_active = true ORDER BY stall_number`,
+      [schoolId]
+    );
+  }
+  if (process.argv.includes('--all') || process.argv.includes('--legacy')) {
+    const stalls = await query(
+      `SELECT id, stall_number, qr_code_token FROM stalls WHERE is_active = true ORDER BY stall_number`
+    );
+    return process.argv.includes('--legacy') ? stalls.filter(needsSignedToken) : stalls;
+  }
+  return null;
+}
+
+async function regenerateQRTokens() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('🔁 STALL QR TOKEN REGENERATION');
+  console.log('═'.repeat(60));
+  console.log(`📅 Started: ${new Date().toISOString()}`);
+  console.log(`🏷️  Legacy unsigned codes accepted: ${QRCodeService.ALLOW_LEGACY_STALL_QR ? 'yes' : 'no'}\n`);
+
+  try {
+    const stalls = await findStalls();
+    if (!stalls) {
+      console.error('❌ Choose stalls with --legacy, --stall=<numbers>, --school=<id> or --all');
+      process.exit(1);
+    }
+
+    const reason = getArg('reason') || 'Regenerated by qr:regenerate';
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log(`📊 Stalls selected: ${stalls.length}${dryRun ? ' (dry run)' : ''}\n`);
+
+    let regenerated = 0;
+    for (const stall of stalls) {
+      if (dryRun) {
+        console.log(`   Stall ${stall.stall_number} (current token: ${stall.qr_code_token ? 'yes' : 'none'})`);
+        continue;
+      }
+
+      const result = await withTransaction((sql) =>
+        QRCodeService.regenerateStallQR(stall.id, { reason }, sql)
+      );
+      if (result?.previous_token) {
+        await QRCodeService.clearQRCache(result.previous_token);
+      }
+      regenerated++;
+      console.log(`   Stall ${stall.stall_number} → new token${result?.previous_token ? ', old token revoked' : ''}`);
+    }
+
+    console.log(dryRun ? '\n🔍 Dry run - nothing changed\n' : `\n✅ Regenerated: ${regenerated}\n`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Regeneration failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+regenerateQRTokens();
@@ -0,0 +1,83 @@
+/**
+ * School Assignment Verifier
+ *
+ * @description Checks that every student and stall points at an existing school and
+ * that each school has enough active stalls for students to rank (3 per school).
+ * Exits with code 1 when problems are found, so it can gate setup/CI.
+ * @usage npm run seed:verify
+ * @category Development Script
+ *
+ * Fix problems with: npm run seed:fix
+ */
+
+import { query } from '../config/db.js';
+
+const MIN_STALLS_PER_SCHOOL = 3; // Students rank their top 3 stalls within a school
+
+async function verifyAssignments() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('🔍 SCHOOL ASSIGNMENT VERIFIER');
+  console.log('═'.repeat(60));
+  console.log(`📅 Started: ${new Date().toISOString()}\n`);
+
+  try {
+    const orphanStudents = await query(`
+      SELECT s.registration_no, s.school_id
+      FROM students s
+      LEFT JOIN schools sc ON s.school_id = sc.id
+      WHERE sc.id IS NULL
+      ORDER BY s.registration_no
+    `);
+
+    const orphanStalls = await query(`
+      SELECT st.stall_number, st.school_id
+      FROM stalls st
+      LEFT JOIN schools sc ON st.school_id = sc.id
+      WHERE sc.id IS NULL
+      ORDER BY st.stall_number
+    `);
+
+    const thinSchools = await query(`
+      SELECT sc.school_name, COUNT(st.id) FILTER (WHERE st.is_active = true) AS active_stalls
+      FROM schools sc
+      LEFT JOIN stalls st ON st.school_id = sc.id
+      GROUP BY sc.id, sc.school_name
+      HAVING COUNT(st.id) FILTER (WHERE st.is_active = true) < $1
+      ORDER BY sc.school_name
+    `, [MIN_STALLS_PER_SCHOOL]);
+
+    const report = (label, rows, format) => {
+      if (rows.length === 0) {
+        console.log(`✅ ${label}: none`);
+        return;
+      }
+      console.log(`❌ ${label}: ${rows.length}`);
+      rows.slice(0, 10).forEach(row => console.log(`   - ${format(row)}`));
+      if (rows.length > 10) console.log(`   ... and ${rows.length - 10} more`);
+    };
+
+    report('Students without a valid school', orphanStudents,
+      row => `${row.registration_no} (school_id: ${row.school_id ?? 'NULL'})`);
+    report('Stalls without a valid school', orphanStalls,
+      row => `Stall ${row.stall_number} (school_id: ${row.school_id ?? 'NULL'})`);
+    report(`Schools with fewer than ${MIN_STALLS_PER_SCHOOL} active stalls`, thinSchools,
+      row => `${row.school_name} (${row.active_stalls} active)`);
+
+    const problems = orphanStudents.length + orphanStalls.length + thinSchools.length;
+
+    console.log('\n');
+    console.log('═'.repeat(60));
+    console.log(problems === 0 ? '✅ ALL ASSIGNMENTS VALID' : `❌ ${problems} PROBLEM(S) FOUND - run npm run seed:fix`);
+    console.log('═'.repeat(60));
+    console.log('\n');
+
+    process.exit(problems === 0 ? 0 : 1);
+  } catch (error) {
+    console.error('\n❌ Verification failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+verifyAssignments();
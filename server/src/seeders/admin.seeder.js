@@ -0,0 +1,27 @@
+// Admin Seeder - Dashboard admin account
+import Admin from '../models/Admin.model.js';
+
+export const DEV_ADMIN_PASSWORD = 'Admin@123';
+
+/**
+ * Seed the admin account (ADMIN_EMAIL / ADMIN_PASSWORD override the defaults)
+ * @param {Function} sql - Database query function
+ */
+export const seedAdmins = async (sql) => {
+  const email = process.env.ADMIN_EMAIL || 'admin@sgtu.ac.in';
+
+  if (await Admin.findByEmail(email, sql)) {
+    return { total: 1, created: 0, email };
+  }
+
+  await Admin.create({
+    email,
+    password: process.env.ADMIN_PASSWORD || DEV_ADMIN_PASSWORD,
+    full_name: 'Event Administrator',
+    role: 'ADMIN'
+  }, sql);
+
+  return { total: 1, created: 1, email };
+};
+
+export default seedAdmins;
@@ -0,0 +1,68 @@
+/**
+ * Static Seed Data
+ * Schools, names, pincodes and stall topics used to build the dev dataset
+ */
+
+// School code is embedded in seeded registration numbers (e.g. 23FET0042)
+export const SCHOOLS = [
+  { code: 'FET', school_name: 'Faculty of Engineering & Technology', programs: ['B.Tech CSE', 'B.Tech ECE', 'B.Tech ME', 'M.Tech CSE'] },
+  { code: 'FMC', school_name: 'Faculty of Management & Commerce', programs: ['BBA', 'MBA', 'B.Com (Hons)'] },
+  { code: 'FMH', school_name: 'Faculty of Medicine & Health Sciences', programs: ['MBBS', 'MD General Medicine'] },
+  { code: 'FDS', school_name: 'Faculty of Dental Sciences', programs: ['BDS', 'MDS'] },
+  { code: 'FAH', school_name: 'Faculty of Allied Health Sciences', programs: ['BPT', 'B.Sc MLT', 'B.Sc Radiology'] },
+  { code: 'FOP', school_name: 'Faculty of Pharmacy', programs: ['B.Pharm', 'D.Pharm'] },
+  { code: 'FOL', school_name: 'Faculty of Law', programs: ['BA LLB', 'BBA LLB', 'LLM'] },
+  { code: 'FAS', school_name: 'Faculty of Agricultural Sciences', programs: ['B.Sc (Hons) Agriculture', 'M.Sc Agronomy'] },
+  { code: 'FMM', school_name: 'Faculty of Mass Communication & Media Technology', programs: ['BA JMC', 'MA JMC'] },
+  { code: 'FBS', school_name: 'Faculty of Behavioural Sciences', programs: ['BA Psychology', 'MA Clinical Psychology'] }
+];
+
+export const FIRST_NAMES = [
+  'Aarav', 'Aditi', 'Aditya', 'Ananya', 'Arjun', 'Diya', 'Harsh', 'Ishita', 'Kabir', 'Kavya',
+  'Krishna', 'Meera', 'Mohit', 'Neha', 'Nikhil', 'Pooja', 'Pranav', 'Priya', 'Rahul', 'Riya',
+  'Rohan', 'Sakshi', 'Sahil', 'Shreya', 'Simran', 'Tanvi', 'Varun', 'Vivek', 'Yash', 'Zoya',
+  'Aman', 'Bhavna', 'Deepak', 'Gaurav', 'Jasleen', 'Karan', 'Manpreet', 'Naveen', 'Payal', 'Tarun'
+];
+
+export const LAST_NAMES = [
+  'Sharma', 'Verma', 'Gupta', 'Singh', 'Kumar', 'Yadav', 'Chauhan', 'Malik', 'Arora', 'Bansal',
+  'Mehta', 'Kapoor', 'Jain', 'Aggarwal', 'Saini', 'Rana', 'Dahiya', 'Khanna', 'Bhatia', 'Tiwari',
+  'Mishra', 'Pandey', 'Sethi', 'Grover', 'Ahuja', 'Chaudhary', 'Rathi', 'Sah', 'Thakur', 'Nair'
+];
+
+// Pincode ranges around the campus (Delhi NCR + Haryana)
+export const PINCODE_RANGES = [
+  [110001, 110096], // Delhi
+  [122001, 122108], // Gurugram
+  [121001, 121010], // Faridabad
+  [124001, 124507], // Rohtak / Jhajjar
+  [201301, 201318]  // Noida
+];
+
+export const STALL_TOPICS = [
+  'Smart Irrigation System', 'AI Crop Disease Detector', 'Campus Navigation App', 'Solar Powered Cart',
+  'Blockchain Land Records', 'Oral Hygiene Awareness', 'Mental Health Chatbot', 'Herbal Cosmetics Lab',
+  'Moot Court Showcase', 'Street Play on Cyber Safety', 'Drone Crop Sprayer', 'Low-Cost Prosthetic Hand',
+  'Water Quality Analyzer', 'Startup Pitch Corner', 'Digital Marketing Clinic', 'Blood Group Camp',
+  'Physiotherapy Demo', 'Vertical Farming Model', 'Short Film Screening', 'Podcast Studio Live',
+  'Consumer Rights Desk', 'Generic Medicine Awareness', 'EV Charging Prototype', 'Smart Parking Sensor',
+  'Handwriting Analysis Booth', 'Nutrition Calculator', 'Robotic Arm Demo', 'AR Anatomy Viewer',
+  'Organic Fertilizer Unit', 'Financial Literacy Quiz'
+];
+
+export const LOCATIONS = [
+  'Main Ground - Row A', 'Main Ground - Row B', 'Main Ground - Row C',
+  'Block A - Ground Floor', 'Block B - Lobby', 'Auditorium Foyer', 'Library Lawn'
+];
+
+export const GATE_LOCATIONS = ['Main Gate', 'Gate 2', 'Gate 3 (Hostel Side)', 'Auditorium Entry'];
+
+export default {
+  SCHOOLS,
+  FIRST_NAMES,
+  LAST_NAMES,
+  PINCODE_RANGES,
+  STALL_TOPICS,
+  LOCATIONS,
+  GATE_LOCATIONS
+};
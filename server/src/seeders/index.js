@@ -0,0 +1,86 @@
+/**
+ * Development Data Seeder
+ *
+ * @description Builds a realistic, reproducible dataset: schools, students, stalls,
+ * volunteers and an admin. Driven by a fixed random seed, so every run (and every
+ * developer) gets identical registration numbers, names, DOB/pincodes and stall QR tokens.
+ * Safe to re-run: existing rows are matched and skipped.
+ * @usage npm run seed
+ * @category Development Script
+ *
+ * Environment:
+ * - SEED             Random seed (default: 20251124)
+ * - SEED_STUDENTS    Number of students (default: 3000)
+ * - SEED_STALLS      Number of stalls (default: 200)
+ * - SEED_VOLUNTEERS  Number of volunteers (default: 20)
+ * - Refuses to run when NODE_ENV=production unless --force is passed
+ */
+
+import { query } from '../config/db.js';
+import { createRandom } from './random.js';
+import { seedSchools } from './school.seeder.js';
+import { seedStudents, DEV_STUDENT_PASSWORD } from './student.seeder.js';
+import { seedStalls } from './stall.seeder.js';
+import { seedVolunteers, DEV_VOLUNTEER_PASSWORD } from './volunteer.seeder.js';
+import { seedAdmins, DEV_ADMIN_PASSWORD } from './admin.seeder.js';
+
+const STUDENT_COUNT = parseInt(process.env.SEED_STUDENTS) || 3000;
+const STALL_COUNT = parseInt(process.env.SEED_STALLS) || 200;
+const VOLUNTEER_COUNT = parseInt(process.env.SEED_VOLUNTEERS) || 20;
+
+async function seed() {
+  console.log('\n');
+  console.log('═'.repeat(60));
+  console.log('🌱 DATABASE SEEDER');
+  console.log('═'.repeat(60));
+
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    console.error('❌ Refusing to seed a production database (pass --force to override)');
+    process.exit(1);
+  }
+
+  const rng = createRandom();
+  console.log(`🎲 Seed: ${rng.seed}`);
+  console.log(`📅 Started: ${new Date().toISOString()}\n`);
+
+  try {
+    // Each seeder draws from the same generator - keep this order stable
+    console.log('🏫 Seeding schools...');
+    const { schools, created: schoolsCreated } = await seedSchools(query);
+    console.log(`   ${schoolsCreated}/${schools.length} created`);
+
+    console.log('👨‍🎓 Seeding students...');
+    const students = await seedStudents(query, schools, rng, STUDENT_COUNT);
+    console.log(`   ${students.created}/${students.total} created`);
+
+    console.log('🏪 Seeding stalls...');
+    const stalls = await seedStalls(query, schools, rng, STALL_COUNT);
+    console.log(`   ${stalls.created}/${stalls.total} created`);
+
+    console.log('🦺 Seeding volunteers...');
+    const volunteers = await seedVolunteers(query, rng, VOLUNTEER_COUNT);
+    console.log(`   ${volunteers.created}/${volunteers.total} created`);
+
+    console.log('🛡️  Seeding admin...');
+    const admins = await seedAdmins(query);
+    console.log(`   ${admins.created}/${admins.total} created`);
+
+    console.log('\n');
+    console.log('═'.repeat(60));
+    console.log('✅ SEEDING COMPLETED');
+    console.log('═'.repeat(60));
+    console.log('\n🔑 Dev credentials:');
+    console.log(`   Admin:      ${admins.email} / ${process.env.ADMIN_PASSWORD ? '(ADMIN_PASSWORD)' : DEV_ADMIN_PASSWORD}`);
+    console.log(`   Volunteers: volunteer01@sgtu.ac.in ... / ${DEV_VOLUNTEER_PASSWORD}`);
+    console.log(`   Students:   <registration_no> / ${DEV_STUDENT_PASSWORD}`);
+    console.log('\n');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Seeding failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+seed();
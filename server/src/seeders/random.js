@@ -0,0 +1,49 @@
+/**
+ * Seeded Random Generator
+ * Deterministic PRNG (mulberry32) so every `npm run seed` produces the same dataset
+ */
+
+export const DEFAULT_SEED = 20251124;
+
+/**
+ * Create a seeded random generator
+ * @param {number} seed - Integer seed (default: SEED env or DEFAULT_SEED)
+ * @returns {Object} Generator with next/int/pick/chance/shuffle/hex helpers
+ *
+ * @example
+ * const rng = createRandom(42);
+ * rng.int(1, 6);          // same value on every run
+ * rng.pick(['a', 'b']);
+ */
+export const createRandom = (seed = parseInt(process.env.SEED) || DEFAULT_SEED) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    seed,
+    next,
+    int,
+    pick: (items) => items[int(0, items.length - 1)],
+    chance: (probability) => next() < probability,
+    shuffle: (items) => {
+      const copy = [...items];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = int(0, i);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    },
+    hex: (length) => Array.from({ length }, () => int(0, 15).toString(16)).join('')
+  };
+};
+
+export default createRandom;
@@ -0,0 +1,26 @@
+// School Seeder - Creates the university schools (idempotent, matched by name)
+import School from '../models/School.model.js';
+import { SCHOOLS } from './data.js';
+
+/**
+ * Seed schools
+ * @param {Function} sql - Database query function
+ * @returns {Promise<{ schools: Array, created: number }>} Schools with their seed `code`
+ */
+export const seedSchools = async (sql) => {
+  const schools = [];
+  let created = 0;
+
+  for (const { code, school_name } of SCHOOLS) {
+    let school = await School.findByName(school_name, sql);
+    if (!school) {
+      school = await School.create({ school_name, description: `${school_name} (${code})` }, sql);
+      created++;
+    }
+    schools.push({ ...school, code });
+  }
+
+  return { schools, created };
+};
+
+export default seedSchools;
@@ -0,0 +1,53 @@
+// Stall Seeder - ~200 stalls spread evenly across schools, each with a QR token
+import Stall from '../models/Stall.model.js';
+import QRCodeService from '../services/qrCode.js';
+import { STALL_TOPICS, LOCATIONS } from './data.js';
+
+// Fixed issue time so seeded QR tokens are identical on every run
+const SEED_TOKEN_EPOCH = Date.UTC(2026, 0, 1);
+
+/**
+ * Build stall rows (pure - no DB access)
+ * @param {Array} schools - Seeded schools
+ * @param {Object} rng - Seeded random generator
+ * @param {number} count - Number of stalls
+ * @returns {Array<Object>}
+ */
+export const buildStalls = (schools, rng, count) => {
+  const stalls = [];
+
+  for (let i = 0; i < count; i++) {
+    const school = schools[i % schools.length];
+    const stallNumber = String(i + 1);
+    const topic = rng.pick(STALL_TOPICS);
+
+    stalls.push({
+      stall_number: stallNumber,
+      stall_name: `${topic} (${school.code})`,
+      school_id: school.id,
+      description: `${topic} presented by ${school.school_name}`,
+      location: rng.pick(LOCATIONS),
+      qr_code_token: QRCodeService.generateStallQRToken(
+        { stall_number: stallNumber },
+        { timestamp: SEED_TOKEN_EPOCH + i, randomId: rng.hex(9) }
+      )
+    });
+  }
+
+  return stalls;
+};
+
+/**
+ * Seed stalls (existing stall numbers are skipped)
+ * @param {Function} sql - Database query function
+ * @param {Array} schools - Seeded schools
+ * @param {Object} rng - Seeded random generator
+ * @param {number} count - Number of stalls
+ */
+export const seedStalls = async (sql, schools, rng, count) => {
+  const stalls = buildStalls(schools, rng, count);
+  const created = await Stall.bulkCreate(stalls, sql);
+  return { total: stalls.length, created: created.length };
+};
+
+export default seedStalls;
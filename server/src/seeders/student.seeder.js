@@ -0,0 +1,85 @@
+// Student Seeder - Generates a reproducible student roster with valid DOB/pincode
+import Student from '../models/Student.model.js';
+import { SCHOOLS, FIRST_NAMES, LAST_NAMES, PINCODE_RANGES } from './data.js';
+
+export const DEV_STUDENT_PASSWORD = 'Student@123';
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+/**
+ * Build student rows (pure - no DB access)
+ * Registration number format: {YY}{SCHOOL_CODE}{SERIAL} e.g. 23FET0042
+ *
+ * @param {Array} schools - Seeded schools (with code)
+ * @param {Object} rng - Seeded random generator
+ * @param {number} count - Number of students
+ * @returns {Array<Object>}
+ */
+export const buildStudents = (schools, rng, count) => {
+  const serials = new Map();
+  const students = [];
+
+  for (let i = 0; i < count; i++) {
+    const school = schools[i % schools.length];
+    const programs = SCHOOLS.find(s => s.code === school.code).programs;
+    const batchYear = rng.int(2021, 2025);
+    const serial = (serials.get(school.code) || 0) + 1;
+    serials.set(school.code, serial);
+
+    const registrationNo = `${String(batchYear).slice(2)}${school.code}${pad(serial, 4)}`;
+    const firstName = rng.pick(FIRST_NAMES);
+    const lastName = rng.pick(LAST_NAMES);
+    const [pinMin, pinMax] = rng.pick(PINCODE_RANGES);
+
+    students.push({
+      registration_no: registrationNo,
+      full_name: `${firstName} ${lastName}`,
+      email: `${firstName}.${lastName}.${registrationNo}@sgtu.ac.in`.toLowerCase(),
+      school_id: school.id,
+      phone: `9${pad(rng.int(0, 999999999), 9)}`,
+      // 1998-2006 keeps everyone inside Student.isValidDateOfBirth (>= 15 years, >= 1990)
+      date_of_birth: `${rng.int(1998, 2006)}-${pad(rng.int(1, 12), 2)}-${pad(rng.int(1, 28), 2)}`,
+      pincode: String(rng.int(pinMin, pinMax)),
+      address: `House ${rng.int(1, 999)}, Sector ${rng.int(1, 110)}`,
+      program_name: rng.pick(programs),
+      batch: String(batchYear),
+      // ~10% keep the first-login reset flow so it can be exercised locally
+      password_reset_required: rng.chance(0.1)
+    });
+  }
+
+  return students;
+};
+
+/**
+ * Seed students (existing registration numbers are skipped and left untouched)
+ * @param {Function} sql - Database query function
+ * @param {Array} schools - Seeded schools
+ * @param {Object} rng - Seeded random generator
+ * @param {number} count - Number of students
+ */
+export const seedStudents = async (sql, schools, rng, count) => {
+  const students = buildStudents(schools, rng, count);
+  const passwordHash = await Student.hashPassword(DEV_STUDENT_PASSWORD);
+
+  const created = await Student.bulkCreate(
+    students.map(student => ({ ...student, password_hash: passwordHash })),
+    sql
+  );
+
+  // bulkCreate forces the first-login reset; relax it for the rest of the rows inserted
+  // by this run - students left from an earlier seed keep whatever flag they have now
+  const inserted = new Set(created.map(student => student.registration_no));
+  const readyToLogin = students
+    .filter(student => inserted.has(student.registration_no) && !student.password_reset_required)
+    .map(student => student.registration_no);
+
+  await sql(
+    `UPDATE students SET password_reset_required = false WHERE registration_no = ANY($1::text[])`,
+    [readyToLogin]
+  );
+
+  return { total: students.length, created: created.length };
+};
+
+export default seedStudents;
@@ -0,0 +1,36 @@
+// Volunteer Seeder - Gate volunteers with predictable credentials
+import Volunteer from '../models/Volunteer.model.js';
+import { FIRST_NAMES, LAST_NAMES, GATE_LOCATIONS } from './data.js';
+
+export const DEV_VOLUNTEER_PASSWORD = 'Volunteer@123';
+
+/**
+ * Seed volunteers (volunteer01@sgtu.ac.in ... volunteerNN@sgtu.ac.in)
+ * @param {Function} sql - Database query function
+ * @param {Object} rng - Seeded random generator
+ * @param {number} count - Number of volunteers
+ */
+export const seedVolunteers = async (sql, rng, count) => {
+  let created = 0;
+
+  for (let i = 1; i <= count; i++) {
+    const email = `volunteer${String(i).padStart(2, '0')}@sgtu.ac.in`;
+    const fullName = `${rng.pick(FIRST_NAMES)} ${rng.pick(LAST_NAMES)}`;
+    const assignedLocation = GATE_LOCATIONS[(i - 1) % GATE_LOCATIONS.length];
+
+    if (await Volunteer.findByEmail(email, sql)) continue;
+
+    await Volunteer.create({
+      email,
+      password: DEV_VOLUNTEER_PASSWORD,
+      full_name: fullName,
+      phone: `98${String(10000000 + i).substring(0, 8)}`,
+      assigned_location: assignedLocation
+    }, sql);
+    created++;
+  }
+
+  return { total: count, created };
+};
+
+export default seedVolunteers;
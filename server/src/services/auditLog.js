@@ -0,0 +1,150 @@
+// Audit Log Service - Records privileged write actions with before/after snapshots
+import Admin from '../models/Admin.model.js';
+import Student from '../models/Student.model.js';
+import Volunteer from '../models/Volunteer.model.js';
+import School from '../models/School.model.js';
+import Stall from '../models/Stall.model.js';
+import Ranking from '../models/Ranking.model.js';
+import CheckInOut from '../models/CheckInOut.model.js';
+import GateLocation from '../models/GateLocation.model.js';
+import AuditLog from '../models/AuditLog.model.js';
+import { query } from '../config/db.js';
+
+class AuditLogService {
+  // ============================================================
+  // 🧾 AUDIT CONFIGURATION
+  // ============================================================
+  // Never stored in snapshots (credentials and QR secrets)
+  static REDACTED_FIELDS = ['password', 'password_hash', 'new_password', 'current_password', 'token', 'qr_code_token', 'qr_code'];
+
+  // Request-path entries (auditAction) are written in batches after the response:
+  // at most QUEUE_FLUSH_MS late, or sooner once QUEUE_MAX_SIZE entries are waiting
+  static QUEUE_FLUSH_MS = 1000;
+  static QUEUE_MAX_SIZE = 100;
+  static queue = [];
+  static flushTimer = null;
+
+  // Current state of an entity by id, keyed by AuditLog.ENTITY_TYPES
+  static SNAPSHOT_LOADERS = {
+    ADMIN: (id) => Admin.findById(id, query),
+    STUDENT: (id) => Student.findById(id, query),
+    VOLUNTEER: (id) => Volunteer.findById(id, query),
+    SCHOOL: (id) => School.findById(id, query),
+    STALL: (id) => Stall.findById(id, query),
+    RANKING: (id) => Ranking.findById(id, query),
+    CHECK_IN_OUT: (id) => CheckInOut.findById(id, query),
+    GATE_LOCATION: (locationName) => GateLocation.findByName(locationName, query)
+  };
+
+  /**
+   * Copy a value as plain JSON without redacted fields
+   * @param {*} value - Model instance, response payload, ...
+   * @returns {*} null when there is nothing to store
+   */
+  static sanitize(value) {
+    if (value === null || value === undefined) return null;
+    return JSON.parse(JSON.stringify(value, (key, field) =>
+      this.REDACTED_FIELDS.includes(key) ? undefined : field
+    ));
+  }
+
+  /**
+   * Load the "before" snapshot of an entity
+   * Never throws - a missing or unreadable entity just has no before snapshot
+   *
+   * @param {string} entityType - One of AuditLog.ENTITY_TYPES
+   * @param {string} entityId
+   * @returns {Promise<Object|null>}
+   */
+  static async loadSnapshot(entityType, entityId) {
+    const loader = this.SNAPSHOT_LOADERS[entityType];
+    if (!loader || !entityId) return null;
+
+    try {
+      return this.sanitize(await loader(entityId));
+    } catch (error) {
+      console.error(`❌ [AUDIT] Could not load ${entityType} ${entityId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write one audit entry
+   * Fire-and-forget: never throws, so a failed audit write can't fail the action itself
+   *
+   * @param {Object} entry
+   * @param {Object} entry.actor - Authenticated user ({ id, role })
+   * @param {string} entry.action - e.g. 'STUDENT_UPDATE'
+   * @param {string} entry.entityType - One of AuditLog.ENTITY_TYPES
+   * @param {string} entry.entityId - null for bulk actions (imports, auto checkout)
+   * @param {Object} entry.before - State before the action
+   * @param {Object} entry.after - State after the action (usually the response data)
+   * @param {Object} entry.metadata - Request details (method, path, ip, ...)
+   * @returns {Promise<void>}
+   *
+   * @example
+   * AuditLogService.record({ actor: req.user, action: 'STALL_DELETE', entityType: 'STALL', entityId: id, before });
+   */
+  static async record(entry) {
+    try {
+      await AuditLog.create(this.toRow(entry), query);
+    } catch (error) {
+      console.error(`❌ [AUDIT] Failed to record ${entry.action}:`, error.message);
+    }
+  }
+
+  /**
+   * Queue one audit entry for the next batch insert
+   * Keeps the insert off the request path (scan endpoints are audited on every scan).
+   * Same entry shape as record(); the action time is captured now.
+   *
+   * @param {Object} entry - See record()
+   * @returns {void}
+   */
+  static enqueue(entry) {
+    this.queue.push({ ...this.toRow(entry), created_at: new Date() });
+
+    if (this.queue.length >= this.QUEUE_MAX_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.QUEUE_FLUSH_MS);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write every queued entry in one insert
+   * Never throws - a failed batch is logged and dropped, like a failed record()
+   *
+   * @returns {Promise<void>}
+   */
+  static async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const entries = this.queue.splice(0);
+    if (entries.length === 0) return;
+
+    try {
+      await AuditLog.bulkCreate(entries, query);
+    } catch (error) {
+      console.error(`❌ [AUDIT] Failed to record ${entries.length} queued entries:`, error.message);
+    }
+  }
+
+  // audit_logs row for an entry (snapshots sanitized)
+  static toRow({ actor, action, entityType, entityId = null, before = null, after = null, metadata = null }) {
+    return {
+      actor_id: actor?.id,
+      actor_role: actor?.role || 'UNKNOWN',
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      before_data: this.sanitize(before),
+      after_data: this.sanitize(after),
+      metadata
+    };
+  }
+}
+
+export default AuditLogService;
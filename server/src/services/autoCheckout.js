@@ -0,0 +1,157 @@
+// Auto Checkout Service - Closes sessions left open at event closing time
+import CheckInOut from '../models/CheckInOut.model.js';
+import LiveFeedService from './liveFeed.js';
+import { query, withTransaction } from '../config/db.js';
+
+/**
+ * Parse a 24-hour HH:MM clock time to minutes after midnight
+ * @param {string} value - e.g. '18:00'
+ * @returns {number} e.g. 1080
+ * @throws {Error} When the value is not a zero-padded HH:MM time ('9:00', '18:60', '6pm')
+ */
+export const parseClockTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid clock time "${value}" - expected HH:MM (24-hour, e.g. 18:00)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+class AutoCheckoutService {
+  // ============================================================
+  // 🌙 END-OF-DAY CHECKOUT CONFIGURATION
+  // ============================================================
+  static CLOSING_TIME = process.env.EVENT_CLOSING_TIME?.trim() || '18:00';  // HH:MM, event local time
+  static CLOSING_MINUTES = parseClockTime(this.CLOSING_TIME);                 // Fails startup on a bad EVENT_CLOSING_TIME
+  static TIMEZONE = process.env.EVENT_TIMEZONE || 'Asia/Kolkata';
+  static MAX_SESSION_MINUTES = parseInt(process.env.AUTO_CHECKOUT_MAX_SESSION_MINUTES) || 480; // Cap for unclosed sessions
+  static CHECK_INTERVAL_MS = 60 * 1000;
+
+  static lastRunDate = null;
+  static timer = null;
+
+  /**
+   * Current date and HH:MM in the event timezone
+   * @param {Date} now
+   * @returns {{ date: string, time: string }} e.g. { date: '2025-11-24', time: '18:05' }
+   */
+  static getLocalClock(now = new Date()) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-GB', {
+        timeZone: this.TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(now).map(part => [part.type, part.value])
+    );
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+  }
+
+  /**
+   * Whether an event-local HH:MM clock reading is at or after closing time
+   * Compared as minutes - string comparison gets '9:05' vs '18:00' wrong
+   * @param {string} time - From getLocalClock
+   * @returns {boolean}
+   */
+  static isPastClosingTime(time) {
+    return parseClockTime(time) >= this.CLOSING_MINUTES;
+  }
+
+  /**
+   * Most recent closing time that has already passed (today's, or yesterday's before closing)
+   * @returns {Promise<Date>}
+   */
+  static async getLatestClosingTime() {
+    const results = await query(`
+      SELECT CASE WHEN NOW() >= closing THEN closing ELSE closing - INTERVAL '1 day' END AS closing_at
+      FROM (
+        SELECT (date_trunc('day', NOW() AT TIME ZONE $1) + $2::time) AT TIME ZONE $1 AS closing
+      ) t
+    `, [this.TIMEZONE, this.CLOSING_TIME]);
+    return new Date(results[0].closing_at);
+  }
+
+  /**
+   * Close every session opened at or before the closing time
+   * Safe to run repeatedly: already-closed sessions and later check-ins are untouched.
+   *
+   * @param {Object} options
+   * @param {Date} options.closingAt - Cutoff / checkout timestamp (default: latest closing time)
+   * @param {boolean} options.dryRun - Only count the sessions that would be closed
+   * @param {string} options.triggeredBy - 'scheduler' | admin id (for logs)
+   * @returns {Promise<Object>} { closing_at, closed, total_minutes_added, max_session_minutes, dry_run }
+   */
+  static async run({ closingAt = null, dryRun = false, triggeredBy = 'scheduler' } = {}) {
+    const cutoff = closingAt || await this.getLatestClosingTime();
+
+    if (dryRun) {
+      const openSessions = await CheckInOut.countOpenSessions(cutoff, query);
+      return {
+        closing_at: cutoff.toISOString(),
+        closed: 0,
+        would_close: openSessions,
+        max_session_minutes: this.MAX_SESSION_MINUTES,
+        dry_run: true
+      };
+    }
+
+    const records = await withTransaction(async (sql) => {
+      return await CheckInOut.closeOpenSessions(cutoff, this.MAX_SESSION_MINUTES, sql);
+    });
+
+    const totalMinutes = records.reduce((sum, record) => sum + (record.duration_minutes || 0), 0);
+
+    console.log(`🌙 [AUTO-CHECKOUT] Closed ${records.length} open session(s) at ${cutoff.toISOString()} (by ${triggeredBy})`);
+
+    if (records.length > 0) {
+      LiveFeedService.publish(LiveFeedService.EVENT_TYPES.SCAN, {
+        action: 'AUTO_CHECKOUT',
+        closed: records.length,
+        closing_at: cutoff.toISOString()
+      });
+    }
+
+    return {
+      closing_at: cutoff.toISOString(),
+      closed: records.length,
+      total_minutes_added: totalMinutes,
+      max_session_minutes: this.MAX_SESSION_MINUTES,
+      dry_run: false
+    };
+  }
+
+  /**
+   * Start the in-process scheduler (runs once per day after closing time)
+   * Disable with AUTO_CHECKOUT_ENABLED=false, e.g. when a cron job runs the script instead
+   */
+  static startScheduler() {
+    if (process.env.AUTO_CHECKOUT_ENABLED === 'false' || this.timer) return;
+
+    const tick = async () => {
+      const { date, time } = this.getLocalClock();
+      if (!this.isPastClosingTime(time) || this.lastRunDate === date) return;
+
+      this.lastRunDate = date;
+      try {
+        await this.run({ triggeredBy: 'scheduler' });
+      } catch (error) {
+        this.lastRunDate = null; // Retry on the next tick
+        console.error('❌ [AUTO-CHECKOUT] Scheduled run failed:', error.message);
+      }
+    };
+
+    this.timer = setInterval(tick, this.CHECK_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`🌙 Auto checkout scheduled daily at ${this.CLOSING_TIME} (${this.TIMEZONE})`);
+  }
+
+  static stopScheduler() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default AutoCheckoutService;
@@ -0,0 +1,132 @@
+// Live Feed Service - Server-Sent Events push channel for occupancy and scan activity
+import Student from '../models/Student.model.js';
+import { query } from '../config/db.js';
+
+class LiveFeedService {
+  // ============================================================
+  // 📡 LIVE FEED CONFIGURATION
+  // ============================================================
+  static HEARTBEAT_INTERVAL_MS = 25000; // Below nginx proxy_read_timeout (60s)
+  static RETRY_MS = 3000;               // EventSource reconnect delay sent to clients
+
+  static EVENT_TYPES = {
+    SNAPSHOT: 'snapshot',
+    SCAN: 'scan',
+    FEEDBACK: 'feedback',
+    RANKING: 'ranking',
+    REPLAY: 'replay'
+  };
+
+  // Student identity in scan / replay events - only admin dashboards receive these,
+  // volunteer gate screens get the same events without them
+  static PERSONAL_FIELDS = ['registration_no', 'full_name'];
+
+  static clients = new Set();
+  static lastEventId = 0;
+
+  /**
+   * Attach an HTTP response as an SSE subscriber
+   * Sends a snapshot with the current inside-event count, then keeps the stream open
+   * with heartbeats until the client disconnects.
+   * Subscribers are per-process: with several app instances each one only sees its own scans.
+   *
+   * @param {Object} req - Express request (used for the close event)
+   * @param {Object} res - Express response (becomes the event stream)
+   * @param {Object} user - Authenticated user ({ id, role })
+   */
+  static async subscribe(req, res, user) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx response buffering
+    });
+    res.write(`retry: ${this.RETRY_MS}\n\n`);
+
+    const client = { res, user };
+    this.clients.add(client);
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      res.flush?.();
+    }, this.HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+    });
+
+    try {
+      const insideCount = await Student.countInsideEvent(query);
+      this.send(client, this.EVENT_TYPES.SNAPSHOT, {
+        inside_count: insideCount,
+        subscribers: this.clients.size
+      });
+    } catch (error) {
+      console.error('❌ [LIVE] Snapshot failed:', error.message);
+    }
+  }
+
+  /**
+   * Write one event to one subscriber
+   * @param {Object} client - Subscriber
+   * @param {string} type - Event name
+   * @param {Object} data - Event payload
+   */
+  static send(client, type, data) {
+    const id = ++this.lastEventId;
+    client.res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({
+      ...data,
+      timestamp: new Date().toISOString()
+    })}\n\n`);
+    client.res.flush?.(); // compression middleware buffers until flushed
+  }
+
+  /**
+   * Broadcast an event with the current inside-event count
+   * Non-admin subscribers (volunteers) receive it without PERSONAL_FIELDS.
+   * Fire-and-forget: never throws, so callers don't need to await it
+   *
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @returns {Promise<void>}
+   *
+   * @example
+   * LiveFeedService.publish(LiveFeedService.EVENT_TYPES.SCAN, { action: 'ENTRY', ... });
+   */
+  static async publish(type, data = {}) {
+    if (this.clients.size === 0) return; // Skip the count query when nobody is watching
+
+    try {
+      const insideCount = await Student.countInsideEvent(query);
+      const payload = { ...data, inside_count: insideCount };
+      const anonymousPayload = this.withoutPersonalData(payload);
+      for (const client of this.clients) {
+        this.send(client, type, client.user?.role === 'ADMIN' ? payload : anonymousPayload);
+      }
+    } catch (error) {
+      console.error('❌ [LIVE] Publish failed:', error.message);
+    }
+  }
+
+  /**
+   * Copy of an event payload without PERSONAL_FIELDS
+   * @param {Object} data - Event payload
+   * @returns {Object}
+   */
+  static withoutPersonalData(data) {
+    const copy = { ...data };
+    for (const field of this.PERSONAL_FIELDS) delete copy[field];
+    return copy;
+  }
+
+  /**
+   * Number of connected subscribers
+   * @returns {number}
+   */
+  static getSubscriberCount() {
+    return this.clients.size;
+  }
+}
+
+export default LiveFeedService;
@@ -3,32 +3,98 @@ import QRCode from 'qrcode';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import redisClient from '../config/redis.js';
+import StallQRRevocation from '../models/StallQRRevocation.model.js';
+
+/**
+ * Read a non-negative integer setting from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Used when unset or invalid (0 is a valid value)
+ */
+const readIntSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+// RFC 4648 base32 alphabet - every character is in the QR alphanumeric set
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const toBase32 = (buffer) => {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// null when the text has characters outside the alphabet
+const fromBase32 = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+};
 
 class QRCodeService {
   // ============================================================
-  // 🔄 ROTATING QR CODE CONFIGURATION (30-second rotation)
+  // 🔄 ROTATING QR CODE CONFIGURATION (per deployment, via env)
   // ============================================================
-  static ROTATION_INTERVAL_SECONDS = 60;  // Token rotates every 30 seconds
-  static GRACE_PERIOD_WINDOWS = 2;        // Accept tokens from 2 previous windows (60 seconds grace)
+  static ROTATION_INTERVAL_SECONDS = readIntSetting('QR_ROTATION_INTERVAL_SECONDS', 60) || 60; // Token rotates every interval
+  static GRACE_PERIOD_WINDOWS = readIntSetting('QR_GRACE_PERIOD_WINDOWS', 2);                  // Accept tokens from N previous windows
+  static MAX_FUTURE_SKEW_SECONDS = readIntSetting('QR_MAX_FUTURE_SKEW_SECONDS', 15);           // Accept windows starting this far ahead (fast clocks)
+  // 'jwt' (default) or 'compact' (RS1: base32). Scanners accept both; switch to compact only once
+  // every instance runs a verifier that knows it (older instances reject RS1: tokens)
+  static ROTATING_TOKEN_FORMAT = process.env.QR_ROTATING_TOKEN_FORMAT === 'compact' ? 'compact' : 'jwt';
+  static COMPACT_TOKEN_PREFIX = 'RS1:';
+  static COMPACT_MAC_BYTES = 8;                                                              // Truncated HMAC-SHA256 (64 bits)
 
   /**
-   * Get current time window for rotating QR codes
-   * Time window changes every 30 seconds (floor division)
-   * Example: timestamp 1732368450 → window 57745614
-   * @returns {number} Current time window
+   * Get time window for rotating QR codes
+   * Time window changes every ROTATION_INTERVAL_SECONDS (floor division)
+   * Example: timestamp 1732368450 → window 28872807 (60s interval)
+   * @param {number} now - Time in ms (default: now)
+   * @returns {number} Time window
    */
-  static getCurrentTimeWindow() {
-    return Math.floor(Date.now() / 1000 / this.ROTATION_INTERVAL_SECONDS);
+  static getCurrentTimeWindow(now = Date.now()) {
+    return Math.floor(now / 1000 / this.ROTATION_INTERVAL_SECONDS);
   }
 
   /**
-   * Generate rotating student QR token (changes every 30 seconds)
-   * Uses HMAC for security without database updates
-   * Token format: JWT with { r: registration_no, w: time_window, h: hmac, t: 'RS' }
-   * Token size: ~120-140 characters (creates Version 4 QR code - clean & scannable)
+   * Seconds a rotating token stays usable: its own window plus the grace windows,
+   * plus the future-skew allowance
+   * @returns {number}
+   */
+  static getRotatingTokenLifetimeSeconds() {
+    return (this.GRACE_PERIOD_WINDOWS + 1) * this.ROTATION_INTERVAL_SECONDS + this.MAX_FUTURE_SKEW_SECONDS;
+  }
+
+  /**
+   * Generate rotating student QR token (changes every ROTATION_INTERVAL_SECONDS)
+   * Format follows ROTATING_TOKEN_FORMAT: JWT (default) or compact
    * 
    * @param {Object} student - Student object with registration_no
-   * @returns {string} JWT token that expires in 90 seconds (covers 3 time windows)
+   * @returns {string} Token valid for the current window plus the grace windows
    */
   static generateRotatingStudentToken(student) {
     if (!student || !student.registration_no) {
@@ -36,41 +102,95 @@ class QRCodeService {
     }
 
     const currentWindow = this.getCurrentTimeWindow();
-    
+
+    return this.ROTATING_TOKEN_FORMAT === 'jwt'
+      ? this.generateJwtRotatingToken(student.registration_no, currentWindow)
+      : this.generateCompactRotatingToken(student.registration_no, currentWindow);
+  }
+
+  /**
+   * MAC for a compact rotating token
+   * Domain-separated from the JWT format's HMAC, so one can't be turned into the other
+   * @returns {Buffer} COMPACT_MAC_BYTES bytes
+   */
+  static signCompactRotatingToken(registrationNo, timeWindow) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${this.COMPACT_TOKEN_PREFIX}${registrationNo}:${timeWindow}`)
+      .digest()
+      .subarray(0, this.COMPACT_MAC_BYTES);
+  }
+
+  /**
+   * Compact rotating token (no JWT - the MAC alone authenticates it), QR_ROTATING_TOKEN_FORMAT=compact
+   * Format: RS1:{base32(window uint32 | mac 8 bytes | registration_no utf8)}
+   * ~45 characters, all in the QR alphanumeric set, so a 12-char registration number
+   * fits a Version 3 QR instead of the ~200-char JWT's Version 10 - fewer, larger modules
+   * that scan faster in bright sunlight.
+   */
+  static generateCompactRotatingToken(registrationNo, timeWindow) {
+    const window = Buffer.alloc(4);
+    window.writeUInt32BE(timeWindow);
+    const body = Buffer.concat([
+      window,
+      this.signCompactRotatingToken(registrationNo, timeWindow),
+      Buffer.from(String(registrationNo), 'utf8')
+    ]);
+    return `${this.COMPACT_TOKEN_PREFIX}${toBase32(body)}`;
+  }
+
+  /**
+   * JWT rotating token (default format)
+   * Token format: JWT with { r: registration_no, w: time_window, h: hmac, t: 'RS' }
+   * Token size: ~200 characters
+   * JWT expires with its last grace window (getRotatingTokenLifetimeSeconds)
+   */
+  static generateJwtRotatingToken(registrationNo, currentWindow) {
     // HMAC signature: proves token wasn't tampered with
     // Uses registration_no + time_window + secret key
     const hmac = crypto
       .createHmac('sha256', process.env.JWT_SECRET)
-      .update(`${student.registration_no}:${currentWindow}`)
+      .update(`${registrationNo}:${currentWindow}`)
       .digest('hex')
       .substring(0, 12); // 12 chars sufficient for security
 
     // Minimal payload for smallest QR code
     const payload = {
-      r: student.registration_no,  // Registration number (primary lookup)
+      r: registrationNo,            // Registration number (primary lookup)
       w: currentWindow,             // Time window (for rotation)
       h: hmac,                      // HMAC signature (for verification)
       t: 'RS'                       // Type: Rotating Student
     };
 
-    // JWT expires in 90 seconds (covers current + 2 grace period windows)
+    // JWT expires after the current + grace period windows
     return jwt.sign(payload, process.env.JWT_SECRET, {
       algorithm: 'HS256',
-      expiresIn: '90s'
+      expiresIn: this.getRotatingTokenLifetimeSeconds()
     });
   }
 
   /**
    * Verify rotating student QR token
-   * Validates HMAC signature and checks if time window is within grace period
+   * Validates HMAC signature and checks if time window is within grace period.
+   * Windows slightly ahead of the verifier's clock (up to MAX_FUTURE_SKEW_SECONDS) are
+   * accepted, so a scanner or server a few seconds behind doesn't reject fresh codes.
    * 
    * @param {string} token - JWT token from QR code
+   * @param {Object} options - Verification options
+   * @param {number} options.at - Verify as of this time (ms) instead of now - offline scans replayed later
    * @returns {Object} { valid, registration_no, time_window, isStatic } or { valid: false }
    */
-  static verifyRotatingStudentToken(token) {
+  static verifyRotatingStudentToken(token, options = {}) {
+    if (typeof token === 'string' && token.startsWith(this.COMPACT_TOKEN_PREFIX)) {
+      return this.verifyCompactRotatingToken(token, options);
+    }
+
     try {
-      // 1. Decode JWT
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // 1. Decode JWT (expiry checked against the scan time for offline scans)
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        clockTolerance: this.MAX_FUTURE_SKEW_SECONDS,
+        ...(options.at && { clockTimestamp: Math.floor(options.at / 1000) })
+      });
 
       // 2. Check if it's a rotating token
       if (decoded.t !== 'RS') {
@@ -93,23 +213,8 @@ class QRCodeService {
         return { valid: false };
       }
 
-      // 5. Check if time window is within grace period
-      const currentWindow = this.getCurrentTimeWindow();
-      const windowDifference = currentWindow - tokenWindow;
-
-      if (windowDifference > this.GRACE_PERIOD_WINDOWS || windowDifference < 0) {
-        console.log(`❌ [ROTATING QR] Token expired (window difference: ${windowDifference})`);
-        return { valid: false, expired: true };
-      }
-
-      console.log(`✅ [ROTATING QR] Valid token (window: ${tokenWindow}, current: ${currentWindow}, diff: ${windowDifference})`);
-
-      return {
-        valid: true,
-        registration_no,
-        time_window: tokenWindow,
-        isStatic: false
-      };
+      // 5. Check if time window is within grace period (or just ahead, within the skew allowance)
+      return this.checkRotatingTokenWindow(registration_no, tokenWindow, options.at || Date.now());
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         console.log('❌ [ROTATING QR] JWT expired');
@@ -119,6 +224,74 @@ class QRCodeService {
       return { valid: false };
     }
   }
+  /**
+   * Verify compact rotating token (RS1:...)
+   * Same result shape as verifyRotatingStudentToken
+   */
+  static verifyCompactRotatingToken(token, options = {}) {
+    const body = fromBase32(token.substring(this.COMPACT_TOKEN_PREFIX.length));
+    const headerLength = 4 + this.COMPACT_MAC_BYTES;
+    if (!body || body.length <= headerLength) {
+      console.log('❌ [ROTATING QR] Malformed compact token');
+      return { valid: false };
+    }
+
+    const tokenWindow = body.readUInt32BE(0);
+    const receivedMac = body.subarray(4, headerLength);
+    const registration_no = body.subarray(headerLength).toString('utf8');
+
+    const expectedMac = this.signCompactRotatingToken(registration_no, tokenWindow);
+    if (!crypto.timingSafeEqual(receivedMac, expectedMac)) {
+      console.log('❌ [ROTATING QR] MAC mismatch - token tampered');
+      return { valid: false };
+    }
+
+    return this.checkRotatingTokenWindow(registration_no, tokenWindow, options.at || Date.now());
+  }
+
+  /**
+   * Accept an authenticated rotating token if its window is within the grace period,
+   * or starts no more than MAX_FUTURE_SKEW_SECONDS ahead of the verifier's clock
+   * @param {string} registration_no
+   * @param {number} tokenWindow
+   * @param {number} now - Verification time in ms
+   * @returns {Object} { valid, registration_no, time_window, isStatic } or { valid: false, expired: true }
+   */
+  static checkRotatingTokenWindow(registration_no, tokenWindow, now) {
+    const currentWindow = this.getCurrentTimeWindow(now);
+    const windowDifference = currentWindow - tokenWindow;
+
+    if (windowDifference > this.GRACE_PERIOD_WINDOWS) {
+      console.log(`❌ [ROTATING QR] Token expired (window difference: ${windowDifference})`);
+      return { valid: false, expired: true };
+    }
+
+    if (windowDifference < 0) {
+      const secondsAhead = tokenWindow * this.ROTATION_INTERVAL_SECONDS - now / 1000;
+      if (secondsAhead > this.MAX_FUTURE_SKEW_SECONDS) {
+        console.log(`❌ [ROTATING QR] Token from the future (${Math.ceil(secondsAhead)}s ahead - check device clocks)`);
+        return { valid: false, expired: true };
+      }
+    }
+
+    console.log(`✅ [ROTATING QR] Valid token (window: ${tokenWindow}, current: ${currentWindow}, diff: ${windowDifference})`);
+
+    return {
+      valid: true,
+      registration_no,
+      time_window: tokenWindow,
+      isStatic: false
+    };
+  }
+
+
+  /**
+   * Redis key for a student's rotating QR images in one time window
+   * Raw images (default look) live under `${key}:${format}`
+   */
+  static getRotatingImageCacheKey(registrationNo, timeWindow) {
+    return `qr:rotating:${registrationNo}:${timeWindow}`;
+  }
 
   /**
    * Generate rotating QR code image (with Redis caching)
@@ -131,7 +304,7 @@ class QRCodeService {
    */
   static async generateRotatingQRCodeImage(student, options = {}) {
     const currentWindow = this.getCurrentTimeWindow();
-    const cacheKey = `qr:rotating:${student.registration_no}:${currentWindow}`;
+    const cacheKey = this.getRotatingImageCacheKey(student.registration_no, currentWindow);
 
     // 1. Check Redis cache (key includes time window for auto-expiration)
     try {
@@ -163,12 +336,12 @@ class QRCodeService {
 
     const qrCodeDataURL = await QRCode.toDataURL(token, qrOptions);
 
-    // 4. Cache in Redis with TTL = rotation interval (30 seconds)
+    // 4. Cache in Redis with TTL = rotation interval
     try {
-      await redisClient.setex(
+      await redisClient.set(
         cacheKey,
-        this.ROTATION_INTERVAL_SECONDS,  // Expires when next rotation happens
-        qrCodeDataURL
+        qrCodeDataURL,
+        this.ROTATION_INTERVAL_SECONDS  // Expires when next rotation happens
       );
       console.log(`✅ [CACHE SET] Rotating QR cached for ${this.ROTATION_INTERVAL_SECONDS}s (window: ${currentWindow})`);
     } catch (error) {
@@ -181,13 +354,123 @@ class QRCodeService {
   /**
    * Get seconds until next QR code rotation
    * Useful for UI countdown timers
-   * @returns {number} Seconds until next rotation (0-30)
+   * @param {number} now - Time in ms (default: now)
+   * @returns {number} Seconds until next rotation (1 - ROTATION_INTERVAL_SECONDS)
+   */
+  static getSecondsUntilRotation(now = Date.now()) {
+    const nextRotationTime = (this.getCurrentTimeWindow(now) + 1) * this.ROTATION_INTERVAL_SECONDS;
+    return nextRotationTime - Math.floor(now / 1000);
+  }
+
+  /**
+   * Rotation schedule for client countdowns
+   * Clients should count down to next_rotation_at using their offset from server_time,
+   * not their own clock.
+   * @param {number} now - Time in ms (default: now)
+   * @returns {Object}
    */
-  static getSecondsUntilRotation() {
+  static getRotationInfo(now = Date.now()) {
+    const currentWindow = this.getCurrentTimeWindow(now);
+    return {
+      server_time: new Date(now).toISOString(),
+      server_time_ms: now,
+      current_window: currentWindow,
+      next_rotation_at: new Date((currentWindow + 1) * this.ROTATION_INTERVAL_SECONDS * 1000).toISOString(),
+      expires_in_seconds: this.getSecondsUntilRotation(now),
+      rotation_interval: this.ROTATION_INTERVAL_SECONDS,
+      grace_period_seconds: this.GRACE_PERIOD_WINDOWS * this.ROTATION_INTERVAL_SECONDS,
+      max_future_skew_seconds: this.MAX_FUTURE_SKEW_SECONDS
+    };
+  }
+
+  // ============================================================
+  // 🛡️ ROTATING TOKEN REPLAY PROTECTION
+  // ============================================================
+
+  /**
+   * Identity of a rotating token for the single-use checks (one per student per time window)
+   * Stored on check_in_outs.qr_token_key with the scan it produced
+   * @param {Object} decoded - Result of verifyRotatingStudentToken
+   * @returns {string|null} null for static ID-card tokens
+   */
+  static getRotatingTokenKey(decoded) {
+    if (!decoded || decoded.isStatic || decoded.time_window === undefined) return null;
+    return `${decoded.registration_no}:${decoded.time_window}`;
+  }
+
+  /**
+   * Redis key for a used rotating token (one per student per time window)
+   * @param {string} registrationNo - Student registration number
+   * @param {number} timeWindow - Token's time window
+   * @returns {string}
+   */
+  static getUsedTokenKey(registrationNo, timeWindow) {
+    return `qr:used:${registrationNo}:${timeWindow}`;
+  }
+
+  /**
+   * Seconds until a time window falls out of the grace period
+   * Offline scans synced after that still get one rotation interval, so the same
+   * screenshot cannot be replayed twice within one batch
+   * @param {number} timeWindow - Token's time window
+   * @returns {number}
+   */
+  static getUsedTokenTTL(timeWindow) {
     const now = Math.floor(Date.now() / 1000);
-    const currentWindow = this.getCurrentTimeWindow();
-    const nextRotationTime = (currentWindow + 1) * this.ROTATION_INTERVAL_SECONDS;
-    return nextRotationTime - now;
+    const graceEndsAt = (timeWindow + this.GRACE_PERIOD_WINDOWS + 1) * this.ROTATION_INTERVAL_SECONDS;
+    return Math.max(graceEndsAt - now, this.ROTATION_INTERVAL_SECONDS);
+  }
+
+  /**
+   * Mark a verified rotating token as used (atomic SET NX)
+   * Call right before performing the check-in/out; the first caller wins.
+   * Without Redis the claim succeeds here and the scan transaction enforces single use instead
+   * (check_in_outs.qr_token_key), so replays are still refused - only first-use details are lost.
+   *
+   * A token records one scan: a student scanned again within the same rotation window
+   * (e.g. turning straight back at the gate) shows the next QR, at most one rotation later.
+   *
+   * @param {Object} decoded - Result of verifyRotatingStudentToken ({ registration_no, time_window })
+   * @param {Object} context - Stored with the claim for reuse reports (e.g. { volunteer_id })
+   * @returns {Promise<Object>} { claimed: true } or { claimed: false, reused: true, first_use }
+   */
+  static async claimRotatingToken(decoded, context = {}) {
+    if (!decoded || decoded.isStatic || decoded.time_window === undefined) {
+      return { claimed: true }; // Static ID-card tokens are not covered by the registry
+    }
+
+    const key = this.getUsedTokenKey(decoded.registration_no, decoded.time_window);
+    const claim = JSON.stringify({ ...context, used_at: new Date().toISOString() });
+    const result = await redisClient.setIfNotExists(key, claim, this.getUsedTokenTTL(decoded.time_window));
+
+    if (result === null) {
+      console.log('⚠️ [REPLAY] Redis unavailable - token reuse checked in the database only');
+      return { claimed: true, registry_unavailable: true };
+    }
+
+    if (result) {
+      return { claimed: true };
+    }
+
+    let firstUse = null;
+    try {
+      firstUse = JSON.parse(await redisClient.get(key));
+    } catch {
+      firstUse = null;
+    }
+
+    console.log(`🚫 [REPLAY] Token reuse for ${decoded.registration_no} (window: ${decoded.time_window})`);
+    return { claimed: false, reused: true, first_use: firstUse };
+  }
+
+  /**
+   * Release a claim when the scan did not result in a check-in/out
+   * (e.g. refused by an ENTRY-only gate) so the student can retry at the right gate
+   * @param {Object} decoded - Result of verifyRotatingStudentToken
+   */
+  static async releaseRotatingToken(decoded) {
+    if (!decoded || decoded.isStatic || decoded.time_window === undefined) return;
+    await redisClient.del(this.getUsedTokenKey(decoded.registration_no, decoded.time_window));
   }
 
   // ============================================================
@@ -223,25 +506,47 @@ class QRCodeService {
     return token;
   }
 
+  // ============================================================
+  // 🏪 SIGNED STALL QR CONFIGURATION
+  // ============================================================
+  static STALL_SIGNATURE_LENGTH = 16;  // Hex chars of HMAC-SHA256 (64 bits) - keeps the QR sparse
+  // Unsigned STALL_{number}_{timestamp}_{random} codes printed before signing was added.
+  // Set ALLOW_LEGACY_STALL_QR=false once every stall poster has been reprinted.
+  static ALLOW_LEGACY_STALL_QR = process.env.ALLOW_LEGACY_STALL_QR !== 'false';
+
   /**
-   * Generate Static QR Token for Stall (ULTRA-SHORT format)
-   * Simple string format: STALL_{stall_number}_{timestamp}_{random_id}
-   * Example: STALL_CS-001_1763272340083_4am2ghcnl
-   * ~40 chars only - creates beautiful, sparse QR codes!
+   * HMAC signature for a stall token payload
+   * @param {string} payload - STALL_{stall_number}_{timestamp}_{random_id}
+   * @returns {string} Truncated hex HMAC
    */
-  static generateStallQRToken(stall) {
+  static signStallPayload(payload) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(payload)
+      .digest('hex')
+      .substring(0, this.STALL_SIGNATURE_LENGTH);
+  }
+
+  /**
+   * Generate Static QR Token for Stall (SHORT signed format)
+   * Format: STALL_{stall_number}_{timestamp}_{random_id}_{signature}
+   * Example: STALL_CS-001_1763272340083_4am2ghcnl_9f2c61d0a4b37e58
+   * ~55 chars - still a sparse QR, and forged codes are rejected without a DB lookup
+   * 
+   * @param {Object} stall - Stall object with stall_number
+   * @param {Object} options - Optional fixed { timestamp, randomId } (deterministic seeding)
+   */
+  static generateStallQRToken(stall, options = {}) {
     if (!stall || !stall.stall_number) {
       throw new Error('Invalid stall data for QR generation');
     }
 
-    // PRODUCTION: Simple format for cleanest QR codes
-    const timestamp = Date.now();
-    const randomId = crypto.randomBytes(4).toString('base64').replace(/[^a-z0-9]/gi, '').toLowerCase().substring(0, 9);
+    const timestamp = options.timestamp || Date.now();
+    const randomId = options.randomId || crypto.randomBytes(4).toString('base64').replace(/[^a-z0-9]/gi, '').toLowerCase().substring(0, 9);
     
-    // Format: STALL_{stall_number}_{timestamp}_{random_id}
-    const token = `STALL_${stall.stall_number}_${timestamp}_${randomId}`;
+    const payload = `STALL_${stall.stall_number}_${timestamp}_${randomId}`;
 
-    return token;
+    return `${payload}_${this.signStallPayload(payload)}`;
   }
 
   /**
@@ -259,9 +564,7 @@ class QRCodeService {
       throw new Error('Token is required for QR code generation');
     }
 
-    // Create cache key from token hash (to avoid storing full JWT in key)
-    const tokenHash = crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
-    const cacheKey = `qr:image:${tokenHash}`;
+    const cacheKey = this.getImageCacheKey(token);
 
     try {
       // 1. CHECK CACHE FIRST (5-10ms) ⚡
@@ -329,6 +632,138 @@ class QRCodeService {
     }
   }
 
+  // ============================================================
+  // 🖼️ RAW QR IMAGES (SVG / PNG with render options)
+  // ============================================================
+  // Fixed choices only - the image endpoints are public, so free-form options would let
+  // anyone render (and cache) unlimited variants
+  static RENDER_CONTENT_TYPES = { png: 'image/png', svg: 'image/svg+xml' };
+  static ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+  static RENDER_SIZES = [128, 200, 256, 300, 400, 512, 1024];  // px
+  static RENDER_MARGINS = [0, 1, 2, 4];                        // modules
+  static RENDER_PALETTES = {
+    standard: { dark: '#000000', light: '#FFFFFF' },
+    inverted: { dark: '#FFFFFF', light: '#000000' },
+    transparent: { dark: '#000000', light: '#FFFFFF00' }
+  };
+  // Same look as the data-URL images
+  static STATIC_RENDER_DEFAULTS = { size: 400, margin: 4, ecl: 'H', palette: 'standard' };
+  static ROTATING_RENDER_DEFAULTS = { size: 300, margin: 1, ecl: 'M', palette: 'standard' };
+
+  /**
+   * Redis key for a static token's images (hash - avoids storing the token in the key)
+   * Raw images (default look) live under `${key}:${format}`
+   */
+  static getImageCacheKey(token) {
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+    return `qr:image:${tokenHash}`;
+  }
+
+  /**
+   * Validate raw image query options
+   * Query: format (png | svg), size (px, one of RENDER_SIZES), margin (modules, one of RENDER_MARGINS),
+   * ecl (L | M | Q | H), palette (one of RENDER_PALETTES)
+   *
+   * @param {Object} params - Request query
+   * @param {Object} defaults - { size, margin, ecl, palette } for this kind of QR
+   * @returns {{ options: Object|null, error: string|null }} options.isDefault: only defaults were used (cacheable)
+   */
+  static parseRenderOptions(params, defaults) {
+    // Repeated params (arrays) become 'a,b' and fail validation
+    const pick = (name) => (params[name] === undefined ? undefined : String(params[name]));
+
+    const format = (pick('format') || 'png').toLowerCase();
+    if (!this.RENDER_CONTENT_TYPES[format]) {
+      return { options: null, error: `format must be one of: ${Object.keys(this.RENDER_CONTENT_TYPES).join(', ')}` };
+    }
+
+    const size = pick('size') === undefined ? defaults.size : Number(pick('size'));
+    if (!this.RENDER_SIZES.includes(size)) {
+      return { options: null, error: `size must be one of: ${this.RENDER_SIZES.join(', ')}` };
+    }
+
+    const margin = pick('margin') === undefined ? defaults.margin : Number(pick('margin'));
+    if (!this.RENDER_MARGINS.includes(margin)) {
+      return { options: null, error: `margin must be one of: ${this.RENDER_MARGINS.join(', ')}` };
+    }
+
+    const ecl = (pick('ecl') || defaults.ecl).toUpperCase();
+    if (!this.ERROR_CORRECTION_LEVELS.includes(ecl)) {
+      return { options: null, error: `ecl must be one of: ${this.ERROR_CORRECTION_LEVELS.join(', ')}` };
+    }
+
+    const palette = (pick('palette') || defaults.palette).toLowerCase();
+    if (!Object.hasOwn(this.RENDER_PALETTES, palette)) {
+      return { options: null, error: `palette must be one of: ${Object.keys(this.RENDER_PALETTES).join(', ')}` };
+    }
+
+    const isDefault = size === defaults.size && margin === defaults.margin &&
+      ecl === defaults.ecl && palette === defaults.palette;
+
+    return { options: { format, size, margin, ecl, ...this.RENDER_PALETTES[palette], isDefault }, error: null };
+  }
+
+  /**
+   * Render a QR code as a raw PNG / SVG
+   * Only the default look is cached (per token and format); other variants are rendered
+   * per request. PNGs are cached base64-encoded (the Redis client stores strings).
+   *
+   * @param {string} token - QR payload
+   * @param {Object} options - From parseRenderOptions
+   * @param {Object} cache - { key: base cache key, ttl: seconds }
+   * @returns {Promise<{ contentType: string, body: Buffer|string }>}
+   */
+  static async renderQRCode(token, options, { key, ttl = 86400 }) {
+    if (!token) {
+      throw new Error('Token is required for QR code generation');
+    }
+
+    const { format, size, margin, ecl, dark, light, isDefault } = options;
+    const contentType = this.RENDER_CONTENT_TYPES[format];
+    const cacheKey = isDefault ? `${key}:${format}` : null;
+
+    const cached = cacheKey ? await redisClient.get(cacheKey) : null;
+    if (cached) {
+      return { contentType, body: format === 'png' ? Buffer.from(cached, 'base64') : cached };
+    }
+
+    const qrOptions = {
+      width: size,
+      margin,
+      errorCorrectionLevel: ecl,
+      color: { dark, light }
+    };
+
+    try {
+      const body = format === 'svg'
+        ? await QRCode.toString(token, { ...qrOptions, type: 'svg' })
+        : await QRCode.toBuffer(token, { ...qrOptions, type: 'png' });
+
+      if (cacheKey) {
+        await redisClient.set(cacheKey, format === 'png' ? body.toString('base64') : body, ttl);
+      }
+
+      return { contentType, body };
+    } catch (error) {
+      console.error('QR Code render error:', error);
+      throw new Error(`Failed to render QR code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the student's current rotating QR as a raw PNG / SVG
+   * The default look is cached until the window rotates.
+   * @param {Object} student - Student object with registration_no
+   * @param {Object} options - From parseRenderOptions
+   */
+  static async renderRotatingQRCode(student, options) {
+    const token = this.generateRotatingStudentToken(student);
+    return this.renderQRCode(token, options, {
+      key: this.getRotatingImageCacheKey(student.registration_no, this.getCurrentTimeWindow()),
+      ttl: this.ROTATION_INTERVAL_SECONDS
+    });
+  }
+
   /**
    * Verify Student QR Token (BACKWARD COMPATIBLE)
    * Supports both old (long) and new (optimized) token formats
@@ -410,8 +845,8 @@ class QRCodeService {
 
   /**
    * Verify Stall QR Token (BACKWARD COMPATIBLE)
-   * Supports: Simple format (STALL_*) and old JWT formats
-   * Returns: { valid, stall_number } or { valid: false, error }
+   * Supports: Signed simple format (STALL_*), unsigned legacy STALL_* (ALLOW_LEGACY_STALL_QR) and old JWT formats
+   * Returns: { valid, stall_number, legacy? } or { valid: false, error, legacy? } (legacy: unsigned code refused by the flag)
    */
   static verifyStallQRToken(token) {
     if (!token) {
@@ -419,17 +854,36 @@ class QRCodeService {
     }
 
     try {
-      // NEW SIMPLE FORMAT: STALL_{stall_number}_{timestamp}_{random_id}
+      // SIMPLE FORMAT: STALL_{stall_number}_{timestamp}_{random_id}[_{signature}]
+      // Parsed from the right so stall numbers may contain underscores
       if (token.startsWith('STALL_')) {
-        const parts = token.split('_');
-        if (parts.length >= 2) {
-          const stallNumber = parts[1];
+        const separator = token.lastIndexOf('_');
+        const payload = token.substring(0, separator);
+        const signature = token.substring(separator + 1);
+        const expectedSignature = this.signStallPayload(payload);
+
+        if (
+          signature.length === expectedSignature.length &&
+          crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))
+        ) {
           return {
             valid: true,
-            stall_number: stallNumber
+            stall_number: payload.split('_').slice(1, -2).join('_')
           };
         }
-        return { valid: false, error: 'Invalid stall QR format' };
+
+        // LEGACY UNSIGNED FORMAT: only trusted as far as the DB lookup that follows
+        const legacyMatch = /^STALL_(.+)_\d+_[a-z0-9]+$/.exec(token);
+        if (legacyMatch && this.ALLOW_LEGACY_STALL_QR) {
+          return {
+            valid: true,
+            stall_number: legacyMatch[1],
+            legacy: true
+          };
+        }
+        return legacyMatch
+          ? { valid: false, legacy: true, error: 'This stall QR code is no longer accepted - please use the reprinted code' }
+          : { valid: false, error: 'Invalid stall QR signature' };
       }
 
       // OLD JWT FORMAT: Backward compatibility
@@ -578,6 +1032,44 @@ class QRCodeService {
     }
   }
 
+  /**
+   * Regenerate Stall QR Code (leaked / damaged poster)
+   * The old token goes on the revocation list, so scanning the old poster reports
+   * "replaced" instead of "not found".
+   * Run inside a transaction (row is locked); clear the old image with
+   * clearQRCache(previous_token) after commit.
+   *
+   * @param {string} stallId - Stall UUID
+   * @param {Object} options - { reason, revokedBy } (revokedBy: admin id, null for scripts)
+   * @param {Function} sql - Transaction query function
+   * @returns {Promise<{ stall, qr_token, previous_token }|null>} null when the stall doesn't exist
+   */
+  static async regenerateStallQR(stallId, { reason = null, revokedBy = null } = {}, sql) {
+    const rows = await sql(`SELECT * FROM stalls WHERE id = $1 FOR UPDATE`, [stallId]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const stall = rows[0];
+    const token = this.generateStallQRToken(stall);
+
+    if (stall.qr_code_token) {
+      await StallQRRevocation.create({
+        stall_id: stall.id,
+        token: stall.qr_code_token,
+        reason,
+        revoked_by: revokedBy
+      }, sql);
+    }
+    await sql(`UPDATE stalls SET qr_code_token = $1, updated_at = NOW() WHERE id = $2`, [token, stall.id]);
+
+    return {
+      stall,
+      qr_token: token,
+      previous_token: stall.qr_code_token || null
+    };
+  }
+
   /**
    * Batch Generate QR Codes for Multiple Students
    * Production: Used during bulk student import
@@ -888,9 +1380,12 @@ class QRCodeService {
    */
   static async clearQRCache(token) {
     try {
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
-      const cacheKey = `qr:image:${tokenHash}`;
+      const cacheKey = this.getImageCacheKey(token);
       await redisClient.del(cacheKey);
+      // Raw SVG / PNG (only the default look is cached)
+      for (const format of Object.keys(this.RENDER_CONTENT_TYPES)) {
+        await redisClient.del(`${cacheKey}:${format}`);
+      }
       return true;
     } catch (error) {
       console.error('Clear QR cache error:', error);
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import { loadAdminScope, allowAdminRoles, canAccessSchool, resolveSchoolScope } from '../../middleware/adminScope.js';
+import Admin from '../../models/Admin.model.js';
+
+const superAdmin = { adminScope: { adminRole: 'SUPER_ADMIN', schoolId: null } };
+const coordinator = { adminScope: { adminRole: 'SCHOOL_COORDINATOR', schoolId: 'school-1' } };
+
+const fakeResponse = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+describe('canAccessSchool', () => {
+  test('unscoped admins reach every school, coordinators only their own', () => {
+    expect(canAccessSchool(superAdmin, 'school-2')).toBe(true);
+    expect(canAccessSchool(coordinator, 'school-1')).toBe(true);
+    expect(canAccessSchool(coordinator, 'school-2')).toBe(false);
+    expect(canAccessSchool(coordinator, null)).toBe(false);
+  });
+});
+
+describe('resolveSchoolScope', () => {
+  test('unscoped admins filter by the requested school, or none', () => {
+    expect(resolveSchoolScope(superAdmin, 'school-2')).toEqual({ schoolId: 'school-2', error: null });
+    expect(resolveSchoolScope(superAdmin, undefined)).toEqual({ schoolId: null, error: null });
+  });
+
+  test('coordinators are pinned to their school', () => {
+    expect(resolveSchoolScope(coordinator, undefined)).toEqual({ schoolId: 'school-1', error: null });
+    expect(resolveSchoolScope(coordinator, 'school-1')).toEqual({ schoolId: 'school-1', error: null });
+    expect(resolveSchoolScope(coordinator, 'school-2')).toEqual({ schoolId: null, error: 'You can only access your own school' });
+  });
+});
+
+describe('loadAdminScope / allowAdminRoles', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('school is only attached for coordinators', async () => {
+    jest.spyOn(Admin, 'findById').mockResolvedValue({ is_active: true, admin_role: 'VIEWER', school_id: 'school-1' });
+    const req = { user: { id: 'admin-1' } };
+    const next = jest.fn();
+
+    await loadAdminScope(req, fakeResponse(), next);
+
+    expect(req.adminScope).toEqual({ adminRole: 'VIEWER', schoolId: null });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('deactivated admins are refused', async () => {
+    jest.spyOn(Admin, 'findById').mockResolvedValue({ is_active: false, admin_role: 'SUPER_ADMIN' });
+    const res = fakeResponse();
+    const next = jest.fn();
+
+    await loadAdminScope({ user: { id: 'admin-1' } }, res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('roles outside the list are refused', () => {
+    const res = fakeResponse();
+    const next = jest.fn();
+
+    allowAdminRoles('SUPER_ADMIN')(coordinator, res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
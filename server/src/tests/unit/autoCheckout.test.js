@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import AutoCheckoutService, { parseClockTime } from '../../services/autoCheckout.js';
+
+describe('parseClockTime', () => {
+  test('converts HH:MM to minutes after midnight', () => {
+    expect(parseClockTime('00:00')).toBe(0);
+    expect(parseClockTime('09:05')).toBe(545);
+    expect(parseClockTime('18:00')).toBe(1080);
+    expect(parseClockTime('23:59')).toBe(1439);
+  });
+
+  test('rejects values that would compare wrongly or not parse', () => {
+    for (const value of ['9:00', '24:00', '18:60', '6pm', '18:00:00', '', undefined]) {
+      expect(() => parseClockTime(value)).toThrow('Invalid clock time');
+    }
+  });
+});
+
+describe('AutoCheckoutService', () => {
+  afterEach(() => {
+    AutoCheckoutService.stopScheduler();
+    AutoCheckoutService.lastRunDate = null;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('closing check compares minutes, not strings', () => {
+    expect(AutoCheckoutService.CLOSING_MINUTES).toBe(1080);
+    expect(AutoCheckoutService.isPastClosingTime('09:30')).toBe(false);
+    expect(AutoCheckoutService.isPastClosingTime('17:59')).toBe(false);
+    expect(AutoCheckoutService.isPastClosingTime('18:00')).toBe(true);
+    expect(AutoCheckoutService.isPastClosingTime('23:15')).toBe(true);
+  });
+
+  test('local clock is read in the event timezone', () => {
+    // 12:40 UTC = 18:10 IST
+    expect(AutoCheckoutService.getLocalClock(new Date('2025-11-24T12:40:00Z')))
+      .toEqual({ date: '2025-11-24', time: '18:10' });
+  });
+
+  test('scheduler runs once per day after closing time', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const run = jest.spyOn(AutoCheckoutService, 'run').mockResolvedValue({ closed: 0 });
+    const clock = jest.spyOn(AutoCheckoutService, 'getLocalClock');
+
+    AutoCheckoutService.startScheduler();
+
+    clock.mockReturnValue({ date: '2025-11-24', time: '17:59' });
+    await jest.advanceTimersByTimeAsync(AutoCheckoutService.CHECK_INTERVAL_MS);
+    expect(run).not.toHaveBeenCalled();
+
+    clock.mockReturnValue({ date: '2025-11-24', time: '18:00' });
+    await jest.advanceTimersByTimeAsync(AutoCheckoutService.CHECK_INTERVAL_MS);
+    clock.mockReturnValue({ date: '2025-11-24', time: '18:01' });
+    await jest.advanceTimersByTimeAsync(AutoCheckoutService.CHECK_INTERVAL_MS);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,80 @@
+import CheckInOut from '../../models/CheckInOut.model.js';
+
+// Scan row as findTimeline returns it
+const scan = (time, scanType, extra = {}) => new CheckInOut({
+  id: `${scanType}-${time}`,
+  scan_type: scanType,
+  scanned_at: `2026-03-01T${time}:00Z`,
+  gate_mode: 'TOGGLE',
+  is_system_generated: false,
+  is_conflict: false,
+  ...extra
+});
+
+const at = (time) => new Date(`2026-03-01T${time}:00Z`);
+
+describe('CheckInOut.placeLateScan', () => {
+  test('late scan in front of an ENTRY-gate row is a conflict and leaves the row as recorded', () => {
+    // Live ENTRY gate checked the student in; a TOGGLE device syncs an earlier offline scan afterwards
+    const entryGateRow = scan('12:00', 'CHECKIN', { gate_mode: 'ENTRY' });
+    const timeline = [entryGateRow];
+
+    const placement = CheckInOut.placeLateScan(timeline, at('11:00'));
+
+    expect(placement).toEqual({ scan_type: 'CHECKIN', is_conflict: true, resolves: null });
+    expect(entryGateRow.scan_type).toBe('CHECKIN');
+  });
+
+  test('late scan between live scans never swaps them', () => {
+    const timeline = [scan('09:00', 'CHECKIN'), scan('10:00', 'CHECKOUT'), scan('11:00', 'CHECKIN')];
+    const placement = CheckInOut.placeLateScan(timeline, at('09:30'));
+
+    expect(placement).toEqual({ scan_type: 'CHECKOUT', is_conflict: true, resolves: null });
+    expect(timeline.map(row => row.scan_type)).toEqual(['CHECKIN', 'CHECKOUT', 'CHECKIN']);
+  });
+
+  test('offline ENTRY + EXIT synced after a newer live scan fit as a pair', () => {
+    const timeline = [scan('09:00', 'CHECKIN'), scan('09:30', 'CHECKOUT'), scan('12:00', 'CHECKIN')];
+
+    // ENTRY at 10:00 on its own would leave two CHECKINs in a row
+    const entry = CheckInOut.placeLateScan(timeline, at('10:00'));
+    expect(entry).toEqual({ scan_type: 'CHECKIN', is_conflict: true, resolves: null });
+
+    // The EXIT at 11:00 completes it
+    const lateEntry = scan('10:00', 'CHECKIN', { is_conflict: true });
+    const withEntry = [timeline[0], timeline[1], lateEntry, timeline[2]];
+    expect(CheckInOut.placeLateScan(withEntry, at('11:00'))).toEqual({ scan_type: 'CHECKOUT', is_conflict: false, resolves: lateEntry });
+  });
+
+  test('late scan from an ENTRY / EXIT gate keeps the gate type', () => {
+    const timeline = [scan('09:00', 'CHECKIN'), scan('09:30', 'CHECKOUT'), scan('12:00', 'CHECKIN')];
+
+    // A TOGGLE device would have made this a CHECKIN - the EXIT gate says otherwise
+    expect(CheckInOut.placeLateScan(timeline, at('10:00'), 'CHECKOUT')).toEqual({ scan_type: 'CHECKOUT', is_conflict: true, resolves: null });
+    expect(CheckInOut.placeLateScan(timeline, at('09:15'), 'CHECKIN')).toEqual({ scan_type: 'CHECKIN', is_conflict: true, resolves: null });
+  });
+
+  test('late scan before all history must be a CHECKIN', () => {
+    const timeline = [scan('10:00', 'CHECKIN'), scan('11:00', 'CHECKOUT')];
+    expect(CheckInOut.placeLateScan(timeline, at('09:00')).is_conflict).toBe(true);
+  });
+});
+
+describe('CheckInOut.canDeleteFromTimeline', () => {
+  const timeline = [
+    scan('09:00', 'CHECKIN'),
+    scan('10:00', 'CHECKOUT', { is_system_generated: true }),
+    scan('10:30', 'CHECKIN', { is_conflict: true }),
+    scan('11:00', 'CHECKIN')
+  ];
+
+  test('middle scans cannot be deleted', () => {
+    expect(CheckInOut.canDeleteFromTimeline(timeline, 'CHECKIN-09:00')).toBe(false);
+    expect(CheckInOut.canDeleteFromTimeline(timeline, 'CHECKOUT-10:00')).toBe(false);
+  });
+
+  test('latest scan and conflict rows can be deleted', () => {
+    expect(CheckInOut.canDeleteFromTimeline(timeline, 'CHECKIN-11:00')).toBe(true);
+    expect(CheckInOut.canDeleteFromTimeline(timeline, 'CHECKIN-10:30')).toBe(true);
+  });
+});
@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import LiveFeedService from '../../services/liveFeed.js';
+import Student from '../../models/Student.model.js';
+
+// Subscriber whose writes are parsed back into { event, data }
+const subscriber = (role) => {
+  const events = [];
+  const res = {
+    write(chunk) {
+      const event = /event: (\w+)\ndata: (.*)\n/.exec(chunk);
+      if (event) events.push({ event: event[1], data: JSON.parse(event[2]) });
+    }
+  };
+  return { client: { res, user: { id: `${role}-1`, role } }, events };
+};
+
+const scan = {
+  action: 'ENTRY',
+  registration_no: '23FET0001',
+  full_name: 'Asha Rao',
+  school_name: 'School of Engineering',
+  location: 'Gate 1'
+};
+
+describe('LiveFeedService.publish', () => {
+  afterEach(() => {
+    LiveFeedService.clients.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('admins see who scanned, volunteers only see the gate activity', async () => {
+    jest.spyOn(Student, 'countInsideEvent').mockResolvedValue(42);
+    const admin = subscriber('ADMIN');
+    const volunteer = subscriber('VOLUNTEER');
+    LiveFeedService.clients.add(admin.client);
+    LiveFeedService.clients.add(volunteer.client);
+
+    await LiveFeedService.publish(LiveFeedService.EVENT_TYPES.SCAN, scan);
+
+    expect(admin.events[0].data).toMatchObject({ ...scan, inside_count: 42 });
+    expect(volunteer.events[0].event).toBe('scan');
+    expect(volunteer.events[0].data).toMatchObject({ action: 'ENTRY', location: 'Gate 1', inside_count: 42 });
+    expect(volunteer.events[0].data).not.toHaveProperty('registration_no');
+    expect(volunteer.events[0].data).not.toHaveProperty('full_name');
+  });
+});
@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import { loadMigrations, migrateUp, migrateDown } from '../../migrations/migrator.js';
+
+// pg.Client stand-in: keeps schema_migrations in memory and logs every other statement
+const fakeClient = ({ applied = [], failOn = null } = {}) => {
+  let rows = applied.map((row, i) => ({ id: i + 1, ...row }));
+  let pending = null;
+  const executed = [];
+
+  const client = {
+    executed,
+    applied: () => rows.map(({ name, batch }) => ({ name, batch })),
+    async query(text, params = []) {
+      if (text === 'BEGIN') { pending = [...rows]; return { rows: [] }; }
+      if (text === 'COMMIT') { pending = null; return { rows: [] }; }
+      if (text === 'ROLLBACK') { rows = pending; pending = null; return { rows: [] }; }
+      if (text.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) return { rows: [] };
+      if (text.startsWith('SELECT name, batch')) return { rows: [...rows] };
+      if (text.includes('MAX(batch)')) {
+        return { rows: [{ next_batch: Math.max(0, ...rows.map(r => r.batch)) + 1 }] };
+      }
+      if (text.startsWith('INSERT INTO schema_migrations')) {
+        rows.push({ id: rows.length + 1, name: params[0], batch: params[1] });
+        return { rows: [] };
+      }
+      if (text.startsWith('DELETE FROM schema_migrations')) {
+        rows = rows.filter(r => r.name !== params[0]);
+        return { rows: [] };
+      }
+      executed.push(text);
+      if (failOn && text.includes(failOn)) throw new Error('syntax error');
+      return { rows: [] };
+    }
+  };
+  return client;
+};
+
+describe('migrator', () => {
+  let migrations;
+
+  beforeAll(async () => {
+    migrations = await loadMigrations();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('migration files load as ordered up/down pairs', () => {
+    const names = migrations.map(m => m.name);
+
+    expect(names[0]).toMatch(/^001_/);
+    expect(names).toEqual([...names].sort());
+    expect(new Set(migrations.map(m => m.version)).size).toBe(migrations.length);
+    for (const migration of migrations) {
+      expect(migration.upPath).toMatch(/\.up\.sql$/);
+      expect(migration.downPath).toMatch(/\.down\.sql$/);
+    }
+  });
+
+  test('up applies only pending migrations as one new batch', async () => {
+    const client = fakeClient({ applied: [{ name: migrations[0].name, batch: 1 }] });
+
+    const result = await migrateUp(client);
+
+    expect(result.batch).toBe(2);
+    expect(result.applied).toEqual(migrations.slice(1).map(m => m.name));
+    expect(client.executed).toHaveLength(migrations.length - 1);
+    expect(await migrateUp(client)).toEqual({ batch: null, applied: [] });
+  });
+
+  test('a failing migration is rolled back and stops the run', async () => {
+    const client = fakeClient({ failOn: 'CREATE' });
+
+    await expect(migrateUp(client)).rejects.toThrow(`Migration ${migrations[0].name} failed: syntax error`);
+    expect(client.applied()).toEqual([]);
+  });
+
+  test('down reverts the last batch newest first', async () => {
+    const [first, second, third] = migrations;
+    const client = fakeClient({
+      applied: [{ name: first.name, batch: 1 }, { name: second.name, batch: 2 }, { name: third.name, batch: 2 }]
+    });
+
+    expect(await migrateDown(client)).toEqual({ reverted: [third.name, second.name] });
+    expect(client.applied()).toEqual([{ name: first.name, batch: 1 }]);
+  });
+
+  test('down with steps reverts across batches', async () => {
+    const [first, second] = migrations;
+    const client = fakeClient({ applied: [{ name: first.name, batch: 1 }, { name: second.name, batch: 2 }] });
+
+    expect(await migrateDown(client, { steps: 2 })).toEqual({ reverted: [second.name, first.name] });
+    expect(client.applied()).toEqual([]);
+  });
+
+  test('down refuses to revert a migration whose files are gone', async () => {
+    const client = fakeClient({ applied: [{ name: '999_removed', batch: 1 }] });
+
+    await expect(migrateDown(client)).rejects.toThrow('Cannot roll back 999_removed');
+  });
+});
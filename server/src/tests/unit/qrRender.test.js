@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import QRCodeService from '../../services/qrCode.js';
+import redisClient from '../../config/redis.js';
+
+const defaults = QRCodeService.STATIC_RENDER_DEFAULTS;
+
+describe('QRCodeService.parseRenderOptions', () => {
+  test('no query gives the default look', () => {
+    const { options, error } = QRCodeService.parseRenderOptions({}, defaults);
+
+    expect(error).toBeNull();
+    expect(options).toEqual({
+      format: 'png', size: 400, margin: 4, ecl: 'H', dark: '#000000', light: '#FFFFFF', isDefault: true
+    });
+  });
+
+  test('listed choices are accepted but are not the default look', () => {
+    const { options, error } = QRCodeService.parseRenderOptions(
+      { format: 'SVG', size: '256', margin: '0', ecl: 'q', palette: 'inverted' },
+      defaults
+    );
+
+    expect(error).toBeNull();
+    expect(options).toMatchObject({ format: 'svg', size: 256, margin: 0, ecl: 'Q', dark: '#FFFFFF', isDefault: false });
+  });
+
+  test('the format alone keeps the default look', () => {
+    expect(QRCodeService.parseRenderOptions({ format: 'svg' }, defaults).options.isDefault).toBe(true);
+  });
+
+  test.each([
+    [{ format: 'gif' }, /format/],
+    [{ size: '401' }, /size must be one of/],
+    [{ size: '2048' }, /size must be one of/],
+    [{ margin: '16' }, /margin must be one of/],
+    [{ ecl: 'X' }, /ecl/],
+    [{ palette: 'ff0000' }, /palette must be one of/],
+    [{ palette: 'constructor' }, /palette must be one of/]
+  ])('%j is refused', (params, message) => {
+    const { options, error } = QRCodeService.parseRenderOptions(params, defaults);
+
+    expect(options).toBeNull();
+    expect(error).toMatch(message);
+  });
+
+  test('repeated query params are refused', () => {
+    const { options, error } = QRCodeService.parseRenderOptions({ size: ['128', '256'] }, defaults);
+
+    expect(options).toBeNull();
+    expect(error).toMatch(/size/);
+  });
+});
+
+describe('QRCodeService.renderQRCode caching', () => {
+  beforeEach(() => {
+    jest.spyOn(redisClient, 'get').mockResolvedValue(null);
+    jest.spyOn(redisClient, 'set').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('default look is cached per format', async () => {
+    const { options } = QRCodeService.parseRenderOptions({ format: 'svg' }, defaults);
+    const image = await QRCodeService.renderQRCode('STALL_CS-001_1_abc', options, { key: 'qr:image:test' });
+
+    expect(image.contentType).toBe('image/svg+xml');
+    expect(redisClient.set).toHaveBeenCalledWith('qr:image:test:svg', image.body, 86400);
+  });
+
+  test('other variants are rendered without touching the cache', async () => {
+    const { options } = QRCodeService.parseRenderOptions({ size: '128', palette: 'transparent' }, defaults);
+    const image = await QRCodeService.renderQRCode('STALL_CS-001_1_abc', options, { key: 'qr:image:test' });
+
+    expect(Buffer.isBuffer(image.body)).toBe(true);
+    expect(redisClient.get).not.toHaveBeenCalled();
+    expect(redisClient.set).not.toHaveBeenCalled();
+  });
+});
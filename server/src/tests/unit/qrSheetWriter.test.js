@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+import { PassThrough } from 'stream';
+import { QR_SHEETS, streamQRSheetArchive } from '../../utils/qrSheetWriter.js';
+import QRCodeService from '../../services/qrCode.js';
+
+// Response stand-in: a stream with the header API, read by the test like a client would
+class FakeResponse extends PassThrough {
+  constructor() {
+    super();
+    this.headers = {};
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value;
+  }
+}
+
+const stalls = (count) => Array.from({ length: count }, (_, i) => ({
+  stall_number: `CS-${i}`,
+  stall_name: `Stall ${i}`,
+  school_name: 'School of Engineering',
+  qr_code_token: `STALL_CS-${i}_1_abc`
+}));
+
+describe('streamQRSheetArchive', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('streams a ZIP with one PDF per sheet', async () => {
+    const res = new FakeResponse();
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    const ended = new Promise(resolve => res.once('end', resolve));
+
+    await streamQRSheetArchive(res, { filename: 'qr', sheets: [{ sheet: QR_SHEETS.posters, rows: stalls(1) }] });
+    await ended;
+
+    const zip = Buffer.concat(chunks);
+    expect(res.headers['Content-Type']).toBe('application/zip');
+    expect(zip.subarray(0, 2).toString()).toBe('PK');
+    expect(zip.includes(Buffer.from('stall-posters.pdf'))).toBe(true);
+  }, 30000); // First PDF loads pdfkit's fonts - slow on a cold, instrumented run
+
+  test('client disconnect mid-sheet stops rendering and resolves', async () => {
+    const res = new FakeResponse();
+    res.resume();
+    const render = jest.spyOn(QRCodeService, 'generateQRCodeBuffer');
+    render.mockImplementation(async (...args) => {
+      if (render.mock.calls.length === 2) res.destroy();
+      return (await import('qrcode')).default.toBuffer(args[0]);
+    });
+
+    await streamQRSheetArchive(res, { filename: 'qr', sheets: [{ sheet: QR_SHEETS.posters, rows: stalls(50) }] });
+
+    expect(render.mock.calls.length).toBeLessThan(5);
+  });
+
+  test('a PDF error aborts the archive and is thrown instead of leaving the download hanging', async () => {
+    const res = new FakeResponse();
+    res.resume();
+    const broken = {
+      ...QR_SHEETS.posters,
+      render: async (doc) => {
+        doc.emit('error', new Error('render failed'));
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    await expect(
+      streamQRSheetArchive(res, { filename: 'qr', sheets: [{ sheet: broken, rows: stalls(1) }] })
+    ).rejects.toThrow('render failed');
+  });
+});
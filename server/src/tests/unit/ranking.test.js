@@ -0,0 +1,56 @@
+import Ranking from '../../models/Ranking.model.js';
+
+// Transaction query function that records statements and answers the student lock
+const fakeTransaction = (student) => {
+  const statements = [];
+  const sql = async (text, params) => {
+    statements.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+    if (text.includes('FOR UPDATE')) return student ? [student] : [];
+    if (text.includes('INSERT INTO rankings')) {
+      return params.reduce((rows, value, i) => {
+        if (i % 3 === 0) rows.push({ student_id: value, stall_id: params[i + 1], rank: params[i + 2] });
+        return rows;
+      }, []);
+    }
+    return [];
+  };
+  return { sql, statements };
+};
+
+const rankings = [
+  { stall_id: 'stall-b', rank: 2 },
+  { stall_id: 'stall-a', rank: 1 },
+  { stall_id: 'stall-c', rank: 3 }
+];
+
+describe('Ranking.submitStudentRankings', () => {
+  test('writes ranks, marks the student as done and counts the votes on each stall', async () => {
+    const { sql, statements } = fakeTransaction({ has_completed_ranking: false });
+
+    const rows = await Ranking.submitStudentRankings('student-1', rankings, sql);
+
+    expect(rows.map(row => [row.stall_id, row.rank])).toEqual([['stall-b', 2], ['stall-a', 1], ['stall-c', 3]]);
+    expect(statements.some(s => s.text.includes("selected_category = 'CATEGORY_2'"))).toBe(true);
+
+    const stallUpdates = statements.filter(s => s.text.startsWith('UPDATE stalls'));
+    expect(stallUpdates.map(s => [s.params[0], s.text.match(/SET (rank_\d_votes)/)[1], s.params[1]])).toEqual([
+      ['stall-b', 'rank_2_votes', 3],
+      ['stall-a', 'rank_1_votes', 5],
+      ['stall-c', 'rank_3_votes', 1]
+    ]);
+  });
+
+  test('second submission writes nothing', async () => {
+    const { sql, statements } = fakeTransaction({ has_completed_ranking: true });
+
+    expect(await Ranking.submitStudentRankings('student-1', rankings, sql)).toBeNull();
+    expect(statements).toHaveLength(1);
+  });
+
+  test('missing student writes nothing', async () => {
+    const { sql, statements } = fakeTransaction(null);
+
+    expect(await Ranking.submitStudentRankings('student-1', rankings, sql)).toBeNull();
+    expect(statements).toHaveLength(1);
+  });
+});
@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+import QRCodeService from '../../services/qrCode.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const student = { registration_no: '23FET0001' };
+const windowMs = () => QRCodeService.ROTATION_INTERVAL_SECONDS * 1000;
+
+describe('rotating student tokens', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('JWT is the default format', () => {
+    expect(QRCodeService.ROTATING_TOKEN_FORMAT).toBe('jwt');
+    expect(QRCodeService.generateRotatingStudentToken(student).startsWith(QRCodeService.COMPACT_TOKEN_PREFIX)).toBe(false);
+  });
+
+  test('compact token round-trips through the shared verifier', () => {
+    const timeWindow = QRCodeService.getCurrentTimeWindow();
+    const token = QRCodeService.generateCompactRotatingToken(student.registration_no, timeWindow);
+
+    expect(token).toMatch(/^RS1:[A-Z2-7]+$/);
+    expect(QRCodeService.verifyRotatingStudentToken(token)).toEqual({
+      valid: true,
+      registration_no: student.registration_no,
+      time_window: timeWindow,
+      isStatic: false
+    });
+  });
+
+  test('JWT token round-trips with the same result shape', () => {
+    const timeWindow = QRCodeService.getCurrentTimeWindow();
+    const token = QRCodeService.generateJwtRotatingToken(student.registration_no, timeWindow);
+
+    expect(QRCodeService.verifyRotatingStudentToken(token)).toMatchObject({
+      valid: true, registration_no: student.registration_no, time_window: timeWindow
+    });
+  });
+
+  test('tampered compact token is refused', () => {
+    const timeWindow = QRCodeService.getCurrentTimeWindow();
+    const token = QRCodeService.generateCompactRotatingToken(student.registration_no, timeWindow);
+    const forged = QRCodeService.generateCompactRotatingToken('23FET0002', timeWindow);
+    // Window + MAC of one student with the registration number of another
+    const spliced = token.substring(0, 4 + 20) + forged.substring(4 + 20);
+
+    expect(QRCodeService.verifyRotatingStudentToken(spliced).valid).toBe(false);
+    expect(QRCodeService.verifyRotatingStudentToken('RS1:AAAA').valid).toBe(false);
+    expect(QRCodeService.verifyRotatingStudentToken('RS1:not base32!').valid).toBe(false);
+  });
+
+  test('token expires after the grace windows and verifies as of an earlier scan time', () => {
+    const now = Date.now();
+    const timeWindow = QRCodeService.getCurrentTimeWindow(now);
+    const token = QRCodeService.generateCompactRotatingToken(student.registration_no, timeWindow);
+    const later = now + (QRCodeService.GRACE_PERIOD_WINDOWS + 1) * windowMs();
+
+    expect(QRCodeService.verifyRotatingStudentToken(token, { at: later })).toEqual({ valid: false, expired: true });
+    expect(QRCodeService.verifyRotatingStudentToken(token, { at: now }).valid).toBe(true);
+  });
+
+  test('token from a window well ahead of the clock is refused', () => {
+    const now = Date.now();
+    const aheadWindow = QRCodeService.getCurrentTimeWindow(now) + 2;
+    const token = QRCodeService.generateCompactRotatingToken(student.registration_no, aheadWindow);
+
+    expect(QRCodeService.verifyRotatingStudentToken(token, { at: now })).toEqual({ valid: false, expired: true });
+  });
+});
@@ -0,0 +1,96 @@
+import { EventEmitter } from 'events';
+import { createSpreadsheetStream, iterateInBatches, toCsvCell } from '../../utils/spreadsheetWriter.js';
+
+// Response whose buffer is always full until it drains or closes
+class SlowResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.chunks = [];
+    this.writableNeedDrain = false;
+    this.destroyed = false;
+  }
+
+  setHeader() {}
+
+  write(chunk) {
+    this.chunks.push(chunk);
+    this.writableNeedDrain = true;
+    return false;
+  }
+
+  end() {}
+
+  disconnect() {
+    this.destroyed = true;
+    this.emit('close');
+  }
+}
+
+const columns = [{ header: 'Name', key: 'name' }];
+
+describe('iterateInBatches', () => {
+  test('cursor carries the sort key and id of the previous page', async () => {
+    const rows = [1, 2, 3, 4, 5].map(n => ({ id: `id-${n}`, sort_key: `2026-03-01 10:00:0${n}+00`, n }));
+    const cursors = [];
+    const fetchPage = async (after, limit) => {
+      cursors.push(after);
+      const start = after ? rows.findIndex(row => row.sort_key > after.sort_key) : 0;
+      return start === -1 ? [] : rows.slice(start, start + limit);
+    };
+
+    const seen = [];
+    for await (const row of iterateInBatches(fetchPage, 2)) seen.push(row.n);
+
+    expect(seen).toEqual([1, 2, 3, 4, 5]);
+    expect(cursors).toEqual([
+      null,
+      { sort_key: rows[1].sort_key, id: 'id-2' },
+      { sort_key: rows[3].sort_key, id: 'id-4' }
+    ]);
+  });
+
+  test('stops after a short page', async () => {
+    let calls = 0;
+    const fetchPage = async () => { calls++; return [{ id: 'a', sort_key: 'x' }]; };
+
+    for await (const row of iterateInBatches(fetchPage, 2)) expect(row.id).toBe('a');
+    expect(calls).toBe(1);
+  });
+});
+
+describe('createSpreadsheetStream', () => {
+  test('addRow waits for drain', async () => {
+    const res = new SlowResponse();
+    const sheet = createSpreadsheetStream(res, { format: 'csv', filename: 'test', columns });
+
+    let written = false;
+    const pending = sheet.addRow({ name: 'A' }).then(() => { written = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(written).toBe(false);
+
+    res.writableNeedDrain = false;
+    res.emit('drain');
+    await pending;
+    expect(res.listenerCount('close')).toBe(0);
+  });
+
+  test('addRow returns when the client disconnects with a full buffer', async () => {
+    const res = new SlowResponse();
+    const sheet = createSpreadsheetStream(res, { format: 'csv', filename: 'test', columns });
+
+    const pending = sheet.addRow({ name: 'A' });
+    res.disconnect();
+    await pending;
+
+    expect(res.destroyed).toBe(true);
+    expect(res.listenerCount('drain')).toBe(0);
+  });
+});
+
+describe('toCsvCell', () => {
+  test('neutralises formulas and quotes separators', () => {
+    expect(toCsvCell('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(toCsvCell('a,"b"')).toBe('"a,""b"""');
+    expect(toCsvCell(null)).toBe('');
+  });
+});
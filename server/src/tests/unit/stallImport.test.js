@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import adminController from '../../controllers/admin.controller.js';
+import Stall from '../../models/Stall.model.js';
+import School from '../../models/School.model.js';
+import QRCodeService from '../../services/qrCode.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const school = { id: 'school-1', school_name: 'Faculty of Engineering & Technology' };
+
+const importSheet = async (lines, queryParams = {}) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const file = { buffer: Buffer.from(lines.join('\n')), originalname: 'stalls.csv', mimetype: 'text/csv' };
+  await adminController.importStalls({ file, query: queryParams, body: {} }, res, (error) => { throw error; });
+  return res;
+};
+
+describe('importStalls', () => {
+  let bulkCreate;
+
+  beforeEach(() => {
+    jest.spyOn(School, 'findByName').mockImplementation(async (name) => (name === school.school_name ? school : null));
+    // CS-002 already exists - ON CONFLICT skips it
+    bulkCreate = jest.spyOn(Stall, 'bulkCreate').mockImplementation(async (stalls) => stalls
+      .filter(stall => stall.stall_number !== 'CS-002')
+      .map((stall, i) => ({ ...stall, id: `stall-${i}` })));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports every row and issues signed QR tokens for new stalls', async () => {
+    const res = await importSheet([
+      'Stall No,Project Name,School,Block',
+      `CS-001,Smart Bins,${school.school_name},A`,
+      `CS-002,Solar Car,${school.school_name},A`,
+      `CS-001,Duplicate,${school.school_name},A`,
+      'CS-003,Robot Arm,School of Magic,B',
+      `,Nameless,${school.school_name},B`
+    ]);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({ total_rows: 5, inserted: 1, updated: 0, skipped: 1, failed: 3 });
+    expect(res.body.data.rows.map(r => [r.row, r.status, r.reason])).toEqual([
+      [2, 'inserted', undefined],
+      [3, 'skipped', 'Stall number already exists'],
+      [4, 'failed', 'Duplicate stall number in file'],
+      [5, 'failed', 'Unknown school: School of Magic'],
+      [6, 'failed', 'Stall number is required']
+    ]);
+    expect(QRCodeService.verifyStallQRToken(res.body.data.rows[0].qr_code_token)).toEqual({ valid: true, stall_number: 'CS-001' });
+  });
+
+  test('update_existing updates conflicting stalls and keeps their QR token', async () => {
+    jest.spyOn(Stall, 'findByStallNumber').mockResolvedValue({ id: 'stall-2', qr_code_token: 'kept' });
+    const update = jest.spyOn(Stall, 'update').mockImplementation(async (id, data) => ({ id, ...data }));
+
+    const res = await importSheet([
+      'stall_number,stall_name,school_name',
+      `CS-002,Solar Car v2,${school.school_name}`
+    ], { update_existing: 'true' });
+
+    expect(res.body.data.rows).toEqual([{ row: 2, stall_number: 'CS-002', status: 'updated', stall_id: 'stall-2' }]);
+    expect(update.mock.calls[0][1]).not.toHaveProperty('qr_code_token');
+    expect(bulkCreate).toHaveBeenCalledTimes(1);
+  });
+});
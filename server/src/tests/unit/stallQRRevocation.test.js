@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import volunteerController from '../../controllers/volunteer.controller.js';
+import QRCodeService from '../../services/qrCode.js';
+import Stall from '../../models/Stall.model.js';
+import StallQRRevocation from '../../models/StallQRRevocation.model.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const scanStall = async (token) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await volunteerController.scanStallQR({ body: { qr_code_token: token } }, res, (error) => { throw error; });
+  return res;
+};
+
+const revocation = new StallQRRevocation({ stall_number: 'CS-001', token: 'old' });
+
+describe('scanStallQR revocation lookup', () => {
+  const allowLegacy = QRCodeService.ALLOW_LEGACY_STALL_QR;
+  let findRevocation;
+
+  beforeEach(() => {
+    findRevocation = jest.spyOn(StallQRRevocation, 'findByToken').mockResolvedValue(revocation);
+    jest.spyOn(Stall, 'findByQRToken').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    QRCodeService.ALLOW_LEGACY_STALL_QR = allowLegacy;
+  });
+
+  test('forged tokens are refused before any database lookup', async () => {
+    const res = await scanStall('STALL_CS-001_1763272340083_abc123_0000000000000000');
+
+    expect(res.statusCode).toBe(400);
+    expect(findRevocation).not.toHaveBeenCalled();
+    expect(Stall.findByQRToken).not.toHaveBeenCalled();
+  });
+
+  test('revoked signed token reports the replacement', async () => {
+    const res = await scanStall(QRCodeService.generateStallQRToken({ stall_number: 'CS-001' }));
+
+    expect(res.statusCode).toBe(410);
+    expect(res.body.message).toMatch(/replaced.*CS-001/);
+  });
+
+  test('revoked legacy token reports the replacement once legacy codes are refused', async () => {
+    QRCodeService.ALLOW_LEGACY_STALL_QR = false;
+    const res = await scanStall('STALL_CS-001_1763272340083_abc123');
+
+    expect(res.statusCode).toBe(410);
+    expect(findRevocation).toHaveBeenCalledWith('STALL_CS-001_1763272340083_abc123', expect.any(Function));
+  });
+
+  test('unrevoked legacy token keeps the reprint error', async () => {
+    QRCodeService.ALLOW_LEGACY_STALL_QR = false;
+    findRevocation.mockResolvedValue(null);
+    const res = await scanStall('STALL_CS-001_1763272340083_abc123');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/no longer accepted/);
+  });
+});
@@ -0,0 +1,39 @@
+import QRCodeService from '../../services/qrCode.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+describe('stall QR token signing', () => {
+  const allowLegacy = QRCodeService.ALLOW_LEGACY_STALL_QR;
+
+  afterEach(() => {
+    QRCodeService.ALLOW_LEGACY_STALL_QR = allowLegacy;
+  });
+
+  test('signed token verifies, including stall numbers with underscores', () => {
+    const token = QRCodeService.generateStallQRToken({ stall_number: 'CS_LAB-01' }, { timestamp: 1763272340083, randomId: '4am2ghcnl' });
+
+    expect(token).toMatch(/^STALL_CS_LAB-01_1763272340083_4am2ghcnl_[0-9a-f]+$/);
+    expect(QRCodeService.verifyStallQRToken(token)).toEqual({ valid: true, stall_number: 'CS_LAB-01' });
+  });
+
+  test('changing the stall number or signature is refused', () => {
+    QRCodeService.ALLOW_LEGACY_STALL_QR = false; // A mangled signature can look like a legacy random id
+    const token = QRCodeService.generateStallQRToken({ stall_number: 'CS-001' }, { randomId: '4am2ghcnl' });
+    const signature = token.substring(token.lastIndexOf('_') + 1);
+    const flipped = signature.replace(/^./, char => (char === '0' ? '1' : '0'));
+
+    expect(QRCodeService.verifyStallQRToken(token.replace('CS-001', 'CS-002'))).toEqual({ valid: false, error: 'Invalid stall QR signature' });
+    expect(QRCodeService.verifyStallQRToken(token.replace(signature, flipped)).valid).toBe(false);
+    expect(QRCodeService.verifyStallQRToken(`${token}0`).valid).toBe(false);
+  });
+
+  test('unsigned legacy tokens are accepted only while ALLOW_LEGACY_STALL_QR is on', () => {
+    const legacy = 'STALL_CS-001_1763272340083_4am2ghcnl';
+
+    QRCodeService.ALLOW_LEGACY_STALL_QR = true;
+    expect(QRCodeService.verifyStallQRToken(legacy)).toEqual({ valid: true, stall_number: 'CS-001', legacy: true });
+
+    QRCodeService.ALLOW_LEGACY_STALL_QR = false;
+    expect(QRCodeService.verifyStallQRToken(legacy)).toMatchObject({ valid: false, legacy: true });
+  });
+});
@@ -0,0 +1,13 @@
+import Student from '../../models/Student.model.js';
+
+describe('Student.getScanDeniedReason', () => {
+  test('inactive students cannot be scanned', () => {
+    const student = new Student({ registration_no: '23FET0001', is_active: false });
+    expect(student.getScanDeniedReason()).toMatch(/deactivated/);
+  });
+
+  test('active students can be scanned', () => {
+    const student = new Student({ registration_no: '23FET0001', is_active: true });
+    expect(student.getScanDeniedReason()).toBeNull();
+  });
+});
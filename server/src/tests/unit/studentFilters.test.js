@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+import adminController from '../../controllers/admin.controller.js';
+import Student from '../../models/Student.model.js';
+
+const SCHOOL_ID = '0b5e2a58-6f1d-4c3e-9a3b-2f6d8e1c7a40';
+
+const listStudents = async (queryParams) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await adminController.getAllStudents({ query: queryParams, adminScope: {} }, res, (error) => { throw error; });
+  return res;
+};
+
+describe('getAllStudents filters', () => {
+  let search;
+
+  beforeEach(() => {
+    search = jest.spyOn(Student, 'search').mockResolvedValue([]);
+    jest.spyOn(Student, 'countSearch').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('valid filters reach the search', async () => {
+    const res = await listStudents({ q: ' asha ', school_id: SCHOOL_ID, min_feedback: '2', is_active: 'true' });
+
+    expect(res.statusCode).toBe(200);
+    expect(search.mock.calls[0][0]).toEqual({ q: 'asha', school_id: SCHOOL_ID, min_feedback: 2, is_active: true });
+  });
+
+  test('repeated params are a 400, not a 500', async () => {
+    const res = await listStudents({ batch: ['2023', '2024'], min_feedback: ['1', '2'] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['batch', 'min_feedback']);
+    expect(search).not.toHaveBeenCalled();
+  });
+
+  test('school_id must be a UUID', async () => {
+    const res = await listStudents({ school_id: 'engineering' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'school_id', message: 'school_id must be a UUID' }]);
+    expect(search).not.toHaveBeenCalled();
+  });
+});
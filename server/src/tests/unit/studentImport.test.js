@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+import adminController from '../../controllers/admin.controller.js';
+import Student from '../../models/Student.model.js';
+import School from '../../models/School.model.js';
+import { normalizeHeader, toDateString } from '../../utils/excelParser.js';
+
+const school = { id: 'school-1', school_name: 'Faculty of Engineering & Technology' };
+
+const csv = (lines) => ({ buffer: Buffer.from(lines.join('\n')), originalname: 'roster.csv', mimetype: 'text/csv' });
+
+const importRoster = async (file, dryRun = true) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await adminController.importStudents({ file, query: { dry_run: String(dryRun) }, body: {} }, res, (error) => { throw error; });
+  return res;
+};
+
+const HEADER = 'Reg. No,Name,Email,DOB,Pin Code,School';
+
+describe('excelParser', () => {
+  test('normalizes header variants', () => {
+    expect(normalizeHeader(' Reg. No ')).toBe('reg_no');
+    expect(normalizeHeader('Date of Birth')).toBe('date_of_birth');
+  });
+
+  test('reads day-first, ISO and Excel serial dates', () => {
+    expect(toDateString('5/3/2004')).toBe('2004-03-05');
+    expect(toDateString('2004-03-05')).toBe('2004-03-05');
+    expect(toDateString(38051)).toBe('2004-03-05');
+    expect(toDateString('not a date')).toBeNull();
+  });
+});
+
+describe('importStudents dry run', () => {
+  beforeEach(() => {
+    jest.spyOn(School, 'findAll').mockResolvedValue([school]);
+    jest.spyOn(Student, 'findExistingIdentifiers').mockResolvedValue({
+      registrationNos: new Set(['23FET0009']),
+      emails: new Set()
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports row-level errors and writes nothing', async () => {
+    const bulkCreate = jest.spyOn(Student, 'bulkCreate');
+    const res = await importRoster(csv([
+      HEADER,
+      `23FET0001,Asha Rao,asha@sgtu.ac.in,05-03-2004,122505,${school.school_name}`,
+      `23FET0001,Ravi Kumar,ravi@sgtu.ac.in,06-03-2004,122505,${school.school_name}`,
+      `23FET0009,Meera Das,meera@sgtu.ac.in,07-03-2004,12250,School of Magic`
+    ]));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({ dry_run: true, total_rows: 3, valid_rows: 1, invalid_rows: 2 });
+    expect(res.body.data.errors.map(e => [e.row, e.field, e.message])).toEqual([
+      [3, 'registration_no', 'Duplicate registration number in file'],
+      [4, 'pincode', 'Pincode must be exactly 6 digits'],
+      [4, 'school_name', 'Unknown school: School of Magic'],
+      [4, 'registration_no', 'Student already exists']
+    ]);
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('missing required columns are a 400', async () => {
+    const res = await importRoster(csv(['Reg. No,Name', '23FET0001,Asha Rao']));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.missing_columns).toEqual(['email', 'date_of_birth', 'pincode', 'school_name']);
+  });
+
+  test('an invalid row blocks the real import', async () => {
+    const bulkCreate = jest.spyOn(Student, 'bulkCreate');
+    const res = await importRoster(csv([HEADER, `23FET0001,Asha Rao,not-an-email,05-03-2004,122505,${school.school_name}`]), false);
+
+    expect(res.statusCode).toBe(422);
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,37 @@
+import { jest } from '@jest/globals';
+import { buildStudents, seedStudents } from '../../seeders/student.seeder.js';
+import { createRandom } from '../../seeders/random.js';
+import { SCHOOLS } from '../../seeders/data.js';
+import Student from '../../models/Student.model.js';
+
+const schools = SCHOOLS.slice(0, 2).map((school, i) => ({ ...school, id: `school-${i}` }));
+const SEED = 7;
+const COUNT = 40;
+
+describe('seedStudents', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('same seed builds the same roster', () => {
+    expect(buildStudents(schools, createRandom(SEED), COUNT)).toEqual(buildStudents(schools, createRandom(SEED), COUNT));
+  });
+
+  test('re-run only relaxes the reset flag on rows it inserted', async () => {
+    const roster = buildStudents(schools, createRandom(SEED), COUNT);
+    // First half already exists from an earlier seed - ON CONFLICT skips them
+    const inserted = roster.slice(COUNT / 2);
+    jest.spyOn(Student, 'hashPassword').mockResolvedValue('hash');
+    jest.spyOn(Student, 'bulkCreate').mockResolvedValue(inserted);
+    const statements = [];
+    const sql = async (text, params) => { statements.push({ text, params }); return []; };
+
+    const result = await seedStudents(sql, schools, createRandom(SEED), COUNT);
+
+    expect(result).toEqual({ total: COUNT, created: inserted.length });
+    const [readyToLogin] = statements.find(s => s.text.includes('password_reset_required = false')).params;
+    expect(readyToLogin).toEqual(
+      inserted.filter(student => !student.password_reset_required).map(student => student.registration_no)
+    );
+  });
+});
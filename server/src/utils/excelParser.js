@@ -0,0 +1,263 @@
+/**
+ * Excel / CSV Parser
+ * Reads uploaded spreadsheets (XLSX or CSV) for bulk student/stall imports
+ * @module utils/excelParser
+ */
+
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+
+/**
+ * Column aliases accepted in student sheets
+ * Keys are model fields, values are normalized header names (see normalizeHeader)
+ */
+export const STUDENT_COLUMNS = {
+  registration_no: ['registration_no', 'registration_number', 'reg_no', 'enrollment_no', 'enrolment_no'],
+  full_name: ['full_name', 'name', 'student_name'],
+  email: ['email', 'email_id', 'email_address'],
+  date_of_birth: ['date_of_birth', 'dob', 'birth_date'],
+  pincode: ['pincode', 'pin_code', 'pin', 'postal_code'],
+  program_name: ['program_name', 'program', 'programme', 'course'],
+  batch: ['batch', 'batch_year', 'year'],
+  school_name: ['school_name', 'school', 'department'],
+  phone: ['phone', 'mobile', 'phone_no', 'contact_no'],
+  address: ['address'],
+  password: ['password']
+};
+
+/**
+ * Column aliases accepted in stall sheets
+ */
+export const STALL_COLUMNS = {
+  stall_number: ['stall_number', 'stall_no', 'stall', 'number'],
+  stall_name: ['stall_name', 'name', 'title', 'project_name'],
+  school_name: ['school_name', 'school', 'department'],
+  description: ['description', 'details', 'about'],
+  location: ['location', 'block', 'venue']
+};
+
+/**
+ * Normalize a header cell: "Reg. No" → "reg_no", "Date of Birth" → "date_of_birth"
+ * @param {*} header - Raw header cell value
+ * @returns {string}
+ */
+export const normalizeHeader = (header) => {
+  return String(header ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+};
+
+/**
+ * Flatten an ExcelJS cell value into a primitive
+ * Handles rich text, hyperlinks and formula results
+ * @param {*} value - ExcelJS cell value
+ * @returns {string|number|boolean|Date|null}
+ */
+export const cellToValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') {
+    return typeof value === 'string' ? value.trim() : value;
+  }
+  if (Array.isArray(value.richText)) {
+    return value.richText.map(part => part.text).join('').trim();
+  }
+  if (value.text !== undefined) return cellToValue(value.text);
+  if (value.result !== undefined) return cellToValue(value.result);
+  return null;
+};
+
+/**
+ * Convert a date cell (Date, Excel serial or string) to YYYY-MM-DD
+ * Accepts DD-MM-YYYY / DD/MM/YYYY as commonly exported by university ERPs
+ * @param {*} value - Cell value
+ * @returns {string|null} ISO date string or null if not parseable
+ */
+export const toDateString = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  let date = null;
+
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'number') {
+    // Excel serial date (days since 1899-12-30)
+    date = new Date(Math.round((value - 25569) * 86400 * 1000));
+  } else {
+    const text = String(value).trim();
+    const dayFirst = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (dayFirst) {
+      const [, day, month, year] = dayFirst;
+      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+      return text.substring(0, 10);
+    }
+    date = new Date(text);
+  }
+
+  if (!date || isNaN(date.getTime())) return null;
+  return date.toISOString().substring(0, 10);
+};
+
+/**
+ * Stringify a cell value, treating blanks as null
+ * @param {*} value - Cell value
+ * @returns {string|null}
+ */
+const toText = (value) => (value === null || value === undefined ? null : String(value).trim() || null);
+
+/**
+ * Read an uploaded spreadsheet into plain row objects
+ * First non-empty row is treated as the header row
+ *
+ * @param {Object} file - Multer file ({ buffer, originalname, mimetype })
+ * @returns {Promise<{ headers: string[], rows: Array<{ rowNumber: number, values: Object }> }>}
+ *
+ * @example
+ * const { rows } = await readSpreadsheet(req.file);
+ * rows[0]; // { rowNumber: 2, values: { registration_no: '2301...', email: '...' } }
+ */
+export const readSpreadsheet = async (file) => {
+  if (!file || !file.buffer) {
+    throw new Error('Spreadsheet file is required');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const isCsv = /\.csv$/i.test(file.originalname || '') || file.mimetype === 'text/csv';
+
+  if (isCsv) {
+    await workbook.csv.read(Readable.from(file.buffer));
+  } else {
+    await workbook.xlsx.load(file.buffer);
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error('Spreadsheet has no worksheets');
+  }
+
+  let headers = null;
+  const rows = [];
+
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = row.values.slice(1).map(cellToValue); // row.values is 1-indexed
+
+    if (!headers) {
+      headers = cells.map(normalizeHeader);
+      return;
+    }
+
+    if (cells.every(cell => cell === null || cell === '')) return;
+
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header) values[header] = cells[index] ?? null;
+    });
+    rows.push({ rowNumber, values });
+  });
+
+  return { headers: headers || [], rows };
+};
+
+/**
+ * Map a parsed row onto model fields using an alias table
+ * @param {Object} values - Row values keyed by normalized header
+ * @param {Object} columns - Alias table (e.g. STUDENT_COLUMNS)
+ * @returns {Object} Row keyed by model field names
+ */
+export const mapColumns = (values, columns) => {
+  const mapped = {};
+  for (const [field, aliases] of Object.entries(columns)) {
+    const alias = aliases.find(name => values[name] !== undefined && values[name] !== null && values[name] !== '');
+    mapped[field] = alias ? values[alias] : null;
+  }
+  return mapped;
+};
+
+/**
+ * Return the model fields whose column is missing from the header row
+ * @param {string[]} headers - Normalized headers
+ * @param {Object} columns - Alias table
+ * @param {string[]} required - Required model fields
+ * @returns {string[]}
+ */
+export const findMissingColumns = (headers, columns, required) => {
+  return required.filter(field => !columns[field].some(alias => headers.includes(alias)));
+};
+
+/**
+ * Parse a student roster sheet into normalized student rows
+ * Values are stringified and dates converted to YYYY-MM-DD; validation is left to the caller
+ *
+ * @param {Object} file - Multer file
+ * @returns {Promise<{ headers: string[], rows: Array<{ rowNumber: number, data: Object }> }>}
+ */
+export const parseStudentSheet = async (file) => {
+  const { headers, rows } = await readSpreadsheet(file);
+
+  return {
+    headers,
+    rows: rows.map(({ rowNumber, values }) => {
+      const mapped = mapColumns(values, STUDENT_COLUMNS);
+      return {
+        rowNumber,
+        data: {
+          registration_no: toText(mapped.registration_no),
+          full_name: toText(mapped.full_name),
+          email: toText(mapped.email)?.toLowerCase() || null,
+          date_of_birth: toDateString(mapped.date_of_birth),
+          raw_date_of_birth: mapped.date_of_birth,
+          pincode: toText(mapped.pincode),
+          program_name: toText(mapped.program_name),
+          batch: toText(mapped.batch),
+          school_name: toText(mapped.school_name),
+          phone: toText(mapped.phone),
+          address: toText(mapped.address),
+          password: toText(mapped.password)
+        }
+      };
+    })
+  };
+};
+
+/**
+ * Parse a stall sheet into normalized stall rows
+ * @param {Object} file - Multer file
+ * @returns {Promise<{ headers: string[], rows: Array<{ rowNumber: number, data: Object }> }>}
+ */
+export const parseStallSheet = async (file) => {
+  const { headers, rows } = await readSpreadsheet(file);
+
+  return {
+    headers,
+    rows: rows.map(({ rowNumber, values }) => {
+      const mapped = mapColumns(values, STALL_COLUMNS);
+      return {
+        rowNumber,
+        data: {
+          stall_number: toText(mapped.stall_number),
+          stall_name: toText(mapped.stall_name),
+          school_name: toText(mapped.school_name),
+          description: toText(mapped.description),
+          location: toText(mapped.location)
+        }
+      };
+    })
+  };
+};
+
+export default {
+  STUDENT_COLUMNS,
+  STALL_COLUMNS,
+  normalizeHeader,
+  cellToValue,
+  toDateString,
+  readSpreadsheet,
+  mapColumns,
+  findMissingColumns,
+  parseStudentSheet,
+  parseStallSheet
+};
@@ -0,0 +1,218 @@
+/**
+ * QR Sheet Writer
+ * Renders print-ready PDF sheets (stall posters, student ID cards) and streams them
+ * to an HTTP response as one ZIP archive
+ * @module utils/qrSheetWriter
+ */
+
+import PDFDocument from 'pdfkit';
+import archiver from 'archiver';
+import { once } from 'events';
+import QRCodeService from '../services/qrCode.js';
+
+// PDF points (1pt = 1/72 inch)
+const MM = 72 / 25.4;
+
+// ID-1 / CR80 card size, cut from A4 in a 2 x 5 grid
+const CARD = {
+  width: 85.6 * MM,
+  height: 54 * MM,
+  columns: 2,
+  rows: 5,
+  gap: 6
+};
+
+// Dense enough for print at poster size; margin = quiet zone in modules
+const POSTER_QR_OPTIONS = { width: 800, margin: 2 };
+const CARD_QR_OPTIONS = { width: 360, margin: 1 };
+
+/**
+ * Printable sheets
+ * - documentOptions are passed to PDFDocument (pages are added by render)
+ * - render(doc, rows, signal) draws every row, stopping early once signal is aborted;
+ *   rows always carry a qr_code_token
+ */
+export const QR_SHEETS = {
+  posters: {
+    filename: 'stall-posters.pdf',
+    title: 'Stall QR Posters',
+    documentOptions: { size: 'A4', layout: 'landscape', margin: 48 },
+    render: (doc, stalls, signal) => renderStallPosters(doc, stalls, signal)
+  },
+  'id-cards': {
+    filename: 'student-id-cards.pdf',
+    title: 'Student ID Cards',
+    documentOptions: { size: 'A4', margin: 24 },
+    render: (doc, students, signal) => renderStudentIdCards(doc, students, signal)
+  }
+};
+
+/**
+ * One landscape page per stall: QR on the left, stall number / name / school beside it
+ * @param {PDFDocument} doc
+ * @param {Array} stalls - StallModel rows (stall_number, stall_name, school_name, location)
+ * @param {AbortSignal} signal - Download cancelled
+ */
+const renderStallPosters = async (doc, stalls, signal) => {
+  for (const stall of stalls) {
+    if (signal?.aborted) return;
+    doc.addPage();
+    const { width, height, margins } = doc.page;
+
+    const qrSize = Math.min(height - margins.top - margins.bottom, (width - margins.left - margins.right) / 2);
+    const qrY = (height - qrSize) / 2;
+    const qrImage = await QRCodeService.generateQRCodeBuffer(stall.qr_code_token, POSTER_QR_OPTIONS);
+    doc.image(qrImage, margins.left, qrY, { width: qrSize, height: qrSize });
+
+    const textX = margins.left + qrSize + 36;
+    const textWidth = width - margins.right - textX;
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(72)
+      .text(stall.stall_number, textX, qrY + 24, { width: textWidth });
+    doc.moveDown(0.2).font('Helvetica-Bold').fontSize(30)
+      .text(stall.stall_name, { width: textWidth });
+    doc.moveDown(0.6).font('Helvetica').fontSize(18).fillColor('#444444')
+      .text(stall.school_name || '', { width: textWidth });
+    if (stall.location) {
+      doc.moveDown(0.4).fontSize(14).text(`Location: ${stall.location}`, { width: textWidth });
+    }
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+      .text('Scan to leave feedback', textX, qrY + qrSize - 24, { width: textWidth });
+  }
+};
+
+/**
+ * ID cards in a 2 x 5 grid per A4 page, with a light border to cut along
+ * @param {PDFDocument} doc
+ * @param {Array} students - StudentModel rows (registration_no, full_name, school_name, program_name, batch)
+ * @param {AbortSignal} signal - Download cancelled
+ */
+const renderStudentIdCards = async (doc, students, signal) => {
+  const perPage = CARD.columns * CARD.rows;
+  let originX = 0;
+  let originY = 0;
+
+  for (let index = 0; index < students.length; index++) {
+    if (signal?.aborted) return;
+    const slot = index % perPage;
+    if (slot === 0) {
+      doc.addPage();
+      const gridWidth = CARD.columns * CARD.width + (CARD.columns - 1) * CARD.gap;
+      const gridHeight = CARD.rows * CARD.height + (CARD.rows - 1) * CARD.gap;
+      originX = (doc.page.width - gridWidth) / 2;
+      originY = (doc.page.height - gridHeight) / 2;
+    }
+
+    const student = students[index];
+    const x = originX + (slot % CARD.columns) * (CARD.width + CARD.gap);
+    const y = originY + Math.floor(slot / CARD.columns) * (CARD.height + CARD.gap);
+
+    doc.roundedRect(x, y, CARD.width, CARD.height, 8).lineWidth(0.5).strokeColor('#999999').stroke();
+
+    const qrSize = 110;
+    const qrImage = await QRCodeService.generateQRCodeBuffer(student.qr_code_token, CARD_QR_OPTIONS);
+    doc.image(qrImage, x + 10, y + (CARD.height - qrSize) / 2, { width: qrSize, height: qrSize });
+
+    const textX = x + qrSize + 18;
+    const textWidth = CARD.width - qrSize - 28;
+    const line = { width: textWidth, height: 28, ellipsis: true };
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(10)
+      .text(student.full_name, textX, y + 14, line);
+    doc.font('Helvetica').fontSize(10)
+      .text(student.registration_no, textX, y + 44, line);
+    doc.fontSize(8).fillColor('#444444')
+      .text(student.school_name || '', textX, y + 62, line);
+    doc.text([student.program_name, student.batch].filter(Boolean).join(' · '), textX, y + 90, line);
+    doc.fontSize(7)
+      .text('Show at entry / exit gates', textX, y + CARD.height - 20, { width: textWidth });
+  }
+  doc.fillColor('#000000');
+};
+
+/**
+ * Stream a ZIP of PDF sheets
+ * PDFs are rendered one at a time so only the sheet being zipped is held in memory.
+ * A client disconnect stops rendering and aborts the archive (resolves quietly);
+ * an archiver error aborts it too and is thrown.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.filename - Download name without extension
+ * @param {Array} options.sheets - [{ sheet: QR_SHEETS entry, rows }]
+ *
+ * @example
+ * await streamQRSheetArchive(res, {
+ *   filename: 'qr-sheets_CSE',
+ *   sheets: [{ sheet: QR_SHEETS.posters, rows: stalls }]
+ * });
+ */
+export const streamQRSheetArchive = async (res, { filename, sheets }) => {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const stopped = new AbortController();
+  const whenStopped = new Promise(resolve => stopped.signal.addEventListener('abort', resolve, { once: true }));
+  let doc = null;
+  let failure = null;
+
+  // Ends every wait below - otherwise a dead client leaves 'end' / finalize pending forever
+  const stop = (error = null) => {
+    if (stopped.signal.aborted) return;
+    failure = error;
+    stopped.abort();
+    doc?.destroy();
+    archive.abort();
+  };
+  const onClose = () => {
+    if (!res.writableFinished) stop();
+  };
+
+  res.once('close', onClose);
+  archive.on('warning', (warning) => console.warn('⚠️  [QR SHEETS] Archive warning:', warning.message));
+  archive.on('error', stop);
+  archive.pipe(res);
+
+  try {
+    for (const { sheet, rows } of sheets) {
+      if (stopped.signal.aborted) break;
+
+      doc = new PDFDocument({
+        ...sheet.documentOptions,
+        autoFirstPage: false,
+        info: { Title: sheet.title }
+      });
+      archive.append(doc, { name: sheet.filename });
+
+      // Subscribed to 'end' from the start, so a PDF error mid-render is never unhandled
+      const rendered = Promise.all([
+        once(doc, 'end'),
+        (async () => {
+          await sheet.render(doc, rows, stopped.signal);
+          if (!stopped.signal.aborted) doc.end();
+        })()
+      ]);
+      try {
+        await Promise.race([rendered, whenStopped]);
+      } catch (error) {
+        stop(error); // Don't leave a half-written archive open
+      }
+    }
+
+    if (!stopped.signal.aborted) {
+      await Promise.race([archive.finalize(), whenStopped]);
+    }
+  } finally {
+    res.off('close', onClose);
+  }
+
+  if (failure) throw failure;
+};
+
+export default {
+  QR_SHEETS,
+  streamQRSheetArchive
+};
@@ -0,0 +1,131 @@
+/**
+ * Spreadsheet Writer
+ * Streams XLSX or CSV exports straight to an HTTP response, row by row
+ * @module utils/spreadsheetWriter
+ */
+
+import ExcelJS from 'exceljs';
+import { once } from 'events';
+
+export const EXPORT_FORMATS = ['xlsx', 'csv'];
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Format one CSV cell
+ * Cells starting with = + - @ are prefixed with ' so spreadsheet apps don't run them as formulas
+ * (student comments are free text).
+ */
+export const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait for the response to drain when its buffer is full
+ * Also returns when the client disconnects ('drain' never comes then) - callers check res.destroyed
+ * @param {Object} res - Express response
+ */
+const waitForDrain = async (res) => {
+  if (res.writableNeedDrain && !res.destroyed) {
+    const waiting = new AbortController();
+    try {
+      await Promise.race([
+        once(res, 'drain', { signal: waiting.signal }),
+        once(res, 'close', { signal: waiting.signal })
+      ]);
+    } finally {
+      waiting.abort(); // Drop the listener that didn't fire
+    }
+  }
+};
+
+/**
+ * Start a streamed spreadsheet download
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - 'xlsx' | 'csv'
+ * @param {string} options.filename - Download name without extension
+ * @param {string} options.sheetName - Worksheet name (XLSX only)
+ * @param {Array} options.columns - [{ header, key, width }]
+ * @returns {{ addRow: Function, end: Function }} addRow(row) and end() both return promises
+ *
+ * @example
+ * const sheet = createSpreadsheetStream(res, { format: 'csv', filename: 'feedbacks', columns });
+ * for await (const row of rows) await sheet.addRow(row);
+ * await sheet.end();
+ */
+export const createSpreadsheetStream = (res, { format, filename, sheetName = 'Export', columns }) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (format === 'csv') {
+    // BOM so Excel opens UTF-8 names correctly
+    res.write('\uFEFF' + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+
+    return {
+      addRow: async (row) => {
+        res.write(columns.map(column => toCsvCell(row[column.key])).join(',') + '\r\n');
+        await waitForDrain(res);
+      },
+      end: async () => {
+        res.end();
+      }
+    };
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 18
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  return {
+    addRow: async (row) => {
+      worksheet.addRow(row).commit();
+      await waitForDrain(res);
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit(); // Ends the response
+    }
+  };
+};
+
+/**
+ * Iterate a keyset-paginated query one row at a time
+ * Only one page is held in memory at once. The cursor carries the last row's sort key
+ * (not just its id), so deleting that row mid-export doesn't end the export early.
+ *
+ * @param {Function} fetchPage - async (after, limit) => rows (each row needs sort_key and id)
+ * @param {number} batchSize - Rows per query
+ */
+export async function* iterateInBatches(fetchPage, batchSize = 1000) {
+  let after = null;
+  while (true) {
+    const rows = await fetchPage(after, batchSize);
+    yield* rows;
+    if (rows.length < batchSize) return;
+    const last = rows[rows.length - 1];
+    after = { sort_key: last.sort_key, id: last.id };
+  }
+}
+
+export default {
+  EXPORT_FORMATS,
+  toCsvCell,
+  createSpreadsheetStream,
+  iterateInBatches
+};